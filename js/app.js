@@ -10,6 +10,8 @@ import { createUI, updateUI } from './ui.js';
 import { initControlPanel, setupMasterVolumeConnection, updateAudioStatus, updateTrackingStatus } from './controlPanel.js';
 import { showMessage } from './utils.js';
 import { performanceMonitor } from './performanceMonitor.js';
+import { setupVisualization, startVisualization, stopVisualization, disposeVisualization } from './visualization.js';
+import { midiOutput } from './midi.js';
 
 // Initialize global audioStarted state
 window.audioStarted = false;
@@ -18,6 +20,8 @@ window.audioStarted = false;
 let globalAnimationFrameId = null;
 
 function startGlobalPerformanceTracking() {
+  if (globalAnimationFrameId) return;
+
   function trackFrame() {
     performanceMonitor.recordFrame();
     globalAnimationFrameId = requestAnimationFrame(trackFrame);
@@ -32,8 +36,28 @@ function stopGlobalPerformanceTracking() {
   }
 }
 
+// Pause rendering while the tab is hidden, resume when it comes back
+function handleVisibilityChange() {
+  if (document.hidden) {
+    stopVisualization();
+    stopGlobalPerformanceTracking();
+  } else {
+    startVisualization();
+    startGlobalPerformanceTracking();
+  }
+}
+
+// Tear down render loops and release external MIDI notes when the page is unloaded
+function shutdown() {
+  disposeVisualization();
+  stopGlobalPerformanceTracking();
+  midiOutput.allNotesOff();
+}
+
 // Initialize the application when the window loads
 window.addEventListener('load', init);
+document.addEventListener('visibilitychange', handleVisibilityChange);
+window.addEventListener('pagehide', shutdown);
 
 // Main initialization function
 function init() {
@@ -59,6 +83,11 @@ function init() {
 
   // Start global performance tracking
   startGlobalPerformanceTracking();
+
+  // Start the particle visualization
+  if (setupVisualization()) {
+    startVisualization();
+  }
   
   // Wait for Tone.js to be ready before adding the button
   if (typeof Tone !== 'undefined') {
@@ -165,5 +194,6 @@ function addStartAudioButton() {
 // Export globals and functions for other modules
 export {
   init,
+  shutdown,
   addStartAudioButton
 };
\ No newline at end of file
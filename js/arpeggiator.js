@@ -0,0 +1,226 @@
+/**
+ * HandSynth - Arpeggiator Module
+ * Steps through the left-hand chord on the Tone.Transport clock
+ */
+
+import { noteNameToMidi } from './musicTheory.js';
+import { transport } from './transport.js';
+
+const ARPEGGIATOR_PATTERNS = {
+  'up': 'Up',
+  'down': 'Down',
+  'up-down': 'Up-Down',
+  'random': 'Random',
+  'as-played': 'As Played'
+};
+
+// Transport subdivisions, labelled as note values
+const ARPEGGIATOR_RATES = {
+  '8n': '1/8',
+  '16n': '1/16',
+  '8t': '1/8 Triplet',
+  '16t': '1/16 Triplet'
+};
+
+const DEFAULT_ARPEGGIATOR_SETTINGS = {
+  enabled: false,
+  pattern: 'up',
+  rate: '16n',
+  octaves: 1, // Octave span, 1-4
+  gate: 0.5 // Note length as a fraction of the step, 0.1-1
+};
+
+// Transpose a note name by whole octaves ("C4" + 1 -> "C5")
+function shiftOctave(note, octaves) {
+  const match = note.match(/^([A-G][#b]?)(-?\d+)$/);
+  if (!match || octaves === 0) return note;
+  return `${match[1]}${parseInt(match[2]) + octaves}`;
+}
+
+// Expand chord notes over the octave span in the order the pattern plays them
+// (random is resolved per step, so it uses the ascending order here)
+function buildArpeggioSequence(chordNotes, pattern, octaves) {
+  if (!chordNotes || chordNotes.length === 0) return [];
+
+  const ordered = pattern === 'as-played'
+    ? [...chordNotes]
+    : [...chordNotes].sort((a, b) => noteNameToMidi(a) - noteNameToMidi(b));
+
+  const span = [];
+  for (let octave = 0; octave < octaves; octave++) {
+    ordered.forEach(note => span.push(shiftOctave(note, octave)));
+  }
+
+  if (pattern === 'down') {
+    return span.reverse();
+  }
+  if (pattern === 'up-down') {
+    // Don't repeat the top and bottom notes at the turnarounds
+    return span.length > 2 ? [...span, ...span.slice(1, -1).reverse()] : span;
+  }
+  return span;
+}
+
+class Arpeggiator {
+  constructor(noteHandler, settings = {}) {
+    this.noteHandler = noteHandler; // (note, durationSeconds, time) => void
+    this.settings = { ...DEFAULT_ARPEGGIATOR_SETTINGS, ...settings };
+    this.chordNotes = [];
+    this.sequence = [];
+    this.stepIndex = 0;
+    this.lastRandomIndex = -1;
+    this.loop = null;
+    this.changeCallbacks = [];
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Start stepping on the transport - the transport is started if it isn't running
+  start() {
+    if (this.loop) return;
+
+    this.loop = new Tone.Loop((time) => this.tick(time), this.settings.rate);
+    this.loop.start(0);
+    transport.start();
+  }
+
+  stop() {
+    if (!this.loop) return;
+    this.loop.stop();
+    this.loop.dispose();
+    this.loop = null;
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = !!enabled;
+    if (this.settings.enabled) {
+      this.stepIndex = 0;
+      this.start();
+    } else {
+      this.stop();
+    }
+    this.notifyCallbacks();
+  }
+
+  // Follow the held chord - null (or an empty chord) silences the arpeggio
+  setChord(chord) {
+    const chordNotes = chord && chord.notes ? chord.notes : [];
+    if (chordNotes.join(',') === this.chordNotes.join(',')) return;
+
+    const wasSilent = this.chordNotes.length === 0;
+    this.chordNotes = [...chordNotes];
+    this.rebuildSequence();
+
+    // A freshly held chord starts from the top of the pattern; chord changes keep the step position
+    if (wasSilent) this.stepIndex = 0;
+  }
+
+  setPattern(pattern) {
+    if (!ARPEGGIATOR_PATTERNS[pattern]) return;
+    this.settings.pattern = pattern;
+    this.rebuildSequence();
+    this.notifyCallbacks();
+  }
+
+  setRate(rate) {
+    if (!ARPEGGIATOR_RATES[rate]) return;
+    this.settings.rate = rate;
+    if (this.loop) {
+      this.loop.interval = rate;
+    }
+    this.notifyCallbacks();
+  }
+
+  setOctaves(octaves) {
+    const value = parseInt(octaves);
+    if (isNaN(value)) return;
+    this.settings.octaves = Math.max(1, Math.min(4, value));
+    this.rebuildSequence();
+    this.notifyCallbacks();
+  }
+
+  // Gate as a fraction of the step length
+  setGate(gate) {
+    this.settings.gate = Math.max(0.1, Math.min(1, gate));
+    this.notifyCallbacks();
+  }
+
+  rebuildSequence() {
+    this.sequence = buildArpeggioSequence(this.chordNotes, this.settings.pattern, this.settings.octaves);
+  }
+
+  // Pick the note for this step
+  nextNote() {
+    if (this.settings.pattern === 'random') {
+      let index = Math.floor(Math.random() * this.sequence.length);
+      if (this.sequence.length > 1 && index === this.lastRandomIndex) {
+        index = (index + 1) % this.sequence.length;
+      }
+      this.lastRandomIndex = index;
+      return this.sequence[index];
+    }
+
+    const note = this.sequence[this.stepIndex % this.sequence.length];
+    this.stepIndex = (this.stepIndex + 1) % this.sequence.length;
+    return note;
+  }
+
+  tick(time) {
+    if (this.sequence.length === 0 || !this.noteHandler) return;
+
+    const duration = Tone.Time(this.settings.rate).toSeconds() * this.settings.gate;
+    this.noteHandler(this.nextNote(), duration, time);
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    const merged = { ...DEFAULT_ARPEGGIATOR_SETTINGS, ...settings };
+    this.setPattern(merged.pattern);
+    this.setRate(merged.rate);
+    this.setOctaves(merged.octaves);
+    this.setGate(merged.gate);
+    this.setEnabled(merged.enabled);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const settings = this.getSettings();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        console.warn('Arpeggiator callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    this.chordNotes = [];
+    this.sequence = [];
+  }
+}
+
+export {
+  Arpeggiator,
+  ARPEGGIATOR_PATTERNS,
+  ARPEGGIATOR_RATES,
+  DEFAULT_ARPEGGIATOR_SETTINGS,
+  buildArpeggioSequence
+};
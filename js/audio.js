@@ -22,6 +22,17 @@ import {
   velocityToDynamic,
   getArticulationForNote
 } from './realInstruments.js';
+import { EffectsRack, DEFAULT_RACK_DESCRIPTION } from './effectsRack.js';
+import { Mixer } from './mixer.js';
+import { midiOutput } from './midi.js';
+import { Arpeggiator } from './arpeggiator.js';
+import { transport } from './transport.js';
+import { Looper } from './looper.js';
+import { StepSequencer } from './stepSequencer.js';
+import { DrumMachine } from './drumMachine.js';
+import { BassLine } from './bassLine.js';
+import { Harmonizer } from './harmonizer.js';
+import { tuning } from './tuning.js';
 
 // Audio variables
 let melodySynth, harmonySynth, filter, reverb, delay;
@@ -46,17 +57,77 @@ let lastHandPositions = { left: null, right: null };
 
 // Professional audio processing chain
 let masterGain, inputGain;
-let highpassFilter, midEQ, compressor, saturation, chorus, stereoWidener;
+let highpassFilter, midEQ, compressor, saturation, chorus, phaser, tremolo, stereoWidener;
 let limiter;
 
+// Effects rack - stages can be reordered, bypassed, duplicated or removed at runtime
+const effectsRack = new EffectsRack(DEFAULT_RACK_DESCRIPTION);
+
+// Per-hand channel strips with sends to shared reverb/delay returns, feeding the input gain stage
+const mixer = new Mixer();
+
+// Arpeggiator - when enabled it plays the left-hand chord one note at a time instead of as a pad
+const arpeggiator = new Arpeggiator(playArpeggioNote);
+
+// Step sequencer - when enabled it re-triggers the left-hand chord from a 16-step pattern
+const stepSequencer = new StepSequencer(playPatternChord);
+
+// Drum machine - synthesized kit on its own mixer channel, built once the mixer exists
+const drumMachine = new DrumMachine(drumBusInput);
+
+// Bass line - follows the left-hand chord on its own voice and mixer channel
+const bassLine = new BassLine(bassBusInput);
+
+// Harmonizer - doubles the melody with harmony voices on the melody channel, each with its own level and pan
+const harmonizer = new Harmonizer(harmonizerBusInput, createHarmonizerVoice);
+
+// Looper - records the note events below and replays them through the current instrument
+const looper = new Looper(playLoopEvent);
+let loopVoices = { melody: null, harmony: null }; // Synthetic voices for loop playback, rebuilt on instrument change
+
+// Held notes were started at the old pitches, so release them when the tuning, concert pitch or transpose
+// changes - samplers release each note at the pitch it was started at, MIDI at the note number it sent
+tuning.onChange(() => {
+  stopMelody();
+  stopChord();
+  updateNoteDisplay();
+});
+
 // Effect variables
-let lastEffectChangeTime = 0;
+// Tempo-synced settings - note values are converted to seconds/Hz at the current BPM, so they are
+// re-applied whenever the tempo changes. Modulation rates are 'free' (knob Hz) or a note value.
+let delayTimeSetting = '4n';
+let modulationSync = { chorus: 'free', tremolo: 'free' };
+let modulationRates = { chorus: 1.5, tremolo: 10.0 };
+
+let lastEffectChangeTime = { left: 0, right: 0 }; // Throttled per hand so both pinches stay responsive
 const EFFECT_CHANGE_THRESHOLD = 80; // 80ms minimum between effect changes
 
 // Time tracking for animation
 let noteChangeTime = 0;
 let chordChangeTime = 0;
 
+// FM voice engine - carrier/modulator ratio and modulation index are driven live by the FM knobs
+const MAX_FM_MODULATION_INDEX = 20; // FM Depth 100% maps to this index
+const DEFAULT_MODULATION_ENVELOPE = { attack: 0.01, decay: 0.4, sustain: 0.6, release: 0.8 };
+let fmSettings = { harmonicity: 1, modulationIndex: 0 };
+let voiceEngine = 'subtractive'; // 'subtractive' (Tone.Synth) or 'fm' (Tone.FMSynth)
+
+// Point the knob-controlled effect variables at the first rack slot of each type
+function refreshEffectReferences() {
+  reverb = effectsRack.getPrimaryNode('reverb');
+  delay = effectsRack.getPrimaryNode('delay');
+  chorus = effectsRack.getPrimaryNode('chorus');
+  phaser = effectsRack.getPrimaryNode('phaser');
+  tremolo = effectsRack.getPrimaryNode('tremolo');
+  filter = effectsRack.getPrimaryNode('lowpass');
+  highpassFilter = effectsRack.getPrimaryNode('highpass');
+  midEQ = effectsRack.getPrimaryNode('eq3');
+  saturation = effectsRack.getPrimaryNode('saturation');
+  compressor = effectsRack.getPrimaryNode('compressor');
+  stereoWidener = effectsRack.getPrimaryNode('widener');
+}
+
 // Professional audio chain setup
 function setupProfessionalAudioChain() {
   // Create master output chain
@@ -65,86 +136,244 @@ function setupProfessionalAudioChain() {
   masterGain = new Tone.Gain(0.8); // -2dB default master level
   masterGain.connect(limiter);
 
-  // Stereo widener for spatial enhancement
-  stereoWidener = new Tone.StereoWidener(0); // 0% width by default
-  stereoWidener.connect(masterGain);
+  // Modular effects rack (reverb, delay, modulation, EQ, dynamics, widener) feeds the master stage
+  effectsRack.build();
+  effectsRack.output.connect(masterGain);
+  refreshEffectReferences();
+  effectsRack.onChange(refreshEffectReferences);
+  transport.onChange(applyTempoSync);
 
-  // Compressor for dynamics control
-  compressor = new Tone.Compressor({
-    threshold: -12,
-    ratio: 3,
-    attack: 0.01,
-    release: 0.2
-  });
-  compressor.connect(stereoWidener);
+  // Input gain stage
+  inputGain = new Tone.Gain(1);
+  inputGain.connect(effectsRack.input);
 
-  // Saturation for warmth
-  saturation = new Tone.Distortion({
-    distortion: 0,
-    oversample: '4x'
-  });
-  saturation.connect(compressor);
-
-  // EQ section
-  midEQ = new Tone.EQ3({
-    low: 0,
-    mid: 0,
-    high: 0,
-    lowFrequency: 400,
-    highFrequency: 2500
-  });
-  midEQ.connect(saturation);
+  // Melody, harmony, bass and drum channel strips plus the shared send returns
+  mixer.build(inputGain);
 
-  // High-pass filter (low cut)
-  highpassFilter = new Tone.Filter({
-    type: "highpass",
-    frequency: 20,
-    Q: 0.7
-  });
-  highpassFilter.connect(midEQ);
-
-  // Low-pass filter (high cut)
-  filter = new Tone.Filter({
-    type: "lowpass",
-    frequency: 8000,
-    Q: 0.5,
-    rolloff: -12
-  });
-  filter.connect(highpassFilter);
-
-  // Chorus for modulation
-  chorus = new Tone.Chorus({
-    frequency: 1.5,
-    delayTime: 2.5,
-    depth: 0,
-    spread: 180
-  }).start();
-  chorus.connect(filter);
-
-  // Delay line
-  delay = new Tone.PingPongDelay({
-    delayTime: "4n",
-    feedback: 0.25,
-    wet: 0
-  });
-  delay.connect(chorus);
-
-  // Reverb
-  reverb = new Tone.Reverb({
-    decay: 2.0,
-    wet: 0,
-    preDelay: 0.05,
-    roomSize: 0.7
+  console.log("Professional audio chain initialized");
+}
+
+// Channel strip inputs that the instruments connect to
+function melodyBusInput() {
+  return mixer.getStrip('melody').input;
+}
+
+function harmonyBusInput() {
+  return mixer.getStrip('harmony').input;
+}
+
+// Null until the audio chain is set up - the drum machine waits for it
+function drumBusInput() {
+  const strip = mixer.getStrip('drums');
+  return strip ? strip.input : null;
+}
+
+// Null until the audio chain is set up - the bass line waits for it
+function bassBusInput() {
+  const strip = mixer.getStrip('bass');
+  return strip ? strip.input : null;
+}
+
+// Null until the audio chain is set up - the harmonizer voices share the melody channel
+function harmonizerBusInput() {
+  const strip = mixer.getStrip('melody');
+  return strip ? strip.input : null;
+}
+
+// Mixer controls for the control panel - channel is 'melody', 'harmony', 'bass' or 'drums'
+function setChannelLevelManual(channel, db) {
+  const strip = mixer.getStrip(channel);
+  if (strip) strip.setLevel(db);
+}
+
+function setChannelPanManual(channel, value) {
+  const strip = mixer.getStrip(channel);
+  if (strip) strip.setPan(value / 100); // Convert -100..100 to -1..1
+}
+
+function setChannelEQManual(channel, band, db) {
+  const strip = mixer.getStrip(channel);
+  if (strip) strip.setEQ(band, db);
+}
+
+function setReturnLevelManual(returnName, value) {
+  mixer.setReturnLevel(returnName, value / 100);
+}
+
+// Final post-limiter output - the session recorder taps this
+function getMasterOutput() {
+  return limiter || null;
+}
+
+// Arpeggiator accessor for the control panel and presets
+function getArpeggiator() {
+  return arpeggiator;
+}
+
+// Step sequencer accessor for the control panel and presets
+function getStepSequencer() {
+  return stepSequencer;
+}
+
+// Drum machine accessor for the control panel, presets and hand tracking
+function getDrumMachine() {
+  return drumMachine;
+}
+
+// Harmonizer accessor for the control panel and presets
+function getHarmonizer() {
+  return harmonizer;
+}
+
+// Bass line accessor for the control panel and presets
+function getBassLine() {
+  return bassLine;
+}
+
+// Looper accessor for the control panel
+function getLooper() {
+  return looper;
+}
+
+// The chord hand either holds its chord, arpeggiates it, or re-triggers it from the step pattern
+function getChordHandMode() {
+  if (arpeggiator.isEnabled()) return 'arpeggio';
+  if (stepSequencer.isEnabled()) return 'pattern';
+  return 'hold';
+}
+
+// Switch the chord hand mode, carrying over a chord that is being held
+function setChordHandMode(mode) {
+  const heldChord = leftHandIsPlaying ? currentChord : null;
+  if (heldChord) stopChord();
+
+  if (arpeggiator.isEnabled() !== (mode === 'arpeggio')) {
+    arpeggiator.setEnabled(mode === 'arpeggio');
+  }
+  if (stepSequencer.isEnabled() !== (mode === 'pattern')) {
+    stepSequencer.setEnabled(mode === 'pattern');
+  }
+
+  if (heldChord) playChord(heldChord);
+}
+
+// The arpeggiator or step sequencer when one of them is playing the chord hand
+function getRhythmicChordPlayer() {
+  if (arpeggiator.isEnabled()) return arpeggiator;
+  if (stepSequencer.isEnabled()) return stepSequencer;
+  return null;
+}
+
+// Effects rack accessors for the control panel and presets
+function getEffectsRack() {
+  return effectsRack;
+}
+
+function getEffectsRackDescription() {
+  return effectsRack.serialize();
+}
+
+function loadEffectsRack(description) {
+  return effectsRack.load(description);
+}
+
+// Load a preset's FM ratio/index as the starting point for the FM knobs
+function resetFMSettings(preset) {
+  const fm = preset.fm || {};
+  fmSettings = {
+    harmonicity: fm.harmonicity ?? 1,
+    modulationIndex: fm.modulationIndex ?? 0
+  };
+}
+
+// FM presets always run as FM voices; other synths switch over once FM depth is raised
+function selectVoiceEngine(preset) {
+  voiceEngine = preset.voice === 'fm' || fmSettings.modulationIndex > 0 ? 'fm' : 'subtractive';
+  return voiceEngine;
+}
+
+// Build the voice options shared by the melody and harmony synths
+function getVoiceOptions(preset, isChord) {
+  const oscillatorType = preset.oscillator ? preset.oscillator.type : 'sine';
+  const envelope = {
+    attack: preset.envelope.attack * (isChord ? 1.2 : 1),   // Slightly slower attack for chords
+    decay: preset.envelope.decay,
+    sustain: preset.envelope.sustain,
+    release: preset.envelope.release * (isChord ? 1.5 : 1)  // Longer release for smoother chord transitions
+  };
+
+  if (voiceEngine === 'fm') {
+    const fm = preset.fm || {};
+    return {
+      harmonicity: fmSettings.harmonicity,
+      modulationIndex: fmSettings.modulationIndex,
+      oscillator: { type: oscillatorType },
+      modulation: { type: fm.modulationType || 'sine' },
+      envelope,
+      modulationEnvelope: { ...DEFAULT_MODULATION_ENVELOPE, ...fm.modulationEnvelope },
+      portamento: 0.02
+    };
+  }
+
+  return {
+    oscillator: {
+      type: oscillatorType,
+      modulationType: "sine"
+    },
+    envelope,
+    portamento: 0.02   // Small portamento for smoother transitions
+  };
+}
+
+// Create the monophonic melody voice for the current engine
+function createMelodySynth(preset) {
+  selectVoiceEngine(preset);
+  const Voice = voiceEngine === 'fm' ? Tone.FMSynth : Tone.Synth;
+  return new Voice(getVoiceOptions(preset, false));
+}
+
+// Create the polyphonic harmony voice for the current engine
+function createHarmonySynth(preset, maxPolyphony = 6) {
+  selectVoiceEngine(preset);
+  return new Tone.PolySynth({
+    maxPolyphony: maxPolyphony,   // Limit max polyphony to prevent overloading
+    voice: voiceEngine === 'fm' ? Tone.FMSynth : Tone.Synth,
+    options: getVoiceOptions(preset, true)
   });
-  reverb.generate();
-  reverb.connect(delay);
+}
 
-  // Input gain stage
-  inputGain = new Tone.Gain(1);
-  inputGain.connect(reverb);
-  inputGain.connect(delay); // Parallel reverb/delay send
+// Polyphonic synth for a harmonizer voice, built from the current preset
+function createHarmonizerVoice() {
+  return createHarmonySynth(soundPresets[getSelectedSound()], 4);
+}
 
-  console.log("Professional audio chain initialized");
+// Swap the synthetic voices for the current engine without touching the rest of the chain
+function rebuildSyntheticVoices() {
+  if (currentInstrumentType !== 'synthetic' || !melodySynth || !harmonySynth) return;
+
+  const preset = soundPresets[getSelectedSound()];
+  if (!preset || preset.type === 'real') return;
+
+  melodySynth.triggerRelease();
+  harmonySynth.releaseAll();
+  melodySynth.dispose();
+  harmonySynth.dispose();
+  disposeLoopVoices();
+  harmonizer.refreshVoices();
+
+  melodySynth = createMelodySynth(preset);
+  harmonySynth = createHarmonySynth(preset);
+  melodySynth.connect(melodyBusInput());
+  harmonySynth.connect(harmonyBusInput());
+  melodySynth.volume.value = rightHandVolume;
+  harmonySynth.volume.value = leftHandVolume;
+
+  rightHandIsPlaying = false;
+  leftHandIsPlaying = false;
+  currentMelodyNote = null;
+  currentChord = null;
+
+  console.log(`Synthetic voices rebuilt with ${voiceEngine} engine`);
 }
 
 // Setup audio with Tone.js - with improved audio quality settings
@@ -172,7 +401,7 @@ async function setupAudio() {
   if (currentInstrumentType === 'real') {
     // Set up real instrument
     currentRealInstrument = currentSound;
-    connectRealInstrument(currentSound, inputGain);
+    connectRealInstrument(currentSound, melodyBusInput(), harmonyBusInput());
     
     // Create dummy synths for compatibility (won't be used)
     melodySynth = new Tone.Synth();
@@ -183,43 +412,13 @@ async function setupAudio() {
     console.log(`Initialized real instrument: ${preset.name}`);
   } else {
     // Create synthetic synths with optimized settings
-    melodySynth = new Tone.Synth({
-      oscillator: {
-        type: preset.oscillator.type,
-        modulationType: "sine",
-        harmonicity: 1
-      },
-      envelope: {
-        attack: preset.envelope.attack,
-        decay: preset.envelope.decay,
-        sustain: preset.envelope.sustain,
-        release: preset.envelope.release,
-      },
-      portamento: 0.02   // Small portamento for smoother transitions
-    });
-    
-    harmonySynth = new Tone.PolySynth({
-      maxPolyphony: 6,   // Limit max polyphony to prevent overloading
-      voice: Tone.Synth,
-      options: {
-        oscillator: {
-          type: preset.oscillator.type,
-          modulationType: "sine",
-          harmonicity: 1
-        },
-        envelope: {
-          attack: preset.envelope.attack * 1.2,  // Slightly slower attack for chords
-          decay: preset.envelope.decay,
-          sustain: preset.envelope.sustain,
-          release: preset.envelope.release * 1.5,  // Longer release for smoother chord transitions
-        },
-        portamento: 0.02  // Small portamento for smoother transitions
-      }
-    });
+    resetFMSettings(preset);
+    melodySynth = createMelodySynth(preset);
+    harmonySynth = createHarmonySynth(preset);
     
     // Connect synths to professional audio chain
-    melodySynth.connect(inputGain);
-    harmonySynth.connect(inputGain);
+    melodySynth.connect(melodyBusInput());
+    harmonySynth.connect(harmonyBusInput());
     
     // Set initial volume with better defaults
     melodySynth.volume.value = rightHandVolume;
@@ -261,6 +460,10 @@ function updateSynths() {
       harmonySynth.releaseAll();
     }
     
+    // Loops pick up the new instrument on their next note
+    disposeLoopVoices();
+    harmonizer.refreshVoices();
+
     // Wait for release to complete
     setTimeout(async () => {
       // Determine new instrument type
@@ -269,7 +472,7 @@ function updateSynths() {
       if (currentInstrumentType === 'real') {
         // Switch to real instrument
         currentRealInstrument = currentSound;
-        connectRealInstrument(currentSound, inputGain);
+        connectRealInstrument(currentSound, melodyBusInput(), harmonyBusInput());
         
         // Mute synthetic synths
         melodySynth.volume.value = -Infinity;
@@ -285,43 +488,13 @@ function updateSynths() {
         melodySynth.dispose();
         harmonySynth.dispose();
         
-        // Create new melody synth
-        melodySynth = new Tone.Synth({
-          oscillator: {
-            type: preset.oscillator.type,
-            modulationType: "sine"
-          },
-          envelope: {
-            attack: preset.envelope.attack,
-            decay: preset.envelope.decay,
-            sustain: preset.envelope.sustain,
-            release: preset.envelope.release
-          },
-          portamento: 0.02
-        });
-        
-        // Create new harmony synth
-        harmonySynth = new Tone.PolySynth({
-          maxPolyphony: 6,
-          voice: Tone.Synth,
-          options: {
-            oscillator: {
-              type: preset.oscillator.type,
-              modulationType: "sine"
-            },
-            envelope: {
-              attack: preset.envelope.attack * 1.2,
-              decay: preset.envelope.decay,
-              sustain: preset.envelope.sustain,
-              release: preset.envelope.release * 1.5
-            },
-            portamento: 0.02
-          }
-        });
+        // Create new synths with the preset's voice engine
+        melodySynth = createMelodySynth(preset);
+        harmonySynth = createHarmonySynth(preset);
         
         // Reconnect to the audio chain
-        melodySynth.connect(inputGain);
-        harmonySynth.connect(inputGain);
+        melodySynth.connect(melodyBusInput());
+        harmonySynth.connect(harmonyBusInput());
         
         // Restore volumes
         melodySynth.volume.value = rightHandVolume;
@@ -430,7 +603,7 @@ function playMelodyNote(note, handPosition = null, pinchDistance = null) {
       
       if (!rightHandIsPlaying) {
         // First time playing a note
-        melodySynth.triggerAttack(note, Tone.now(), 0.8);  // Reduced velocity for cleaner sound
+        melodySynth.triggerAttack(tuning.tuneNote(note), Tone.now(), 0.8);  // Reduced velocity for cleaner sound
         rightHandIsPlaying = true;
         currentMelodyNote = note;
         
@@ -445,7 +618,7 @@ function playMelodyNote(note, handPosition = null, pinchDistance = null) {
         melodySynth.triggerRelease(now + 0.02);
         
         // Schedule the attack of the new note with a slight delay
-        melodySynth.triggerAttack(note, now + 0.07, 0.7);
+        melodySynth.triggerAttack(tuning.tuneNote(note), now + 0.07, 0.7);
         currentMelodyNote = note;
         
         // Trigger animation effect for note change
@@ -453,6 +626,14 @@ function playMelodyNote(note, handPosition = null, pinchDistance = null) {
       }
     }
     
+    // Mirror the melody to the MIDI output and looper (both ignore repeats of the sounding note)
+    // and harmonize it
+    if (rightHandIsPlaying) {
+      harmonizer.noteOn(note, handVolumeToLoopVelocity(rightHandVolume), currentInstrumentType === 'real' ? currentRealInstrument : null);
+      midiOutput.playMelodyNote(note, handVolumeToVelocity(rightHandVolume));
+      looper.noteOn('melody', [note], handVolumeToLoopVelocity(rightHandVolume));
+    }
+    
     updateNoteDisplay();
   } catch (error) {
     console.error("Error playing melody note:", error);
@@ -470,6 +651,21 @@ function playChord(chord, handPosition = null, pinchDistance = null) {
   const chordChanged = !lastChord || 
                        JSON.stringify(chord.notes) !== JSON.stringify(lastChord.notes);
   
+  // The arpeggiator and step sequencer play the chord on the transport clock instead of holding it
+  const rhythmicPlayer = getRhythmicChordPlayer();
+  if (rhythmicPlayer) {
+    if (!leftHandIsPlaying || chordChanged) chordChangeTime = Date.now() * 0.001;
+    rhythmicPlayer.setChord(chord);
+    bassLine.setChord(chord);
+    harmonizer.setChord(chord);
+    looper.noteOn('harmony', chord.notes, handVolumeToLoopVelocity(leftHandVolume));
+    leftHandIsPlaying = true;
+    currentChord = chord;
+    lastChord = {...chord};
+    updateNoteDisplay();
+    return;
+  }
+  
   try {
     if (currentInstrumentType === 'real' && currentRealInstrument) {
       // Calculate gesture-based parameters for real instruments
@@ -544,7 +740,7 @@ function playChord(chord, handPosition = null, pinchDistance = null) {
       
       if (!leftHandIsPlaying) {
         // First-time playing
-        harmonySynth.triggerAttack(chord.notes, Tone.now(), 0.6);  // Reduced velocity for softer attack
+        harmonySynth.triggerAttack(tuning.tuneNotes(chord.notes), Tone.now(), 0.6);  // Reduced velocity for softer attack
         leftHandIsPlaying = true;
         currentChord = chord;
         lastChord = {...chord}; // Make a copy to prevent reference issues
@@ -564,33 +760,26 @@ function playChord(chord, handPosition = null, pinchDistance = null) {
         }
         const currentSound = getSelectedSound();
         const preset = soundPresets[currentSound];
-        harmonySynth = new Tone.PolySynth({
-          maxPolyphony: 8,
-          voice: Tone.Synth,
-          options: {
-            oscillator: {
-              type: preset.oscillator ? preset.oscillator.type : 'sine',
-              modulationType: "sine"
-            },
-            envelope: {
-              attack: preset.envelope.attack * 1.2,
-              decay: preset.envelope.decay,
-              sustain: preset.envelope.sustain,
-              release: preset.envelope.release * 1.5
-            },
-            portamento: 0.02
-          }
-        });
-        harmonySynth.connect(inputGain);
+        harmonySynth = createHarmonySynth(preset, 8);
+        harmonySynth.connect(harmonyBusInput());
         harmonySynth.volume.value = leftHandVolume;
         // 3. Play the new chord with minimal delay using Tone.now()
-        harmonySynth.triggerAttack(chord.notes, Tone.now(), 0.6);
+        harmonySynth.triggerAttack(tuning.tuneNotes(chord.notes), Tone.now(), 0.6);
         currentChord = chord;
         lastChord = {...chord};
         chordChangeTime = Date.now() * 0.001;
       }
     }
     
+    // Mirror the chord to the MIDI output and looper (both ignore repeats of the sounding chord)
+    // and let the bass line and harmonizer follow it
+    if (leftHandIsPlaying) {
+      bassLine.setChord(chord);
+      harmonizer.setChord(chord);
+      midiOutput.playChord(chord.notes, handVolumeToVelocity(leftHandVolume));
+      looper.noteOn('harmony', chord.notes, handVolumeToLoopVelocity(leftHandVolume));
+    }
+    
     updateNoteDisplay();
   } catch (error) {
     console.error("Error playing chord:", error);
@@ -605,6 +794,9 @@ function stopMelody() {
     } else if (melodySynth) {
       melodySynth.triggerRelease();
     }
+    harmonizer.noteOff();
+    midiOutput.stopMelody();
+    looper.noteOff('melody');
     rightHandIsPlaying = false;
     currentMelodyNote = null;
     updateNoteDisplay();
@@ -615,7 +807,10 @@ function stopMelody() {
 // Stop chord - FIXED to ensure chords actually stop
 function stopChord() {
   if (leftHandIsPlaying) {
-    if (currentInstrumentType === 'real' && currentRealInstrument) {
+    const rhythmicPlayer = getRhythmicChordPlayer();
+    if (rhythmicPlayer) {
+      rhythmicPlayer.setChord(null);
+    } else if (currentInstrumentType === 'real' && currentRealInstrument) {
       stopRealChord(currentRealInstrument, currentChord ? currentChord.notes : null);
     } else if (harmonySynth) {
       // Use releaseAll instead of triggerRelease for PolySynth
@@ -630,31 +825,19 @@ function stopChord() {
           // Recreate harmony synth with same settings
           const currentSound = getSelectedSound();
           const preset = soundPresets[currentSound];
-          harmonySynth = new Tone.PolySynth({
-            maxPolyphony: 8,
-            voice: Tone.Synth,
-            options: {
-              oscillator: {
-                type: preset.oscillator ? preset.oscillator.type : 'sine',
-                modulationType: "sine"
-              },
-              envelope: {
-                attack: preset.envelope.attack * 1.2,
-                decay: preset.envelope.decay,
-                sustain: preset.envelope.sustain,
-                release: preset.envelope.release * 1.5
-              },
-              portamento: 0.02
-            }
-          });
+          harmonySynth = createHarmonySynth(preset, 8);
           
           // Reconnect to audio chain
-          harmonySynth.connect(inputGain);
+          harmonySynth.connect(harmonyBusInput());
           harmonySynth.volume.value = leftHandVolume;
         }
       }, 100);
     }
     
+    bassLine.setChord(null);
+    harmonizer.setChord(null);
+    midiOutput.stopChord();
+    looper.noteOff('harmony');
     leftHandIsPlaying = false;
     currentChord = null;
     updateNoteDisplay();
@@ -662,25 +845,108 @@ function stopChord() {
   }
 }
 
-// Set volume based on distance from center and effects based on pinch distance
-function setVolume(hand, distanceFromCenter, pinchDistance) {
-  if (!window.audioStarted) return; // Only adjust volume if audio is started
+// Play one arpeggiator step on the harmony voice at its scheduled transport time
+function playArpeggioNote(note, duration, time) {
+  if (!window.audioStarted) return;
 
-  // Update gesture parameters for real instruments
-  if (pinchDistance !== undefined && pinchDistance !== null) {
-    currentPinchDistance = pinchDistance;
+  try {
+    if (currentInstrumentType === 'real' && currentRealInstrument) {
+      const velocity = mapRange(leftHandVolume, -30, 5, 0.3, 0.8);
+      // Samplers are triggered immediately, so wait for the step's time on the draw clock
+      Tone.Draw.schedule(() => {
+        playRealNote(currentRealInstrument, note, velocity, duration, undefined, undefined, 'harmony');
+      }, time);
+    } else if (harmonySynth) {
+      harmonySynth.triggerAttackRelease(tuning.tuneNote(note), duration, time, 0.6);
+    }
+
+    midiOutput.playTimedNote(note, handVolumeToVelocity(leftHandVolume), duration, secondsUntil(time));
+  } catch (error) {
+    console.warn("Error playing arpeggio note:", error);
   }
+}
 
-  // Map distance from center to volume (center = soft, edges = loud)
-  const volume = mapRange(distanceFromCenter, 0, 0.5, -30, 5);
+// Seconds from now until a scheduled audio time - measured against the context clock, since Tone.now()
+// already includes the look-ahead the transport schedules with
+function secondsUntil(time) {
+  return Math.max(0, time - Tone.context.currentTime);
+}
 
-  // Set volume for the appropriate hand
+// Play one step sequencer hit of the held chord at its scheduled transport time
+function playPatternChord(notes, duration, velocity, time) {
+  if (!window.audioStarted) return;
+
+  try {
+    if (currentInstrumentType === 'real' && currentRealInstrument) {
+      // Step velocity is scaled by the hand level, which the synth voice gets from its volume instead
+      const realVelocity = velocity * mapRange(leftHandVolume, -30, 5, 0.5, 1);
+      Tone.Draw.schedule(() => {
+        playRealChord(currentRealInstrument, notes, realVelocity, duration, undefined, undefined, 'harmony');
+      }, time);
+    } else if (harmonySynth) {
+      harmonySynth.triggerAttackRelease(tuning.tuneNotes(notes), duration, time, velocity);
+    }
+
+    const midiVelocity = Math.round(handVolumeToVelocity(leftHandVolume) * velocity);
+    notes.forEach(note => {
+      midiOutput.playTimedNote(note, midiVelocity, duration, secondsUntil(time));
+    });
+  } catch (error) {
+    console.warn("Error playing pattern chord:", error);
+  }
+}
+
+// Map a hand volume in dB to the 0-1 velocity stored with loop events
+function handVolumeToLoopVelocity(volume) {
+  return mapRange(volume, -30, 5, 0.2, 0.9);
+}
+
+// Polyphonic voice for loop playback on the given bus, built from the current preset
+function getLoopVoice(part) {
+  if (!loopVoices[part]) {
+    const preset = soundPresets[getSelectedSound()];
+    loopVoices[part] = createHarmonySynth(preset, 8);
+    loopVoices[part].connect(part === 'melody' ? melodyBusInput() : harmonyBusInput());
+  }
+  return loopVoices[part];
+}
+
+// Dispose the loop voices so the next loop event re-voices them with the current instrument
+function disposeLoopVoices() {
+  Object.keys(loopVoices).forEach(part => {
+    if (loopVoices[part]) {
+      loopVoices[part].releaseAll();
+      loopVoices[part].dispose();
+      loopVoices[part] = null;
+    }
+  });
+}
+
+// Play one looped note event on its hand's bus at its scheduled transport time
+function playLoopEvent(part, notes, duration, velocity, time) {
+  if (!window.audioStarted) return;
+
+  try {
+    if (currentInstrumentType === 'real' && currentRealInstrument) {
+      Tone.Draw.schedule(() => {
+        playRealChord(currentRealInstrument, notes, velocity, duration, undefined, undefined, part);
+      }, time);
+    } else {
+      getLoopVoice(part).triggerAttackRelease(tuning.tuneNotes(notes), duration, time, velocity);
+    }
+  } catch (error) {
+    console.warn("Error playing loop event:", error);
+  }
+}
+
+// Set one hand's voice volume in dB (-30 to +5) - used by gestures and MIDI input velocity
+function setHandVolume(hand, volume) {
   if (hand === 'left') {
     leftHandVolume = volume;
     if (currentInstrumentType === 'real' && currentRealInstrument) {
       // For real instruments, we'll use volume changes to affect velocity in note triggering
       // The actual volume control happens during note playing
-      setRealInstrumentVolume(currentRealInstrument, volume);
+      setRealInstrumentVolume(currentRealInstrument, volume, 'harmony');
     } else if (harmonySynth) {
       harmonySynth.volume.value = volume;
     }
@@ -694,9 +960,37 @@ function setVolume(hand, distanceFromCenter, pinchDistance) {
       melodySynth.volume.value = volume;
     }
   }
+}
 
-  // Control effects with pinch distance (with throttling to prevent noise)
-  setEffects(pinchDistance);
+// Map a MIDI velocity to a hand volume in dB
+function velocityToHandVolume(velocity) {
+  return mapRange(velocity, 1, 127, -30, 5);
+}
+
+// Map a hand volume in dB (-30 to +5) to a MIDI velocity
+function handVolumeToVelocity(volume) {
+  return Math.round(mapRange(volume, -30, 5, 1, 127));
+}
+
+// Set volume based on distance from center and effects based on pinch distance
+function setVolume(hand, distanceFromCenter, pinchDistance) {
+  if (!window.audioStarted) return; // Only adjust volume if audio is started
+
+  // Update gesture parameters for real instruments
+  if (pinchDistance !== undefined && pinchDistance !== null) {
+    currentPinchDistance = pinchDistance;
+  }
+
+  // Map distance from center to volume (center = soft, edges = loud)
+  setHandVolume(hand, mapRange(distanceFromCenter, 0, 0.5, -30, 5));
+
+  // Control this hand's effect sends with pinch distance (with throttling to prevent noise)
+  setEffects(pinchDistance, hand);
+
+  // Pinched = higher CC value, matching the effect send direction
+  if (pinchDistance !== undefined && pinchDistance !== null) {
+    midiOutput.sendPinch(hand, mapRange(pinchDistance, MIN_PINCH_DIST, MAX_PINCH_DIST, 1, 0));
+  }
 }
 
 // New function to update gesture parameters for real instrument expression
@@ -735,32 +1029,36 @@ function updateGestureParameters(handType, handPosition, pinchDistance, fingerPo
   // For example, finger positions could control tremolo, vibrato, etc.
 }
 
-// Set reverb and delay effects based on pinch distance with sensitivity control
-function setEffects(pinchDistance) {
-  if (!window.audioStarted || !reverb || !delay) return;
+// Set the pinching hand's reverb and delay sends based on pinch distance
+function setEffects(pinchDistance, hand = 'right') {
+  if (!window.audioStarted || !mixer.built) return;
 
   const now = Date.now();
 
   // Throttle effect changes to prevent audio artifacts
-  if (now - lastEffectChangeTime < EFFECT_CHANGE_THRESHOLD) {
+  if (now - lastEffectChangeTime[hand] < EFFECT_CHANGE_THRESHOLD) {
     return;
   }
 
-  lastEffectChangeTime = now;
+  lastEffectChangeTime[hand] = now;
+
+  // Left hand plays chords on the harmony strip, right hand plays the melody strip
+  const strip = mixer.getStrip(hand === 'left' ? 'harmony' : 'melody');
 
   // Map pinch distance to effect intensity (pinched = more effect)
   const effectIntensity = mapRange(pinchDistance, MIN_PINCH_DIST, MAX_PINCH_DIST, 1, 0);
 
-  // Apply reverb
-  const reverbWet = effectIntensity * 0.4; // Max 40% wet signal
-  reverb.wet.rampTo(reverbWet, 0.1);
+  strip.setSend('reverb', effectIntensity * 0.4); // Max 40% send
+  strip.setSend('delay', effectIntensity * 0.3); // Max 30% send
+}
 
-  // Apply delay
-  const delayWet = effectIntensity * 0.3; // Max 30% wet signal
-  const delayFeedback = effectIntensity * 0.4; // Max 40% feedback
+// Reverb/delay character knobs shape both the rack insert and the shared send return
+function getReverbNodes() {
+  return [reverb, mixer.getReturn('reverb')].filter(Boolean);
+}
 
-  delay.wet.rampTo(delayWet, 0.1);
-  delay.feedback.rampTo(delayFeedback, 0.1);
+function getDelayNodes() {
+  return [delay, mixer.getReturn('delay')].filter(Boolean);
 }
 
 // Manual effect control functions for the control panel
@@ -777,9 +1075,10 @@ function setDelayAmountManual(amount) {
 }
 
 function setDelayTimeManual(time) {
-  if (delay) {
-    delay.delayTime.value = time;
-  }
+  delayTimeSetting = time;
+  getDelayNodes().forEach(node => {
+    node.delayTime.value = Tone.Time(time).toSeconds();
+  });
 }
 
 function setFilterFrequencyManual(freq) {
@@ -803,15 +1102,15 @@ function setInputGainManual(value) {
 }
 
 function setReverbSizeManual(value) {
-  if (reverb) {
-    reverb.decay = value;
-  }
+  getReverbNodes().forEach(node => {
+    node.decay = value;
+  });
 }
 
 function setReverbPredelayManual(value) {
-  if (reverb) {
-    reverb.preDelay = value / 1000; // Convert ms to seconds
-  }
+  getReverbNodes().forEach(node => {
+    node.preDelay = value / 1000; // Convert ms to seconds
+  });
 }
 
 function setStereoWidthManual(value) {
@@ -822,12 +1121,14 @@ function setStereoWidthManual(value) {
 }
 
 function setDelayFeedbackManual(value) {
-  if (delay) {
-    delay.feedback.rampTo(value / 100, 0.1);
-  }
+  getDelayNodes().forEach(node => {
+    node.feedback.rampTo(value / 100, 0.1);
+  });
 }
 
 function setChorusRateManual(value) {
+  modulationRates.chorus = value;
+  if (modulationSync.chorus !== 'free') return; // Tempo sync overrides the knob
   if (chorus && chorus.frequency && typeof chorus.frequency.rampTo === 'function') {
     chorus.frequency.rampTo(value, 0.1);
   }
@@ -906,23 +1207,59 @@ function setDistortionManual(value) {
 }
 
 function setPhaserRateManual(value) {
-  // Placeholder - would need Tone.Phaser
-  console.log(`Phaser rate set to ${value} Hz`);
+  if (phaser && phaser.frequency) {
+    phaser.frequency.rampTo(value, 0.1);
+  }
 }
 
 function setPhaserDepthManual(value) {
-  // Placeholder - would need Tone.Phaser
-  console.log(`Phaser depth set to ${value}%`);
+  // Depth controls how much of the phased signal is mixed in
+  if (phaser) {
+    phaser.wet.rampTo(value / 100, 0.1);
+  }
 }
 
 function setTremoloRateManual(value) {
-  // Placeholder - would need Tone.Tremolo
-  console.log(`Tremolo rate set to ${value} Hz`);
+  modulationRates.tremolo = value;
+  if (modulationSync.tremolo !== 'free') return; // Tempo sync overrides the knob
+  if (tremolo && tremolo.frequency) {
+    tremolo.frequency.rampTo(value, 0.1);
+  }
+}
+
+// Lock the chorus or tremolo rate to a note value ('4n', '8n', ...) or 'free' to use the rate knob
+function setModulationSyncManual(effect, division) {
+  if (!(effect in modulationSync)) return;
+  modulationSync[effect] = division || 'free';
+  applyModulationRate(effect);
+}
+
+function getModulationSync() {
+  return { ...modulationSync };
+}
+
+function applyModulationRate(effect) {
+  const node = effect === 'chorus' ? chorus : tremolo;
+  if (!node || !node.frequency || typeof node.frequency.rampTo !== 'function') return;
+
+  const rate = modulationSync[effect] === 'free'
+    ? modulationRates[effect]
+    : Tone.Time(modulationSync[effect]).toFrequency();
+  node.frequency.rampTo(rate, 0.1);
+}
+
+// Re-apply note-value settings after a tempo change
+function applyTempoSync() {
+  setDelayTimeManual(delayTimeSetting);
+  Object.keys(modulationSync).forEach(effect => {
+    if (modulationSync[effect] !== 'free') applyModulationRate(effect);
+  });
 }
 
 function setTremoloDepthManual(value) {
-  // Placeholder - would need Tone.Tremolo
-  console.log(`Tremolo depth set to ${value}%`);
+  if (tremolo && tremolo.depth) {
+    tremolo.depth.rampTo(value / 100, 0.1);
+  }
 }
 
 function setAutoWahManual(value) {
@@ -981,14 +1318,51 @@ function setOscillatorDetuneManual(value) {
   }
 }
 
+// FM ratio - modulator frequency as a multiple of the carrier
 function setFMFrequencyManual(value) {
-  // Placeholder for FM synthesis - would need Tone.FMSynth
-  console.log(`FM frequency set to ${value} Hz`);
+  fmSettings.harmonicity = value;
+
+  if (voiceEngine !== 'fm') return;
+  if (melodySynth && melodySynth.harmonicity) {
+    melodySynth.harmonicity.rampTo(value, 0.1);
+  }
+  if (harmonySynth) {
+    harmonySynth.set({ harmonicity: value });
+  }
 }
 
+// FM depth - modulation index as a percentage of MAX_FM_MODULATION_INDEX
 function setFMDepthManual(value) {
-  // Placeholder for FM synthesis - would need Tone.FMSynth
-  console.log(`FM depth set to ${value}%`);
+  const modulationIndex = (value / 100) * MAX_FM_MODULATION_INDEX;
+  fmSettings.modulationIndex = modulationIndex;
+
+  if (voiceEngine !== 'fm') {
+    // Switch plain synths over to FM voices the first time depth is raised
+    if (modulationIndex > 0) rebuildSyntheticVoices();
+    return;
+  }
+  if (melodySynth && melodySynth.modulationIndex) {
+    melodySynth.modulationIndex.rampTo(modulationIndex, 0.1);
+  }
+  if (harmonySynth) {
+    harmonySynth.set({ modulationIndex: modulationIndex });
+  }
+}
+
+// Modulator envelope for FM voices - shapes how the timbre evolves over a note
+function setFMModulationEnvelopeManual(envelope) {
+  if (voiceEngine !== 'fm') return;
+  if (melodySynth && melodySynth.modulationEnvelope) {
+    melodySynth.modulationEnvelope.set(envelope);
+  }
+  if (harmonySynth) {
+    harmonySynth.set({ modulationEnvelope: envelope });
+  }
+}
+
+// Convert an FM modulation index back to the FM Depth knob percentage
+function fmIndexToDepth(modulationIndex) {
+  return (modulationIndex / MAX_FM_MODULATION_INDEX) * 100;
 }
 
 function setOscillatorTypeManual(type) {
@@ -1009,6 +1383,8 @@ export {
   stopMelody,
   stopChord,
   setVolume,
+  setHandVolume,
+  velocityToHandVolume,
   setEffects,
   updateGestureParameters,
   // Basic effects
@@ -1041,6 +1417,8 @@ export {
   setTremoloRateManual,
   setTremoloDepthManual,
   setAutoWahManual,
+  setModulationSyncManual,
+  getModulationSync,
   // Envelope controls
   setEnvelopeAttackManual,
   setEnvelopeDecayManual,
@@ -1050,13 +1428,44 @@ export {
   setOscillatorDetuneManual,
   setFMFrequencyManual,
   setFMDepthManual,
+  setFMModulationEnvelopeManual,
+  fmIndexToDepth,
   setOscillatorTypeManual,
+  // Mixer
+  setChannelLevelManual,
+  setChannelPanManual,
+  setChannelEQManual,
+  setReturnLevelManual,
+  mixer,
+  // Master output tap
+  getMasterOutput,
+  // Arpeggiator
+  getArpeggiator,
+  // Step sequencer
+  getStepSequencer,
+  // Chord hand mode (hold, arpeggio or step pattern)
+  getChordHandMode,
+  setChordHandMode,
+  // Drum machine
+  getDrumMachine,
+  // Bass line
+  getBassLine,
+  // Harmonizer
+  getHarmonizer,
+  // Looper
+  getLooper,
+  // Effects rack
+  getEffectsRack,
+  getEffectsRackDescription,
+  loadEffectsRack,
   // Audio objects
   melodySynth,
   harmonySynth,
   reverb,
   delay,
   filter,
+  phaser,
+  tremolo,
   masterGain,
   inputGain,
   // State variables
@@ -1064,8 +1473,11 @@ export {
   rightHandIsPlaying,
   currentMelodyNote,
   currentChord,
+  leftHandVolume,
+  rightHandVolume,
   noteChangeTime,
   chordChangeTime,
+  voiceEngine,
   // Real instrument state
   currentInstrumentType,
   currentRealInstrument,
@@ -0,0 +1,344 @@
+/**
+ * HandSynth - Bass Line Module
+ * Tempo-locked bass voice following the left-hand chord with root, inversion, walking, octave and root-fifth patterns
+ */
+
+import { noteNameToMidi, midiNumberToNoteName } from './musicTheory.js';
+import { getRealInstrumentConfig } from './realInstruments.js';
+import { transport } from './transport.js';
+import { tuning } from './tuning.js';
+
+const DOWNBEAT_VELOCITY = 0.9; // First step of each bar - the other steps play at STEP_VELOCITY
+const STEP_VELOCITY = 0.7;
+
+// Bass voices - synths need nothing loaded, the cello sampler loads its samples on first use
+const BASS_SOUNDS = {
+  sub: {
+    name: 'Sub Bass',
+    create: () => new Tone.MonoSynth({
+      oscillator: { type: 'sine' },
+      envelope: { attack: 0.01, decay: 0.3, sustain: 0.8, release: 0.2 },
+      filterEnvelope: { attack: 0.01, decay: 0.1, sustain: 1, release: 0.2, baseFrequency: 400, octaves: 1 },
+      volume: -4
+    })
+  },
+  synth: {
+    name: 'Synth Bass',
+    create: () => new Tone.MonoSynth({
+      oscillator: { type: 'sawtooth' },
+      filter: { type: 'lowpass', Q: 2, rolloff: -24 },
+      envelope: { attack: 0.005, decay: 0.2, sustain: 0.5, release: 0.15 },
+      filterEnvelope: { attack: 0.005, decay: 0.15, sustain: 0.2, release: 0.2, baseFrequency: 120, octaves: 3 },
+      volume: -10
+    })
+  },
+  fm: {
+    name: 'FM Bass',
+    create: () => new Tone.FMSynth({
+      harmonicity: 1,
+      modulationIndex: 6,
+      envelope: { attack: 0.005, decay: 0.3, sustain: 0.4, release: 0.2 },
+      modulationEnvelope: { attack: 0.005, decay: 0.2, sustain: 0.2, release: 0.2 },
+      volume: -8
+    })
+  },
+  cello: {
+    name: 'Cello (Sampled)',
+    create: () => {
+      const config = getRealInstrumentConfig('realCello');
+      return new Tone.Sampler({
+        urls: { ...config.samples, ...(config.chromaticSamples || {}) },
+        baseUrl: config.baseUrl,
+        attack: 0.02,
+        release: 0.6
+      });
+    }
+  }
+};
+
+// Which chord tone the bass plays in place of the root
+const BASS_INVERSIONS = {
+  'root': 'Root Position',
+  'first': '1st Inversion (3rd)',
+  'second': '2nd Inversion (5th)',
+  'third': '3rd Inversion (7th)'
+};
+
+// Patterns pick a note for each step from the chord tones in the bass register (see getBassTones)
+const BASS_PATTERNS = {
+  'root': {
+    name: 'Root',
+    gate: 0.9,
+    note: (tones) => tones.bass
+  },
+  'root-fifth': {
+    name: 'Root-Fifth',
+    gate: 0.8,
+    note: (tones, step) => (step % 2 === 0 ? tones.bass : tones.fifth)
+  },
+  'octave': {
+    name: 'Octave Pump',
+    gate: 0.45,
+    note: (tones, step) => tones.bass + (step % 2) * 12
+  },
+  'walking': {
+    name: 'Walking',
+    gate: 0.9,
+    // Chord tones up from the bass, then a chromatic approach back into it on the last step of the bar
+    note: (tones, step, stepsPerBar) => {
+      if (step === 0) return tones.bass;
+      if (step === stepsPerBar - 1) return tones.bass - 1;
+      return tones.above[(step - 1) % tones.above.length];
+    }
+  }
+};
+
+const BASS_LINE_RATES = {
+  '2n': '1/2',
+  '4n': '1/4',
+  '8n': '1/8'
+};
+
+const DEFAULT_BASS_LINE_SETTINGS = {
+  enabled: false,
+  pattern: 'root',
+  inversion: 'root',
+  rate: '4n',
+  octave: 2, // Octave the bass note is placed in, 1-3
+  sound: 'sub'
+};
+
+// Work out the bass note and the chord tones above it, as standard MIDI numbers, from a chord
+// ({ root, notes }) - the chord's notes can be in any voicing or order
+function getBassTones(chord, inversion, octave) {
+  if (!chord || !chord.notes || chord.notes.length === 0) return null;
+
+  const pitchClasses = [...new Set(chord.notes.map(note => noteNameToMidi(note) % 12))];
+  const rootClass = chord.root ? noteNameToMidi(`${chord.root}4`) % 12 : pitchClasses[0];
+  const findTone = (...intervals) => {
+    const found = intervals.find(interval => pitchClasses.includes((rootClass + interval) % 12));
+    return found === undefined ? undefined : (rootClass + found) % 12;
+  };
+
+  const inversionClasses = {
+    root: rootClass,
+    first: findTone(4, 3, 5, 2),
+    second: findTone(7, 6, 8),
+    third: findTone(11, 10, 9)
+  };
+  const bassClass = inversionClasses[inversion] ?? rootClass;
+
+  // The bass note is the lowest one with its pitch class in the chosen octave
+  const octaveStart = (octave + 1) * 12;
+  const bass = octaveStart + bassClass;
+  const above = pitchClasses
+    .filter(pitchClass => pitchClass !== bassClass)
+    .map(pitchClass => bass + ((pitchClass - bassClass + 12) % 12))
+    .sort((a, b) => a - b);
+
+  // A fifth above the bass - the chord's 5th, or its root when the 5th is already the bass
+  const fifthClass = bassClass === inversionClasses.second || inversionClasses.second === undefined
+    ? rootClass
+    : inversionClasses.second;
+  const fifth = bass + (((fifthClass - bassClass + 12) % 12) || 12);
+
+  return { bass, fifth, above: above.length > 0 ? above : [bass + 12] };
+}
+
+class BassLine {
+  constructor(getOutput, settings = {}) {
+    this.getOutput = getOutput; // () => AudioNode the bass connects to (null until the mixer is built)
+    this.settings = { ...DEFAULT_BASS_LINE_SETTINGS, ...settings };
+    this.chord = null;
+    this.tones = null;
+    this.voice = null;
+    this.voiceSound = null;
+    this.loop = null;
+    this.changeCallbacks = [];
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Build the voice for the selected sound on first use, once the audio chain exists
+  ensureVoice() {
+    if (this.voice && this.voiceSound === this.settings.sound) return true;
+
+    const output = this.getOutput();
+    if (!output) return false;
+
+    this.disposeVoice();
+    this.voice = BASS_SOUNDS[this.settings.sound].create().connect(output);
+    this.voiceSound = this.settings.sound;
+    return true;
+  }
+
+  disposeVoice() {
+    if (!this.voice) return;
+    if (this.voice instanceof Tone.Sampler) {
+      this.voice.releaseAll();
+    } else {
+      this.voice.triggerRelease();
+    }
+    this.voice.dispose();
+    this.voice = null;
+    this.voiceSound = null;
+  }
+
+  // Start playing on the transport - the transport is started if it isn't running
+  start() {
+    if (this.loop) return;
+
+    this.loop = new Tone.Loop((time) => this.tick(time), this.settings.rate);
+    this.loop.start(0);
+    transport.start();
+  }
+
+  stop() {
+    if (!this.loop) return;
+    this.loop.stop();
+    this.loop.dispose();
+    this.loop = null;
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = !!enabled;
+    if (this.settings.enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+    this.notifyCallbacks();
+  }
+
+  // Follow the held chord - null silences the bass
+  setChord(chord) {
+    const chordKey = (chord) => (chord && chord.notes ? chord.notes.join(',') : '');
+    if (chordKey(chord) === chordKey(this.chord)) return;
+
+    this.chord = chord && chord.notes && chord.notes.length > 0 ? chord : null;
+    this.updateTones();
+  }
+
+  updateTones() {
+    this.tones = getBassTones(this.chord, this.settings.inversion, this.settings.octave);
+  }
+
+  setPattern(pattern) {
+    if (!BASS_PATTERNS[pattern]) return;
+    this.settings.pattern = pattern;
+    this.notifyCallbacks();
+  }
+
+  setInversion(inversion) {
+    if (!BASS_INVERSIONS[inversion]) return;
+    this.settings.inversion = inversion;
+    this.updateTones();
+    this.notifyCallbacks();
+  }
+
+  setRate(rate) {
+    if (!BASS_LINE_RATES[rate]) return;
+    this.settings.rate = rate;
+    if (this.loop) {
+      this.loop.interval = rate;
+    }
+    this.notifyCallbacks();
+  }
+
+  setOctave(octave) {
+    const value = parseInt(octave);
+    if (isNaN(value)) return;
+    this.settings.octave = Math.max(1, Math.min(3, value));
+    this.updateTones();
+    this.notifyCallbacks();
+  }
+
+  // The new voice is built on the next step
+  setSound(sound) {
+    if (!BASS_SOUNDS[sound]) return;
+    this.settings.sound = sound;
+    this.notifyCallbacks();
+  }
+
+  // Step within the bar, from the transport position
+  getStepAtTime(time) {
+    const ticksPerStep = Tone.Time(this.settings.rate).toTicks();
+    const stepsPerBar = Math.max(1, Math.round(Tone.Time('1m').toTicks() / ticksPerStep));
+    const step = Math.floor(Tone.Transport.getTicksAtTime(time) / ticksPerStep + 0.5) % stepsPerBar;
+    return { step, stepsPerBar };
+  }
+
+  tick(time) {
+    if (!this.tones || !this.ensureVoice()) return;
+
+    // Samples are still loading
+    if (this.voice instanceof Tone.Sampler && !this.voice.loaded) return;
+
+    const pattern = BASS_PATTERNS[this.settings.pattern];
+    const { step, stepsPerBar } = this.getStepAtTime(time);
+    const note = midiNumberToNoteName(pattern.note(this.tones, step, stepsPerBar));
+    const duration = Tone.Time(this.settings.rate).toSeconds() * pattern.gate;
+
+    try {
+      this.voice.triggerAttackRelease(tuning.tuneNote(note), duration, time, step === 0 ? DOWNBEAT_VELOCITY : STEP_VELOCITY);
+    } catch (error) {
+      console.warn(`Error playing bass note ${note}:`, error);
+    }
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    const merged = { ...DEFAULT_BASS_LINE_SETTINGS, ...settings };
+    this.setPattern(merged.pattern);
+    this.setInversion(merged.inversion);
+    this.setRate(merged.rate);
+    this.setOctave(merged.octave);
+    this.setSound(merged.sound);
+    this.setEnabled(merged.enabled);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const settings = this.getSettings();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        console.warn('Bass line callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    this.disposeVoice();
+    this.chord = null;
+    this.tones = null;
+  }
+}
+
+export {
+  BassLine,
+  BASS_SOUNDS,
+  BASS_PATTERNS,
+  BASS_INVERSIONS,
+  BASS_LINE_RATES,
+  DEFAULT_BASS_LINE_SETTINGS,
+  getBassTones
+};
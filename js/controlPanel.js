@@ -3,7 +3,8 @@
  * Full-featured sound control panel with slide-down animation
  */
 
-import { scales, notes, soundPresets, selectedRoot, selectedScale, octave, getSelectedSound, updateMusicParameters } from './musicTheory.js';
+import { scales, SCALE_DISPLAY_NAMES, notes, soundPresets, selectedRoot, selectedScale, octave, getSelectedSound, updateMusicParameters, midiNumberToNoteName, CHORD_COMPLEXITIES, getChordComplexity, setChordComplexity, getVoicingSettings, setVoicingSettings, MELODY_MODES, DEFAULT_MELODY_SETTINGS, getMelodySettings, setMelodySettings } from './musicTheory.js';
+import { VOICING_STYLES, DEFAULT_VOICING_SETTINGS } from './voicing.js';
 import {
     updateSynths,
     setReverbAmountManual, setDelayAmountManual, setDelayTimeManual, setFilterFrequencyManual,
@@ -15,9 +16,28 @@ import {
     setDistortionManual, setPhaserRateManual, setPhaserDepthManual,
     setTremoloRateManual, setTremoloDepthManual, setAutoWahManual,
     setEnvelopeAttackManual, setEnvelopeDecayManual, setEnvelopeSustainManual, setEnvelopeReleaseManual,
-    setOscillatorDetuneManual, setFMFrequencyManual, setFMDepthManual, setOscillatorTypeManual
+    setOscillatorDetuneManual, setFMFrequencyManual, setFMDepthManual, setOscillatorTypeManual,
+    fmIndexToDepth, getEffectsRack,
+    setChannelLevelManual, setChannelPanManual, setChannelEQManual, setReturnLevelManual,
+    getMasterOutput, getArpeggiator, getStepSequencer, getChordHandMode, setChordHandMode,
+    setModulationSyncManual, getLooper, getDrumMachine, getBassLine, getHarmonizer
 } from './audio.js';
+import { transport, TIME_SIGNATURES, DEFAULT_TRANSPORT_SETTINGS } from './transport.js';
+import { EFFECT_TYPES, DEFAULT_RACK_DESCRIPTION } from './effectsRack.js';
+import { ARPEGGIATOR_PATTERNS, ARPEGGIATOR_RATES, DEFAULT_ARPEGGIATOR_SETTINGS } from './arpeggiator.js';
+import { STEP_COUNT, STEP_PATTERNS, STEP_SEQUENCER_RATES, DEFAULT_STEP_SEQUENCER_SETTINGS } from './stepSequencer.js';
+import { DRUM_KIT, DRUM_PATTERNS, DRUM_GESTURE_ACTIONS, DEFAULT_DRUM_SETTINGS } from './drumMachine.js';
+import { HARMONY_VOICES, DEFAULT_HARMONIZER_SETTINGS } from './harmonizer.js';
+import { BASS_SOUNDS, BASS_PATTERNS, BASS_INVERSIONS, BASS_LINE_RATES, DEFAULT_BASS_LINE_SETTINGS } from './bassLine.js';
+import { customScaleLibrary } from './customScales.js';
+import { tuning } from './tuning.js';
+import { sessionRecorder, downloadRecording, formatElapsedTime } from './sessionRecorder.js';
+import { gestureRecorder } from './gestureRecorder.js';
+import { initMIDI, isMIDIAvailable, getMIDIOutputs, getMIDIInputs, onMIDIPortsChange, midiOutput, midiInput } from './midi.js';
+import { initMIDIRouting, releaseMIDIInputNotes } from './midiRouter.js';
+import { startGestureReplay, stopGestureReplay } from './handTracking.js';
 import { showMessage } from './utils.js';
+import { updateUI } from './ui.js';
 import { KnobManager } from './knobControl.js';
 import { PresetManager } from './presetManager.js';
 
@@ -32,6 +52,19 @@ function initControlPanel() {
     setupKnobControls();
     setupPresetManager();
     setupEventListeners();
+    setupCustomScaleControls();
+    setupTuningControls();
+    setupEffectsRackControls();
+    setupTransportControls();
+    setupArpeggiatorControls();
+    setupStepSequencerControls();
+    setupHarmonizerControls();
+    setupBassLineControls();
+    setupDrumMachineControls();
+    setupMIDIControls();
+    setupLooperControls();
+    setupRecorderControls();
+    setupGestureSessionControls();
     initializeStatusIndicators();
 }
 
@@ -48,14 +81,7 @@ function populateSelectors() {
     });
 
     // Populate scale selector
-    const panelScaleSelect = document.getElementById('panel-scale-select');
-    Object.keys(scales).forEach(scale => {
-        const option = document.createElement('option');
-        option.value = scale;
-        option.textContent = scale.charAt(0).toUpperCase() + scale.slice(1);
-        if (scale === selectedScale) option.selected = true;
-        panelScaleSelect.appendChild(option);
-    });
+    populateScaleSelector();
 
     // Populate octave selector
     const panelOctaveSelect = document.getElementById('panel-octave-select');
@@ -67,10 +93,81 @@ function populateSelectors() {
         panelOctaveSelect.appendChild(option);
     }
 
+    // Populate chord complexity selector
+    const chordComplexitySelect = document.getElementById('chord-complexity');
+    Object.entries(CHORD_COMPLEXITIES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        if (value === getChordComplexity()) option.selected = true;
+        chordComplexitySelect.appendChild(option);
+    });
+
+    // Populate voicing style and register limit selectors
+    const voicingStyleSelect = document.getElementById('voicing-style');
+    Object.entries(VOICING_STYLES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        voicingStyleSelect.appendChild(option);
+    });
+
+    // Lowest note from C0 to C4, highest from C4 to C8
+    const voicingLowSelect = document.getElementById('voicing-low-note');
+    const voicingHighSelect = document.getElementById('voicing-high-note');
+    [[voicingLowSelect, 12, 60], [voicingHighSelect, 60, 108]].forEach(([select, firstNote, lastNote]) => {
+        for (let noteNumber = firstNote; noteNumber <= lastNote; noteNumber++) {
+            const option = document.createElement('option');
+            option.value = noteNumber;
+            option.textContent = midiNumberToNoteName(noteNumber);
+            select.appendChild(option);
+        }
+    });
+    updateVoicingControls();
+
+    // Populate melody zone mode selector
+    const melodyModeSelect = document.getElementById('melody-mode');
+    Object.entries(MELODY_MODES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        melodyModeSelect.appendChild(option);
+    });
+    updateMelodyControls();
+
     // Sound selector will be populated after preset manager is initialized
     populateSoundSelector();
 }
 
+// Show the current voicing style and register limits
+function updateVoicingControls() {
+    const { style, lowNote, highNote } = getVoicingSettings();
+    document.getElementById('voicing-style').value = style;
+    document.getElementById('voicing-low-note').value = lowNote;
+    document.getElementById('voicing-high-note').value = highNote;
+}
+
+// Sync the melody zone selectors with the current mode and tensions option
+function updateMelodyControls() {
+    const { mode, tensions } = getMelodySettings();
+    document.getElementById('melody-mode').value = mode;
+    document.getElementById('melody-tensions').value = tensions ? 'on' : 'off';
+}
+
+// Populate scale selector - rebuilt when custom scales are added or removed
+function populateScaleSelector() {
+    const panelScaleSelect = document.getElementById('panel-scale-select');
+    panelScaleSelect.innerHTML = '';
+
+    Object.keys(scales).forEach(scale => {
+        const option = document.createElement('option');
+        option.value = scale;
+        option.textContent = SCALE_DISPLAY_NAMES[scale] || scale.charAt(0).toUpperCase() + scale.slice(1);
+        if (scale === selectedScale) option.selected = true;
+        panelScaleSelect.appendChild(option);
+    });
+}
+
 // Populate sound selector with both default and custom presets
 function populateSoundSelector() {
     const panelSoundSelect = document.getElementById('panel-sound-select');
@@ -124,6 +221,31 @@ function setupKnobControls() {
         setInputGainManual(value);
     });
 
+    // Mixer channel strips (melody = right hand, harmony = left hand, bass = bass line, drums = drum machine)
+    ['melody', 'harmony', 'bass', 'drums'].forEach(channel => {
+        knobManager.setKnobCallback(`${channel}-level`, (value) => {
+            setChannelLevelManual(channel, value);
+        });
+
+        knobManager.setKnobCallback(`${channel}-pan`, (value) => {
+            setChannelPanManual(channel, value);
+        });
+
+        ['low', 'mid', 'high'].forEach(band => {
+            knobManager.setKnobCallback(`${channel}-eq-${band}`, (value) => {
+                setChannelEQManual(channel, band, value);
+            });
+        });
+    });
+
+    knobManager.setKnobCallback('reverb-return', (value) => {
+        setReturnLevelManual('reverb', value);
+    });
+
+    knobManager.setKnobCallback('delay-return', (value) => {
+        setReturnLevelManual('delay', value);
+    });
+
     knobManager.setKnobCallback('reverb-amount', (value) => {
         setReverbAmountManual(value / 100);
     });
@@ -286,19 +408,57 @@ function setupEventListeners() {
     // Musical settings
     document.getElementById('panel-root-select').addEventListener('change', (e) => {
         updateMusicParameters(null, e.target.value, null, null);
+        updateUI();
         showMessage(`Root note changed to ${e.target.value}`);
     });
 
     document.getElementById('panel-scale-select').addEventListener('change', (e) => {
         updateMusicParameters(e.target.value, null, null, null);
-        showMessage(`Scale changed to ${e.target.value}`);
+        updateUI();
+        showMessage(`Scale changed to ${SCALE_DISPLAY_NAMES[e.target.value] || e.target.value}`);
     });
 
     document.getElementById('panel-octave-select').addEventListener('change', (e) => {
         updateMusicParameters(null, null, parseInt(e.target.value), null);
+        updateUI();
         showMessage(`Octave changed to ${e.target.value}`);
     });
 
+    document.getElementById('chord-complexity').addEventListener('change', (e) => {
+        setChordComplexity(e.target.value);
+        showMessage(`Chord complexity: ${CHORD_COMPLEXITIES[e.target.value]}`);
+    });
+
+    document.getElementById('voicing-style').addEventListener('change', (e) => {
+        setVoicingSettings({ style: e.target.value });
+        showMessage(`Voicing style: ${VOICING_STYLES[e.target.value]}`);
+    });
+
+    // The limits are kept two octaves apart, so moving one may push the other along
+    document.getElementById('voicing-low-note').addEventListener('change', (e) => {
+        const lowNote = parseInt(e.target.value);
+        setVoicingSettings({ lowNote, highNote: Math.max(getVoicingSettings().highNote, lowNote + 24) });
+        updateVoicingControls();
+        showMessage(`Lowest chord note: ${midiNumberToNoteName(getVoicingSettings().lowNote)}`);
+    });
+
+    document.getElementById('voicing-high-note').addEventListener('change', (e) => {
+        const highNote = parseInt(e.target.value);
+        setVoicingSettings({ highNote, lowNote: Math.min(getVoicingSettings().lowNote, highNote - 24) });
+        updateVoicingControls();
+        showMessage(`Highest chord note: ${midiNumberToNoteName(getVoicingSettings().highNote)}`);
+    });
+
+    document.getElementById('melody-mode').addEventListener('change', (e) => {
+        setMelodySettings({ mode: e.target.value });
+        showMessage(`Melody zones: ${MELODY_MODES[e.target.value]}`);
+    });
+
+    document.getElementById('melody-tensions').addEventListener('change', (e) => {
+        setMelodySettings({ tensions: e.target.value === 'on' });
+        showMessage(e.target.value === 'on' ? 'Melody tensions on' : 'Melody tensions off');
+    });
+
     document.getElementById('panel-sound-select').addEventListener('change', (e) => {
         const value = e.target.value;
         console.log(`Control panel: Sound selector changed to ${value}`);
@@ -308,10 +468,9 @@ function setupEventListeners() {
             const instrumentName = value.replace('builtin:', '');
             console.log(`Control panel: Switching to builtin instrument: ${instrumentName}`);
 
-            // Reset knobs to defaults when switching to built-in instruments
-            resetKnobsToDefaults();
-
+            // Switch instrument first so the knob reset (e.g. the FM knobs) rebuilds voices with the new preset
             updateMusicParameters(null, null, null, instrumentName);
+            resetKnobsToDefaults(instrumentName);
             updateSynths();
             showMessage(`Instrument changed to ${instrumentName}`);
 
@@ -338,6 +497,13 @@ function setupEventListeners() {
         showMessage(`Delay time set to ${e.target.selectedOptions[0].text}`);
     });
 
+    // Chorus and tremolo tempo sync selectors
+    ['chorus', 'tremolo'].forEach(effect => {
+        document.getElementById(`${effect}-sync`).addEventListener('change', (e) => {
+            setModulationSyncManual(effect, e.target.value);
+        });
+    });
+
     // Oscillator type selector
     document.getElementById('oscillator-type').addEventListener('change', (e) => {
         setOscillatorTypeManual(e.target.value);
@@ -451,6 +617,1109 @@ function setupPresetEventListeners() {
     updatePresetButtonStates(false);
 }
 
+// Setup the effects rack editor (add, reorder, bypass, duplicate, remove)
+function setupEffectsRackControls() {
+    const rack = getEffectsRack();
+    const typeSelect = document.getElementById('effects-rack-type');
+    if (!typeSelect) return;
+
+    Object.entries(EFFECT_TYPES).forEach(([type, effectType]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = effectType.name;
+        typeSelect.appendChild(option);
+    });
+
+    document.getElementById('effects-rack-add').addEventListener('click', () => {
+        rack.addEffect(typeSelect.value);
+        showMessage(`${EFFECT_TYPES[typeSelect.value].name} added to rack`);
+    });
+
+    document.getElementById('effects-rack-reset').addEventListener('click', () => {
+        rack.load(DEFAULT_RACK_DESCRIPTION);
+        showMessage('Effects rack reset to default order');
+    });
+
+    // Slot buttons are re-rendered on every change, so handle clicks on the list
+    document.getElementById('effects-rack-list').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        // The list re-renders before the click reaches the document, which would
+        // otherwise see a detached target and close the panel
+        e.stopPropagation();
+
+        const id = button.closest('li').dataset.slotId;
+        const index = rack.getSlots().findIndex(slot => slot.id === id);
+
+        switch (button.dataset.action) {
+            case 'up':
+                rack.moveEffect(id, index - 1);
+                break;
+            case 'down':
+                rack.moveEffect(id, index + 1);
+                break;
+            case 'bypass':
+                rack.setBypass(id, !rack.getSlots()[index].bypassed);
+                break;
+            case 'duplicate':
+                rack.duplicateEffect(id);
+                break;
+            case 'remove':
+                rack.removeEffect(id);
+                break;
+        }
+    });
+
+    rack.onChange(renderEffectsRack);
+    renderEffectsRack(rack.getSlots());
+}
+
+// Render the rack slots in signal-flow order
+function renderEffectsRack(slots) {
+    const list = document.getElementById('effects-rack-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    slots.forEach((slot, index) => {
+        const item = document.createElement('li');
+        item.className = 'effects-rack-slot' + (slot.bypassed ? ' bypassed' : '');
+        item.dataset.slotId = slot.id;
+        item.innerHTML = `
+            <span class="effects-rack-name">${index + 1}. ${slot.name}</span>
+            <span class="effects-rack-actions">
+                <button data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button data-action="down" title="Move down" ${index === slots.length - 1 ? 'disabled' : ''}>▼</button>
+                <button data-action="bypass" title="Bypass">${slot.bypassed ? 'Off' : 'On'}</button>
+                <button data-action="duplicate" title="Duplicate">⧉</button>
+                <button data-action="remove" title="Remove">×</button>
+            </span>`;
+        list.appendChild(item);
+    });
+}
+
+// Setup tempo, time signature, click track, start/stop and tap tempo
+function setupTransportControls() {
+    const toggleBtn = document.getElementById('transport-toggle');
+    const tapBtn = document.getElementById('transport-tap');
+    const signatureSelect = document.getElementById('transport-time-signature');
+    const clickSelect = document.getElementById('transport-click');
+    if (!toggleBtn) return;
+
+    Object.keys(TIME_SIGNATURES).forEach(signature => {
+        const option = document.createElement('option');
+        option.value = signature;
+        option.textContent = signature;
+        signatureSelect.appendChild(option);
+    });
+
+    knobManager.setKnobCallback('transport-bpm', (value) => {
+        transport.setBPM(value);
+    });
+
+    signatureSelect.addEventListener('change', (e) => transport.setTimeSignature(e.target.value));
+    clickSelect.addEventListener('change', (e) => transport.setClickEnabled(e.target.value === 'on'));
+
+    toggleBtn.addEventListener('click', () => {
+        if (!window.audioStarted) {
+            showMessage('Start audio before starting the transport');
+            return;
+        }
+        transport.toggle();
+    });
+
+    tapBtn.addEventListener('click', () => {
+        const bpm = transport.tap();
+        if (bpm) showMessage(`Tempo: ${bpm} BPM`);
+    });
+
+    transport.onChange(updateTransportStatus);
+    updateTransportStatus({ ...transport.getSettings(), running: transport.isRunning() });
+}
+
+// Reflect tempo, time signature, click and running state in the panel
+function updateTransportStatus({ bpm, timeSignature, click, running }) {
+    const statusDot = document.getElementById('transport-status');
+    const statusText = document.getElementById('transport-text');
+    const toggleBtn = document.getElementById('transport-toggle');
+
+    knobManager.setKnobValue('transport-bpm', bpm);
+    document.getElementById('transport-time-signature').value = timeSignature;
+    document.getElementById('transport-click').value = click ? 'on' : 'off';
+
+    if (statusDot) statusDot.classList.toggle('active', running);
+    if (statusText) statusText.textContent = running ? `Playing - ${bpm} BPM ${timeSignature}` : 'Stopped';
+    if (toggleBtn) {
+        toggleBtn.innerHTML = running
+            ? '<span class="btn-icon">■</span> Stop'
+            : '<span class="btn-icon">▶</span> Start';
+    }
+}
+
+// Setup the chord hand mode and arpeggiator pattern, rate, octave span and gate
+function setupArpeggiatorControls() {
+    const arpeggiator = getArpeggiator();
+    const modeSelect = document.getElementById('chord-hand-mode');
+    const patternSelect = document.getElementById('arp-pattern');
+    const rateSelect = document.getElementById('arp-rate');
+    const octavesSelect = document.getElementById('arp-octaves');
+    if (!modeSelect) return;
+
+    [[patternSelect, ARPEGGIATOR_PATTERNS], [rateSelect, ARPEGGIATOR_RATES]].forEach(([select, options]) => {
+        Object.entries(options).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    });
+
+    modeSelect.addEventListener('change', (e) => {
+        setChordHandMode(e.target.value);
+        showMessage(`Chord hand: ${e.target.options[e.target.selectedIndex].textContent}`);
+    });
+    patternSelect.addEventListener('change', (e) => arpeggiator.setPattern(e.target.value));
+    rateSelect.addEventListener('change', (e) => arpeggiator.setRate(e.target.value));
+    octavesSelect.addEventListener('change', (e) => arpeggiator.setOctaves(e.target.value));
+
+    knobManager.setKnobCallback('arp-gate', (value) => {
+        arpeggiator.setGate(value / 100);
+    });
+
+    // Keep the selectors in step when settings change elsewhere (e.g. loading a preset)
+    const syncControls = (settings) => {
+        modeSelect.value = getChordHandMode();
+        patternSelect.value = settings.pattern;
+        rateSelect.value = settings.rate;
+        octavesSelect.value = settings.octaves;
+        knobManager.setKnobValue('arp-gate', settings.gate * 100);
+    };
+    arpeggiator.onChange(syncControls);
+    syncControls(arpeggiator.getSettings());
+}
+
+// Interval labels for the custom scale editor, one per semitone above the root
+const SCALE_DEGREE_LABELS = ['1', 'b2', '2', 'b3', '3', '4', '#4', '5', 'b6', '6', 'b7', '7'];
+
+// Setup the custom scale editor (name, semitone toggles) and the saved scale list
+function setupCustomScaleControls() {
+    const nameInput = document.getElementById('custom-scale-name');
+    const grid = document.getElementById('custom-scale-grid');
+    const list = document.getElementById('custom-scale-list');
+    if (!grid) return;
+
+    SCALE_DEGREE_LABELS.forEach((label, semitone) => {
+        const button = document.createElement('button');
+        button.className = 'scale-degree-btn';
+        button.dataset.semitone = semitone;
+        button.textContent = label;
+        if (semitone === 0) {
+            // The root is always part of the scale
+            button.classList.add('active');
+            button.disabled = true;
+        }
+        grid.appendChild(button);
+    });
+
+    const getSelectedSemitones = () => [...grid.querySelectorAll('.scale-degree-btn.active')]
+        .map(button => parseInt(button.dataset.semitone));
+
+    const loadIntoEditor = (name, semitones) => {
+        nameInput.value = name;
+        grid.querySelectorAll('.scale-degree-btn').forEach(button => {
+            const semitone = parseInt(button.dataset.semitone);
+            button.classList.toggle('active', semitone === 0 || semitones.includes(semitone));
+        });
+    };
+
+    grid.addEventListener('click', (e) => {
+        const button = e.target.closest('.scale-degree-btn');
+        if (!button || button.disabled) return;
+        button.classList.toggle('active');
+    });
+
+    document.getElementById('custom-scale-save').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        if (!name) {
+            showMessage('Enter a name for the scale');
+            return;
+        }
+
+        const key = customScaleLibrary.add(name, getSelectedSemitones());
+        if (!key) {
+            showMessage('A scale needs at least three notes');
+            return;
+        }
+
+        // Play the new scale straight away
+        document.getElementById('panel-scale-select').value = key;
+        updateMusicParameters(key, null, null, null);
+        updateUI();
+        showMessage(`Scale "${name}" saved`);
+    });
+
+    document.getElementById('custom-scale-clear').addEventListener('click', () => loadIntoEditor('', []));
+
+    // Scale rows are re-rendered on every change, so handle clicks on the list
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+
+        // Keep the click from reaching the document's click-outside handler after the re-render
+        e.stopPropagation();
+
+        const name = button.closest('li').dataset.scaleName;
+        const semitones = customScaleLibrary.getAll()[name];
+        if (!semitones) return;
+
+        if (button.dataset.action === 'edit') {
+            loadIntoEditor(name, semitones);
+        } else if (button.dataset.action === 'use') {
+            const key = customScaleLibrary.getKey(name);
+            document.getElementById('panel-scale-select').value = key;
+            updateMusicParameters(key, null, null, null);
+            updateUI();
+            showMessage(`Scale changed to ${name}`);
+        } else if (button.dataset.action === 'delete' && confirm(`Delete scale "${name}"?`)) {
+            customScaleLibrary.remove(name);
+            showMessage(`Scale "${name}" deleted`);
+        }
+    });
+
+    const renderList = (customScales) => {
+        populateScaleSelector();
+
+        list.innerHTML = '';
+        Object.entries(customScales).forEach(([name, semitones]) => {
+            const item = document.createElement('li');
+            item.className = 'effects-rack-slot';
+            item.dataset.scaleName = name;
+
+            const label = document.createElement('span');
+            label.className = 'effects-rack-name';
+            label.textContent = `${name} (${semitones.map(semitone => SCALE_DEGREE_LABELS[semitone]).join(' ')})`;
+
+            const actions = document.createElement('span');
+            actions.className = 'effects-rack-actions';
+            actions.innerHTML = `
+                <button data-action="use" title="Play in this scale">Use</button>
+                <button data-action="edit" title="Load into the editor">Edit</button>
+                <button data-action="delete" title="Delete">×</button>`;
+
+            item.append(label, actions);
+            list.appendChild(item);
+        });
+    };
+    customScaleLibrary.onChange(renderList);
+    renderList(customScaleLibrary.getAll());
+}
+
+// Setup concert pitch, transpose and Scala tuning import - a .scl file retunes every voice, a .kbm file maps it to the keys
+function setupTuningControls() {
+    const sclInput = document.getElementById('tuning-scl-file');
+    const kbmInput = document.getElementById('tuning-kbm-file');
+    if (!sclInput) return;
+
+    knobManager.setKnobCallback('concert-pitch', (value) => {
+        tuning.setReferencePitch(value);
+    });
+    knobManager.setKnobCallback('global-transpose', (value) => {
+        tuning.setTranspose(value);
+    });
+
+    document.getElementById('tuning-load-scl').addEventListener('click', () => sclInput.click());
+    document.getElementById('tuning-load-kbm').addEventListener('click', () => {
+        if (!tuning.isActive()) {
+            showMessage('Load a .scl scale before a keyboard mapping');
+            return;
+        }
+        kbmInput.click();
+    });
+
+    const readTuningFile = (input, load) => {
+        const file = input.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    load(event.target.result, file.name);
+                } catch (error) {
+                    console.error('Error importing tuning file:', error);
+                    showMessage(`Could not read ${file.name}: ${error.message}`);
+                }
+            };
+            reader.readAsText(file);
+        }
+        // Reset the input
+        input.value = '';
+    };
+
+    sclInput.addEventListener('change', () => readTuningFile(sclInput, (text, name) => {
+        tuning.loadScale(text, name);
+        showMessage(`Tuning: ${tuning.getStatus().description}`);
+    }));
+    kbmInput.addEventListener('change', () => readTuningFile(kbmInput, (text, name) => {
+        tuning.loadKeyboardMapping(text, name);
+        showMessage(`Keyboard mapping: ${name}`);
+    }));
+
+    document.getElementById('tuning-reset').addEventListener('click', () => {
+        tuning.reset();
+        showMessage('Tuning reset to 12-TET');
+    });
+
+    tuning.onChange(updateTuningStatus);
+    updateTuningStatus(tuning.getStatus());
+}
+
+function updateTuningStatus({ active, referencePitch, transpose, description, notes, mappingName }) {
+    const statusDot = document.getElementById('tuning-status');
+    const statusText = document.getElementById('tuning-text');
+    const mappingText = document.getElementById('tuning-mapping-text');
+
+    knobManager.setKnobValue('concert-pitch', referencePitch);
+    knobManager.setKnobValue('global-transpose', transpose);
+
+    if (statusDot) statusDot.classList.toggle('active', active);
+    if (statusText) statusText.textContent = active ? `${description} (${notes} notes)` : '12-TET';
+    if (mappingText) mappingText.textContent = mappingName || 'Default';
+}
+
+// Setup the step pattern presets, step grid and per-step velocity and gate
+function setupStepSequencerControls() {
+    const sequencer = getStepSequencer();
+    const modeSelect = document.getElementById('chord-hand-mode');
+    const patternSelect = document.getElementById('step-pattern');
+    const rateSelect = document.getElementById('step-rate');
+    const grid = document.getElementById('step-grid');
+    const selectedLabel = document.getElementById('step-selected-label');
+    if (!grid) return;
+
+    let selectedStep = 0;
+
+    Object.entries(STEP_PATTERNS).forEach(([value, preset]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = preset.name;
+        patternSelect.appendChild(option);
+    });
+    const customOption = document.createElement('option');
+    customOption.value = 'custom';
+    customOption.textContent = 'Custom';
+    customOption.disabled = true;
+    patternSelect.appendChild(customOption);
+
+    Object.entries(STEP_SEQUENCER_RATES).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        rateSelect.appendChild(option);
+    });
+
+    for (let index = 0; index < STEP_COUNT; index++) {
+        const button = document.createElement('button');
+        button.className = 'step-btn';
+        button.dataset.step = index;
+        button.setAttribute('aria-label', `Step ${index + 1}`);
+        grid.appendChild(button);
+    }
+
+    // Click toggles a step and selects it for the knobs, right-click toggles its accent
+    grid.addEventListener('click', (e) => {
+        const button = e.target.closest('.step-btn');
+        if (!button) return;
+        selectedStep = parseInt(button.dataset.step);
+        sequencer.toggleStep(selectedStep);
+    });
+    grid.addEventListener('contextmenu', (e) => {
+        const button = e.target.closest('.step-btn');
+        if (!button) return;
+        e.preventDefault();
+        selectedStep = parseInt(button.dataset.step);
+        sequencer.toggleAccent(selectedStep);
+    });
+
+    patternSelect.addEventListener('change', (e) => sequencer.loadPattern(e.target.value));
+    rateSelect.addEventListener('change', (e) => sequencer.setRate(e.target.value));
+
+    knobManager.setKnobCallback('step-velocity', (value) => {
+        sequencer.setStep(selectedStep, { velocity: value / 100 });
+    });
+    knobManager.setKnobCallback('step-gate', (value) => {
+        sequencer.setStep(selectedStep, { gate: value / 100 });
+    });
+
+    const syncControls = (settings) => {
+        modeSelect.value = getChordHandMode();
+        patternSelect.value = settings.pattern;
+        rateSelect.value = settings.rate;
+
+        grid.querySelectorAll('.step-btn').forEach((button, index) => {
+            const step = settings.steps[index];
+            button.classList.toggle('active', step.active);
+            button.classList.toggle('accent', step.accent);
+            button.classList.toggle('selected', index === selectedStep);
+        });
+
+        const step = settings.steps[selectedStep];
+        selectedLabel.textContent = `Step ${selectedStep + 1}${step.accent ? ' (accent)' : ''}`;
+        knobManager.setKnobValue('step-velocity', step.velocity * 100);
+        knobManager.setKnobValue('step-gate', step.gate * 100);
+    };
+    sequencer.onChange(syncControls);
+    syncControls(sequencer.getSettings());
+
+    // Playhead
+    sequencer.onStep((stepIndex) => {
+        grid.querySelectorAll('.step-btn').forEach((button, index) => {
+            button.classList.toggle('current', index === stepIndex);
+        });
+    });
+}
+
+// Setup harmonizer on/off and each harmony voice's on/off, level and pan
+function setupHarmonizerControls() {
+    const harmonizer = getHarmonizer();
+    const enabledSelect = document.getElementById('harmonizer-enabled');
+    if (!enabledSelect) return;
+
+    enabledSelect.addEventListener('change', (e) => {
+        harmonizer.setEnabled(e.target.value === 'on');
+        showMessage(e.target.value === 'on' ? 'Harmonizer on' : 'Harmonizer off');
+    });
+
+    Object.keys(HARMONY_VOICES).forEach(voice => {
+        knobManager.setKnobCallback(`harmonizer-${voice}-level`, (value) => {
+            harmonizer.setVoiceLevel(voice, value);
+        });
+        knobManager.setKnobCallback(`harmonizer-${voice}-pan`, (value) => {
+            harmonizer.setVoicePan(voice, value / 100); // Convert -100..100 to -1..1
+        });
+    });
+
+    // Voice rows are re-rendered on every change, so handle clicks on the list
+    document.getElementById('harmonizer-voices').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="toggle"]');
+        if (!button) return;
+
+        // Keep the click from reaching the document's click-outside handler after the re-render
+        e.stopPropagation();
+
+        const voice = button.closest('li').dataset.voice;
+        harmonizer.setVoiceEnabled(voice, !harmonizer.getSettings().voices[voice].enabled);
+    });
+
+    harmonizer.onChange(updateHarmonizerControls);
+    updateHarmonizerControls(harmonizer.getSettings());
+}
+
+function updateHarmonizerControls({ enabled, voices }) {
+    document.getElementById('harmonizer-enabled').value = enabled ? 'on' : 'off';
+
+    const list = document.getElementById('harmonizer-voices');
+    list.innerHTML = '';
+    Object.entries(HARMONY_VOICES).forEach(([voice, name]) => {
+        const voiceSettings = voices[voice];
+        knobManager.setKnobValue(`harmonizer-${voice}-level`, voiceSettings.level);
+        knobManager.setKnobValue(`harmonizer-${voice}-pan`, Math.round(voiceSettings.pan * 100));
+
+        const item = document.createElement('li');
+        item.className = `effects-rack-slot${voiceSettings.enabled ? '' : ' bypassed'}`;
+        item.dataset.voice = voice;
+        item.innerHTML = `
+            <span class="effects-rack-name">${name}</span>
+            <span class="effects-rack-actions">
+                <button data-action="toggle" title="Turn this voice on or off">${voiceSettings.enabled ? 'On' : 'Off'}</button>
+            </span>`;
+        list.appendChild(item);
+    });
+}
+
+// Setup bass line on/off, pattern, bass note, rate, octave and sound
+function setupBassLineControls() {
+    const bassLine = getBassLine();
+    const enabledSelect = document.getElementById('bass-enabled');
+    const patternSelect = document.getElementById('bass-pattern');
+    const inversionSelect = document.getElementById('bass-inversion');
+    const rateSelect = document.getElementById('bass-rate');
+    const octaveSelect = document.getElementById('bass-octave');
+    const soundSelect = document.getElementById('bass-sound');
+    if (!enabledSelect) return;
+
+    const patternNames = Object.fromEntries(Object.entries(BASS_PATTERNS).map(([value, pattern]) => [value, pattern.name]));
+    const soundNames = Object.fromEntries(Object.entries(BASS_SOUNDS).map(([value, sound]) => [value, sound.name]));
+    [[patternSelect, patternNames], [inversionSelect, BASS_INVERSIONS], [rateSelect, BASS_LINE_RATES], [soundSelect, soundNames]]
+        .forEach(([select, options]) => {
+            Object.entries(options).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        });
+
+    enabledSelect.addEventListener('change', (e) => {
+        bassLine.setEnabled(e.target.value === 'on');
+        showMessage(e.target.value === 'on' ? 'Bass line on' : 'Bass line off');
+    });
+    patternSelect.addEventListener('change', (e) => bassLine.setPattern(e.target.value));
+    inversionSelect.addEventListener('change', (e) => bassLine.setInversion(e.target.value));
+    rateSelect.addEventListener('change', (e) => bassLine.setRate(e.target.value));
+    octaveSelect.addEventListener('change', (e) => bassLine.setOctave(e.target.value));
+    soundSelect.addEventListener('change', (e) => bassLine.setSound(e.target.value));
+
+    // Keep the selectors in step when settings change elsewhere (e.g. loading a preset)
+    const syncControls = (settings) => {
+        enabledSelect.value = settings.enabled ? 'on' : 'off';
+        patternSelect.value = settings.pattern;
+        inversionSelect.value = settings.inversion;
+        rateSelect.value = settings.rate;
+        octaveSelect.value = settings.octave;
+        soundSelect.value = settings.sound;
+    };
+    bassLine.onChange(syncControls);
+    syncControls(bassLine.getSettings());
+}
+
+// Setup drum machine on/off, pattern, fist gestures and per-voice mutes
+function setupDrumMachineControls() {
+    const drumMachine = getDrumMachine();
+    const enabledSelect = document.getElementById('drums-enabled');
+    const patternSelect = document.getElementById('drums-pattern');
+    const gestureSelects = {
+        left: document.getElementById('drums-gesture-left'),
+        right: document.getElementById('drums-gesture-right')
+    };
+    if (!enabledSelect) return;
+
+    Object.entries(DRUM_PATTERNS).forEach(([value, pattern]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = pattern.name;
+        patternSelect.appendChild(option);
+    });
+    Object.values(gestureSelects).forEach(select => {
+        Object.entries(DRUM_GESTURE_ACTIONS).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    });
+
+    enabledSelect.addEventListener('change', (e) => {
+        drumMachine.setEnabled(e.target.value === 'on');
+        showMessage(e.target.value === 'on' ? 'Drums on' : 'Drums off');
+    });
+    patternSelect.addEventListener('change', (e) => drumMachine.setPattern(e.target.value));
+    Object.entries(gestureSelects).forEach(([hand, select]) => {
+        select.addEventListener('change', (e) => drumMachine.setGestureAction(hand, e.target.value));
+    });
+
+    // Voice rows are re-rendered on every change, so handle clicks on the list
+    document.getElementById('drums-voices').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="mute"]');
+        if (!button) return;
+
+        // Keep the click from reaching the document's click-outside handler after the re-render
+        e.stopPropagation();
+
+        const voice = button.closest('li').dataset.voice;
+        drumMachine.setVoiceMuted(voice, !drumMachine.getSettings().muted[voice]);
+    });
+
+    drumMachine.onChange(updateDrumMachineStatus);
+    updateDrumMachineStatus(drumMachine.getStatus());
+}
+
+function updateDrumMachineStatus({ enabled, pattern, muted, gestures, fill, gestureMuted }) {
+    const statusDot = document.getElementById('drums-status');
+    const statusText = document.getElementById('drums-text');
+
+    document.getElementById('drums-enabled').value = enabled ? 'on' : 'off';
+    document.getElementById('drums-pattern').value = pattern;
+    document.getElementById('drums-gesture-left').value = gestures.left;
+    document.getElementById('drums-gesture-right').value = gestures.right;
+
+    if (statusDot) statusDot.classList.toggle('active', enabled);
+    if (statusText) {
+        statusText.textContent = !enabled ? 'Off'
+            : fill ? 'Fill'
+            : gestureMuted.length > 0 ? 'Muted by gesture'
+            : DRUM_PATTERNS[pattern].name;
+    }
+
+    const list = document.getElementById('drums-voices');
+    list.innerHTML = '';
+    Object.entries(DRUM_KIT).forEach(([voice, definition]) => {
+        const isMuted = !!muted[voice] || gestureMuted.includes(voice);
+        const item = document.createElement('li');
+        item.className = `effects-rack-slot${isMuted ? ' bypassed' : ''}`;
+        item.dataset.voice = voice;
+        item.innerHTML = `
+            <span class="effects-rack-name">${definition.name}</span>
+            <span class="effects-rack-actions">
+                <button data-action="mute" title="Mute">${muted[voice] ? 'Muted' : 'On'}</button>
+            </span>`;
+        list.appendChild(item);
+    });
+}
+
+// Setup MIDI port and channel selectors
+function setupMIDIControls() {
+    const connectBtn = document.getElementById('midi-connect');
+    const outputSelect = document.getElementById('midi-output-port');
+    const melodyChannelSelect = document.getElementById('midi-melody-channel');
+    const chordChannelSelect = document.getElementById('midi-chord-channel');
+    const pinchCCSelect = document.getElementById('midi-pinch-cc');
+    const inputSelect = document.getElementById('midi-input-port');
+    const splitSelect = document.getElementById('midi-split-note');
+    if (!connectBtn || !outputSelect) return;
+
+    [melodyChannelSelect, chordChannelSelect].forEach(select => {
+        for (let channel = 1; channel <= 16; channel++) {
+            const option = document.createElement('option');
+            option.value = channel;
+            option.textContent = `Channel ${channel}`;
+            select.appendChild(option);
+        }
+    });
+
+    const outputSettings = midiOutput.getSettings();
+    melodyChannelSelect.value = outputSettings.melodyChannel;
+    chordChannelSelect.value = outputSettings.chordChannel;
+    pinchCCSelect.value = outputSettings.pinchCC;
+
+    // Split points from C2 to C6 (notes below the split play chords)
+    for (let noteNumber = 36; noteNumber <= 84; noteNumber++) {
+        const option = document.createElement('option');
+        option.value = noteNumber;
+        option.textContent = midiNumberToNoteName(noteNumber);
+        splitSelect.appendChild(option);
+    }
+    splitSelect.value = midiInput.getSettings().splitNote;
+
+    initMIDIRouting(knobManager);
+    setupMIDILearn();
+
+    // Access is requested on demand because browsers prompt for MIDI permission
+    connectBtn.addEventListener('click', () => {
+        initMIDI().then(access => {
+            if (access) {
+                populateMIDIPorts();
+                showMessage('MIDI connected');
+            } else {
+                showMessage('Web MIDI is not available in this browser');
+            }
+        });
+    });
+
+    outputSelect.addEventListener('change', (e) => {
+        midiOutput.setPort(e.target.value);
+        showMessage(e.target.value ? `MIDI output: ${e.target.selectedOptions[0].textContent}` : 'MIDI output off');
+    });
+
+    const updateChannels = () => {
+        midiOutput.setChannels(melodyChannelSelect.value, chordChannelSelect.value);
+    };
+    melodyChannelSelect.addEventListener('change', updateChannels);
+    chordChannelSelect.addEventListener('change', updateChannels);
+
+    pinchCCSelect.addEventListener('change', (e) => {
+        midiOutput.setPinchCC(e.target.value);
+    });
+
+    inputSelect.addEventListener('change', (e) => {
+        releaseMIDIInputNotes();
+        midiInput.setPort(e.target.value);
+        showMessage(e.target.value ? `MIDI input: ${e.target.selectedOptions[0].textContent}` : 'MIDI input off');
+    });
+
+    splitSelect.addEventListener('change', (e) => {
+        releaseMIDIInputNotes();
+        midiInput.setSplitNote(e.target.value);
+    });
+
+    onMIDIPortsChange(populateMIDIPorts);
+}
+
+// Right-click a knob to learn a MIDI CC for it (shift + right-click removes the binding)
+function setupMIDILearn() {
+    const resetBtn = document.getElementById('midi-learn-reset');
+
+    knobManager.knobs.forEach((knob, knobId) => {
+        knob.element.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+
+            if (e.shiftKey) {
+                midiInput.unbindKnob(knobId);
+                showMessage(`MIDI mapping removed from ${getKnobLabel(knobId)}`);
+            } else if (midiInput.isLearning(knobId)) {
+                midiInput.cancelLearn();
+                showMessage('MIDI learn cancelled');
+            } else if (!isMIDIAvailable() || !midiInput.isEnabled()) {
+                showMessage('Connect MIDI and choose an input port to learn controls');
+            } else {
+                midiInput.startLearn(knobId);
+                showMessage(`Move a control to map it to ${getKnobLabel(knobId)}`);
+            }
+        });
+    });
+
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => {
+            midiInput.resetBindings();
+            showMessage('MIDI mappings reset to defaults');
+        });
+    }
+
+    midiInput.onBindingsChange((status) => {
+        updateMIDILearnIndicators(status);
+        if (status.learned) {
+            showMessage(`CC ${status.learned.controller} mapped to ${getKnobLabel(status.learned.knobId)}`);
+        }
+    });
+    updateMIDILearnIndicators(midiInput.getBindingStatus());
+}
+
+// Mark the knob waiting for a CC and show each knob's binding in its tooltip
+function updateMIDILearnIndicators({ learningKnobId }) {
+    knobManager.knobs.forEach((knob, knobId) => {
+        const controller = midiInput.getControllerForKnob(knobId);
+        knob.element.classList.toggle('midi-learning', knobId === learningKnobId);
+        knob.element.classList.toggle('midi-mapped', controller !== null);
+        knob.element.title = controller !== null
+            ? `MIDI CC ${controller} - right-click to re-learn, shift + right-click to remove`
+            : 'Right-click to MIDI-learn';
+    });
+}
+
+// The label shown above a knob, falling back to its id
+function getKnobLabel(knobId) {
+    const knob = knobManager.getKnob(knobId);
+    const item = knob ? knob.element.closest('.control-item') : null;
+    const label = item ? item.querySelector('label') : null;
+    return label ? label.textContent.trim() : knobId;
+}
+
+// Fill the MIDI port selectors, keeping the saved port selected if it is connected
+function populateMIDIPorts() {
+    const outputSelect = document.getElementById('midi-output-port');
+    if (!outputSelect) return;
+
+    const selectedPort = midiOutput.getSettings().portId;
+    outputSelect.innerHTML = '<option value="">Off</option>';
+    getMIDIOutputs().forEach(port => {
+        const option = document.createElement('option');
+        option.value = port.id;
+        option.textContent = port.name;
+        outputSelect.appendChild(option);
+    });
+    outputSelect.value = getMIDIOutputs().some(port => port.id === selectedPort) ? selectedPort : '';
+
+    const inputSelect = document.getElementById('midi-input-port');
+    if (!inputSelect) return;
+
+    const selectedInput = midiInput.getSettings().portId;
+    inputSelect.innerHTML = '<option value="">Off</option><option value="all">All Inputs</option>';
+    getMIDIInputs().forEach(port => {
+        const option = document.createElement('option');
+        option.value = port.id;
+        option.textContent = port.name;
+        inputSelect.appendChild(option);
+    });
+    inputSelect.value = selectedInput === 'all' || getMIDIInputs().some(port => port.id === selectedInput) ? selectedInput : '';
+}
+
+// Setup looper record/overdub, playback, undo, clear and per-layer mute
+function setupLooperControls() {
+    const looper = getLooper();
+    const recordBtn = document.getElementById('looper-record');
+    if (!recordBtn) return;
+
+    recordBtn.addEventListener('click', () => {
+        if (!window.audioStarted) {
+            showMessage('Start audio before recording a loop');
+            return;
+        }
+        looper.record();
+    });
+
+    document.getElementById('looper-play').addEventListener('click', () => looper.togglePlayback());
+
+    document.getElementById('looper-undo').addEventListener('click', () => {
+        looper.undo();
+        showMessage('Last loop layer removed');
+    });
+
+    document.getElementById('looper-clear').addEventListener('click', () => {
+        looper.clear();
+        showMessage('Loop cleared');
+    });
+
+    // Layer buttons are re-rendered on every change, so handle clicks on the list
+    document.getElementById('looper-layers').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action="mute"]');
+        if (!button) return;
+
+        // Keep the click from reaching the document's click-outside handler after the re-render
+        e.stopPropagation();
+
+        const id = parseInt(button.closest('li').dataset.layerId);
+        const layer = looper.getStatus().layers.find(layer => layer.id === id);
+        if (layer) looper.setLayerMuted(id, !layer.muted);
+    });
+
+    looper.onChange(updateLooperStatus);
+    updateLooperStatus(looper.getStatus());
+}
+
+function updateLooperStatus({ state, playing, bars, finishing, layers }) {
+    const statusDot = document.getElementById('looper-status');
+    const statusText = document.getElementById('looper-text');
+    const recordBtn = document.getElementById('looper-record');
+    const playBtn = document.getElementById('looper-play');
+    const recording = state === 'recording' || state === 'overdubbing';
+
+    if (statusDot) {
+        statusDot.classList.toggle('armed', state === 'armed');
+        statusDot.classList.toggle('recording', recording);
+        statusDot.classList.toggle('active', state === 'playing');
+    }
+
+    const barsLabel = `${bars} bar${bars === 1 ? '' : 's'}`;
+    const stateLabels = {
+        empty: 'Empty',
+        armed: 'Waiting for next bar',
+        recording: finishing ? 'Finishing at next bar' : 'Recording',
+        overdubbing: `Overdubbing - ${barsLabel}`,
+        playing: `Playing - ${barsLabel}`,
+        stopped: `Stopped - ${barsLabel}`
+    };
+    if (statusText) statusText.textContent = stateLabels[state] || state;
+
+    const recordLabel = state === 'armed' ? 'Cancel'
+        : recording ? 'Stop Recording'
+        : layers.length > 0 ? 'Overdub' : 'Record';
+    recordBtn.innerHTML = `<span class="btn-icon">${recording || state === 'armed' ? '■' : '●'}</span> ${recordLabel}`;
+    recordBtn.disabled = finishing;
+
+    playBtn.innerHTML = playing ? '<span class="btn-icon">■</span> Stop' : '<span class="btn-icon">▶</span> Play';
+    playBtn.disabled = layers.length === 0;
+    document.getElementById('looper-undo').disabled = layers.length === 0 && state === 'empty';
+    document.getElementById('looper-clear').disabled = layers.length === 0 && state === 'empty';
+
+    const list = document.getElementById('looper-layers');
+    list.innerHTML = '';
+    layers.forEach((layer, index) => {
+        const item = document.createElement('li');
+        item.className = `effects-rack-slot${layer.muted ? ' bypassed' : ''}`;
+        item.dataset.layerId = layer.id;
+        item.innerHTML = `
+            <span class="effects-rack-name">Layer ${index + 1} (${layer.eventCount} notes)</span>
+            <span class="effects-rack-actions">
+                <button data-action="mute" title="Mute">${layer.muted ? 'Muted' : 'On'}</button>
+            </span>`;
+        list.appendChild(item);
+    });
+}
+
+// Setup session recorder controls (arm, record, stop and export)
+function setupRecorderControls() {
+    const armBtn = document.getElementById('recording-arm');
+    const recordBtn = document.getElementById('recording-record');
+    const stopBtn = document.getElementById('recording-stop');
+    const bitDepthSelect = document.getElementById('recording-bit-depth');
+    if (!armBtn || !recordBtn || !stopBtn) return;
+
+    // Recording needs the audio chain, which only exists once audio has started
+    const getSource = () => {
+        const source = getMasterOutput();
+        if (!window.audioStarted || !source) {
+            showMessage('Start audio before recording');
+            return null;
+        }
+        return source;
+    };
+
+    bitDepthSelect.addEventListener('change', (e) => {
+        sessionRecorder.setBitDepth(e.target.value);
+    });
+
+    armBtn.addEventListener('click', () => {
+        const source = getSource();
+        if (!source) return;
+        sessionRecorder.arm(source).then(armed => {
+            if (armed) showMessage('Recorder armed - play to start recording');
+        }).catch(error => {
+            console.error('Error arming recorder:', error);
+            showMessage('Could not arm recorder: ' + error.message);
+        });
+    });
+
+    recordBtn.addEventListener('click', () => {
+        const source = getSource();
+        if (!source) return;
+        sessionRecorder.record(source).catch(error => {
+            console.error('Error starting recording:', error);
+            showMessage('Could not start recording: ' + error.message);
+        });
+    });
+
+    stopBtn.addEventListener('click', () => {
+        sessionRecorder.stop().then(wav => {
+            if (wav) {
+                const filename = downloadRecording(wav);
+                showMessage(`Recording exported as ${filename}`);
+            } else {
+                showMessage('Nothing was recorded');
+            }
+        }).catch(error => {
+            console.error('Error stopping recording:', error);
+            showMessage('Error exporting recording: ' + error.message);
+        });
+    });
+
+    sessionRecorder.onChange(updateRecorderStatus);
+    updateRecorderStatus({ state: sessionRecorder.getState(), elapsed: sessionRecorder.getElapsedTime() });
+}
+
+// Update recorder status indicator, elapsed time and button states
+function updateRecorderStatus({ state, elapsed }) {
+    const statusDot = document.getElementById('recording-status');
+    const statusText = document.getElementById('recording-text');
+    const elapsedText = document.getElementById('recording-elapsed');
+
+    if (statusDot) {
+        statusDot.classList.toggle('armed', state === 'armed');
+        statusDot.classList.toggle('recording', state === 'recording');
+    }
+    if (statusText) {
+        statusText.textContent = state === 'recording' ? 'Recording' : state === 'armed' ? 'Armed' : 'Idle';
+    }
+    if (elapsedText) {
+        elapsedText.textContent = formatElapsedTime(elapsed);
+    }
+
+    document.getElementById('recording-arm').disabled = state !== 'idle';
+    document.getElementById('recording-record').disabled = state === 'recording';
+    document.getElementById('recording-stop').disabled = state === 'idle';
+    document.getElementById('recording-bit-depth').disabled = state !== 'idle';
+}
+
+// Setup gesture session capture, replay, export and import
+function setupGestureSessionControls() {
+    const captureBtn = document.getElementById('gesture-capture');
+    if (!captureBtn) return;
+
+    captureBtn.addEventListener('click', () => {
+        if (gestureRecorder.startCapture()) {
+            showMessage('Capturing hand gestures');
+        }
+    });
+
+    document.getElementById('gesture-replay').addEventListener('click', () => {
+        if (!window.audioStarted) {
+            showMessage('Start audio before replaying a session');
+            return;
+        }
+        if (startGestureReplay()) {
+            showMessage('Replaying gesture session');
+        }
+    });
+
+    document.getElementById('gesture-stop').addEventListener('click', () => {
+        if (gestureRecorder.isReplaying()) {
+            stopGestureReplay();
+            return;
+        }
+        const session = gestureRecorder.stop();
+        if (session) {
+            showMessage(`Captured ${session.frames.length} frames`);
+        }
+    });
+
+    document.getElementById('gesture-export').addEventListener('click', () => {
+        const dataStr = gestureRecorder.exportSession();
+        if (!dataStr) {
+            showMessage('No gesture session to export');
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([dataStr], { type: 'application/json' }));
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', url);
+        linkElement.setAttribute('download', `handsynth-gestures-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+        linkElement.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        showMessage('Gesture session exported');
+    });
+
+    document.getElementById('gesture-import').addEventListener('click', () => {
+        document.getElementById('gesture-import-file').click();
+    });
+
+    document.getElementById('gesture-import-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    if (gestureRecorder.loadSession(JSON.parse(event.target.result))) {
+                        const settings = gestureRecorder.getSessionSettings();
+                        showMessage(settings
+                            ? `Session loaded (captured in ${settings.root} ${settings.scale} with ${settings.instrument})`
+                            : 'Session loaded');
+                    } else {
+                        showMessage('Invalid gesture session file');
+                    }
+                } catch (error) {
+                    console.error('Error importing gesture session:', error);
+                    showMessage('Error reading gesture session file');
+                }
+            };
+            reader.readAsText(file);
+        }
+        // Reset the input
+        e.target.value = '';
+    });
+
+    gestureRecorder.onChange(updateGestureSessionStatus);
+    updateGestureSessionStatus(gestureRecorder.getStatus());
+}
+
+// Update gesture session status, time display and button states
+function updateGestureSessionStatus({ state, frameCount, duration, position }) {
+    const statusDot = document.getElementById('gesture-status');
+    const statusText = document.getElementById('gesture-text');
+    const elapsedText = document.getElementById('gesture-elapsed');
+    const hasSession = gestureRecorder.hasSession();
+
+    if (statusDot) {
+        statusDot.classList.toggle('recording', state === 'capturing');
+        statusDot.classList.toggle('active', state === 'replaying');
+    }
+    if (statusText) {
+        if (state === 'capturing') {
+            statusText.textContent = `Capturing (${frameCount} frames)`;
+        } else if (state === 'replaying') {
+            statusText.textContent = 'Replaying';
+        } else {
+            statusText.textContent = hasSession ? `${frameCount} frames` : 'No session';
+        }
+    }
+    if (elapsedText) {
+        elapsedText.textContent = formatElapsedTime(state === 'replaying' ? position : duration);
+    }
+
+    document.getElementById('gesture-capture').disabled = state !== 'idle';
+    document.getElementById('gesture-replay').disabled = state !== 'idle' || !hasSession;
+    document.getElementById('gesture-stop').disabled = state === 'idle';
+    document.getElementById('gesture-export').disabled = state !== 'idle' || !hasSession;
+    document.getElementById('gesture-import').disabled = state !== 'idle';
+}
+
 // Update preset button states based on selection
 function updatePresetButtonStates(hasSelection) {
     document.getElementById('load-preset').disabled = !hasSelection;
@@ -550,7 +1819,8 @@ function updateAudioStatus(status) {
 }
 
 // Reset knobs to default values (for built-in sound changes)
-function resetKnobsToDefaults() {
+// FM knobs take their defaults from the instrument being switched to
+function resetKnobsToDefaults(instrumentName = null) {
     // Check if audio is initialized before resetting knobs
     if (!window.audioStarted || !knobManager) {
         console.log("Audio not started yet or knobManager not initialized, skipping knob reset");
@@ -596,8 +1866,9 @@ function resetKnobsToDefaults() {
 
     // Reset oscillator controls
     knobManager.setKnobValueWithCallback('oscillator-detune', 0);
-    knobManager.setKnobValueWithCallback('fm-frequency', 1.0);
-    knobManager.setKnobValueWithCallback('fm-depth', 0);
+    const fmDefaults = (instrumentName && soundPresets[instrumentName] && soundPresets[instrumentName].fm) || {};
+    knobManager.setKnobValueWithCallback('fm-frequency', fmDefaults.harmonicity ?? 1.0);
+    knobManager.setKnobValueWithCallback('fm-depth', fmIndexToDepth(fmDefaults.modulationIndex ?? 0));
 
         // Reset delay time and oscillator type selectors
         document.getElementById('delay-time').value = '4n';
@@ -636,16 +1907,60 @@ function resetToDefaults() {
         knobManager.setKnobValue('compressor-release', 0.2);
         knobManager.setKnobValue('saturation', 0);
 
+        // Mixer knobs go through their callbacks so the channel strips follow
+        ['melody', 'harmony', 'bass', 'drums'].forEach(channel => {
+            knobManager.setKnobValueWithCallback(`${channel}-level`, 0);
+            knobManager.setKnobValueWithCallback(`${channel}-pan`, 0);
+            knobManager.setKnobValueWithCallback(`${channel}-eq-low`, 0);
+            knobManager.setKnobValueWithCallback(`${channel}-eq-mid`, 0);
+            knobManager.setKnobValueWithCallback(`${channel}-eq-high`, 0);
+        });
+        knobManager.setKnobValueWithCallback('reverb-return', 100);
+        knobManager.setKnobValueWithCallback('delay-return', 100);
+
+        // Modulation knobs go through their callbacks so the effects are actually bypassed
+        knobManager.setKnobValueWithCallback('phaser-rate', 0.5);
+        knobManager.setKnobValueWithCallback('phaser-depth', 0);
+        knobManager.setKnobValueWithCallback('tremolo-rate', 10.0);
+        knobManager.setKnobValueWithCallback('tremolo-depth', 0);
+
+        // Transport and tempo sync back to defaults
+        transport.applySettings(DEFAULT_TRANSPORT_SETTINGS);
+        ['chorus', 'tremolo'].forEach(effect => {
+            document.getElementById(`${effect}-sync`).value = 'free';
+            setModulationSyncManual(effect, 'free');
+        });
+
+        // Chord hand back to held chords
+        setChordHandMode('hold');
+        getArpeggiator().applySettings(DEFAULT_ARPEGGIATOR_SETTINGS);
+        getStepSequencer().applySettings(DEFAULT_STEP_SEQUENCER_SETTINGS);
+
+        // Harmonizer, bass line and drum machine off with their default voices, patterns, sounds, mutes and fist gestures
+        getHarmonizer().applySettings(DEFAULT_HARMONIZER_SETTINGS);
+        getBassLine().applySettings(DEFAULT_BASS_LINE_SETTINGS);
+        getDrumMachine().applySettings(DEFAULT_DRUM_SETTINGS);
+
+        // Back to untransposed 12-tone equal temperament at A4 = 440 Hz
+        tuning.applySettings({});
+
         // Reset selectors
         document.getElementById('delay-time').value = '4n';
         document.getElementById('oscillator-type').value = 'sine';
         document.getElementById('panel-root-select').value = 'C';
         document.getElementById('panel-scale-select').value = 'major';
         document.getElementById('panel-octave-select').value = 4;
+        document.getElementById('chord-complexity').value = 'triads';
         document.getElementById('panel-sound-select').value = 'builtin:pad';
 
         // Reset musical settings
         updateMusicParameters('major', 'C', 4, 'pad');
+        updateUI();
+        setChordComplexity('triads');
+        setVoicingSettings(DEFAULT_VOICING_SETTINGS);
+        updateVoicingControls();
+        setMelodySettings(DEFAULT_MELODY_SETTINGS);
+        updateMelodyControls();
 
         // Update synths
         updateSynths();
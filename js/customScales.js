@@ -0,0 +1,116 @@
+/**
+ * HandSynth - Custom Scales Module
+ * User-defined scales, registered into the music theory tables and remembered in localStorage
+ */
+
+import { scales, registerCustomScale, unregisterCustomScale, CUSTOM_SCALE_PREFIX } from './musicTheory.js';
+
+const CUSTOM_SCALES_STORAGE_KEY = 'handsynth-custom-scales';
+
+class CustomScaleLibrary {
+  constructor() {
+    this.scales = {}; // name -> semitones above the root
+    this.changeCallbacks = [];
+    this.loadScales();
+  }
+
+  // Register a scale and keep its cleaned-up semitones (sorted, root included) - returns its key or null
+  register(name, semitones) {
+    const key = registerCustomScale(name, semitones);
+    if (key) {
+      this.scales[key.slice(CUSTOM_SCALE_PREFIX.length)] = [...scales[key]];
+    }
+    return key;
+  }
+
+  // Add or replace a scale - returns its key in the scales map, or null if it isn't valid
+  add(name, semitones) {
+    const key = this.register(name, semitones);
+    if (!key) return null;
+
+    this.saveScales();
+    this.notifyCallbacks();
+    return key;
+  }
+
+  remove(name) {
+    if (!this.scales[name]) return;
+    delete this.scales[name];
+    unregisterCustomScale(CUSTOM_SCALE_PREFIX + name);
+    this.saveScales();
+    this.notifyCallbacks();
+  }
+
+  has(name) {
+    return !!this.scales[name];
+  }
+
+  getKey(name) {
+    return CUSTOM_SCALE_PREFIX + name;
+  }
+
+  getAll() {
+    const copy = {};
+    Object.entries(this.scales).forEach(([name, semitones]) => {
+      copy[name] = [...semitones];
+    });
+    return copy;
+  }
+
+  // Add scales from a preset - scales already in the library with the same name are replaced
+  merge(presetScales = {}) {
+    let changed = false;
+    Object.entries(presetScales).forEach(([name, semitones]) => {
+      if (this.register(name, semitones)) changed = true;
+    });
+
+    if (changed) {
+      this.saveScales();
+      this.notifyCallbacks();
+    }
+  }
+
+  saveScales() {
+    try {
+      localStorage.setItem(CUSTOM_SCALES_STORAGE_KEY, JSON.stringify(this.scales));
+    } catch (error) {
+      console.warn('Could not save custom scales:', error);
+    }
+  }
+
+  loadScales() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CUSTOM_SCALES_STORAGE_KEY) || '{}');
+      Object.entries(stored).forEach(([name, semitones]) => this.register(name, semitones));
+    } catch (error) {
+      console.warn('Could not load custom scales:', error);
+    }
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const scales = this.getAll();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(scales);
+      } catch (error) {
+        console.warn('Custom scale callback error:', error);
+      }
+    });
+  }
+}
+
+// Shared custom scale library
+const customScaleLibrary = new CustomScaleLibrary();
+
+export { CustomScaleLibrary, customScaleLibrary };
@@ -0,0 +1,386 @@
+/**
+ * HandSynth - Drum Machine Module
+ * Synthesized drum kit playing 16-step pattern presets on the transport, with fist gestures for fills and mutes
+ */
+
+import { transport } from './transport.js';
+
+const STEP_COUNT = 16; // Pattern length - lanes repeat within bars of other lengths
+const GHOST_VELOCITY = 0.55; // Velocity of 'o' hits - 'x' hits play at full velocity
+
+// Kit voices - built from Tone.js synths so no samples need to load
+const DRUM_KIT = {
+  kick: {
+    name: 'Kick',
+    create: () => new Tone.MembraneSynth({
+      pitchDecay: 0.05,
+      octaves: 6,
+      envelope: { attack: 0.001, decay: 0.4, sustain: 0, release: 0.1 },
+      volume: -2
+    }),
+    trigger: (synth, time, velocity) => synth.triggerAttackRelease('C1', '8n', time, velocity)
+  },
+  snare: {
+    name: 'Snare',
+    create: () => new Tone.NoiseSynth({
+      noise: { type: 'white' },
+      envelope: { attack: 0.001, decay: 0.18, sustain: 0, release: 0.05 },
+      volume: -8
+    }),
+    trigger: (synth, time, velocity) => synth.triggerAttackRelease('16n', time, velocity)
+  },
+  closedHat: {
+    name: 'Closed Hat',
+    create: () => new Tone.MetalSynth({
+      harmonicity: 5.1,
+      modulationIndex: 32,
+      resonance: 4000,
+      octaves: 1.5,
+      envelope: { attack: 0.001, decay: 0.05, release: 0.01 },
+      volume: -22
+    }),
+    trigger: (synth, time, velocity) => synth.triggerAttackRelease(250, '32n', time, velocity)
+  },
+  openHat: {
+    name: 'Open Hat',
+    create: () => new Tone.MetalSynth({
+      harmonicity: 5.1,
+      modulationIndex: 32,
+      resonance: 4000,
+      octaves: 1.5,
+      envelope: { attack: 0.001, decay: 0.35, release: 0.1 },
+      volume: -24
+    }),
+    trigger: (synth, time, velocity) => synth.triggerAttackRelease(250, '8n', time, velocity)
+  },
+  perc: {
+    name: 'Perc',
+    create: () => new Tone.MembraneSynth({
+      pitchDecay: 0.02,
+      octaves: 2,
+      envelope: { attack: 0.001, decay: 0.15, sustain: 0, release: 0.05 },
+      volume: -10
+    }),
+    trigger: (synth, time, velocity) => synth.triggerAttackRelease('G3', '16n', time, velocity)
+  }
+};
+
+// Patterns as strings per voice: 'x' = full hit, 'o' = softer hit, '.' = rest.
+// The fill replaces the groove while a fill gesture is held.
+const DRUM_PATTERNS = {
+  'rock': {
+    name: 'Rock',
+    groove: {
+      kick: 'x.....x.x.......',
+      snare: '....x.......x...',
+      closedHat: 'x.o.x.o.x.o.x.o.'
+    },
+    fill: {
+      kick: 'x.......x.......',
+      snare: '....x.o.xoxoxxxx',
+      perc: '..........x.x...'
+    }
+  },
+  'four-on-floor': {
+    name: 'Four on the Floor',
+    groove: {
+      kick: 'x...x...x...x...',
+      snare: '....x.......x...',
+      closedHat: 'o.o.o.o.o.o.o.o.',
+      openHat: '..x...x...x...x.'
+    },
+    fill: {
+      kick: 'x...x...x...x...',
+      snare: 'o.o.o.o.xoxoxxxx',
+      openHat: '..x...x...x...x.'
+    }
+  },
+  'boom-bap': {
+    name: 'Boom Bap',
+    groove: {
+      kick: 'x......o..x.....',
+      snare: '....x.......x...',
+      closedHat: 'x.o.x.o.x.o.x.oo'
+    },
+    fill: {
+      kick: 'x......o..x.....',
+      snare: '....x..o.ox.xoxx',
+      closedHat: 'x.o.x.o.........'
+    }
+  },
+  'funk': {
+    name: 'Funk',
+    groove: {
+      kick: 'x.o...x...x..o..',
+      snare: '....x..o.o..x..o',
+      closedHat: 'xoxoxoxoxoxoxoxo'
+    },
+    fill: {
+      kick: 'x.o...x.........',
+      snare: '....x..oxoxoxxxx',
+      closedHat: 'xoxoxoxo........'
+    }
+  },
+  'bossa': {
+    name: 'Bossa Nova',
+    groove: {
+      kick: 'x..ox..ox..ox..o',
+      closedHat: 'xoxoxoxoxoxoxoxo',
+      perc: 'x..x..x...x..x..'
+    },
+    fill: {
+      kick: 'x..ox..ox..ox..o',
+      perc: 'x..x..x.x.xxx.xx',
+      snare: '............x.x.'
+    }
+  },
+  'breakbeat': {
+    name: 'Breakbeat',
+    groove: {
+      kick: 'x.x.......xx....',
+      snare: '....x..o.o..x..o',
+      closedHat: 'x.x.x.x.x.x.x.o.',
+      openHat: '..............x.'
+    },
+    fill: {
+      kick: 'x.x.......x.....',
+      snare: '....x..oxoxoxoxx',
+      openHat: '..............x.'
+    }
+  }
+};
+
+// What a closed fist on each hand does while it is held
+const DRUM_GESTURE_ACTIONS = {
+  'none': 'Nothing',
+  'fill': 'Play Fill',
+  'mute-kick': 'Mute Kick',
+  'mute-snare': 'Mute Snare',
+  'mute-hats': 'Mute Hats',
+  'mute-all': 'Mute Kit'
+};
+
+const GESTURE_MUTE_VOICES = {
+  'mute-kick': ['kick'],
+  'mute-snare': ['snare'],
+  'mute-hats': ['closedHat', 'openHat'],
+  'mute-all': Object.keys(DRUM_KIT)
+};
+
+const DEFAULT_DRUM_SETTINGS = {
+  enabled: false,
+  pattern: 'rock',
+  muted: {}, // voice -> true for voices muted from the panel
+  gestures: { left: 'none', right: 'none' } // Closed fist action per hand
+};
+
+class DrumMachine {
+  constructor(getOutput, settings = {}) {
+    this.getOutput = getOutput; // () => AudioNode the kit connects to (null until the mixer is built)
+    this.settings = {
+      ...DEFAULT_DRUM_SETTINGS,
+      ...settings,
+      muted: { ...(settings.muted || {}) },
+      gestures: { ...DEFAULT_DRUM_SETTINGS.gestures, ...(settings.gestures || {}) }
+    };
+    this.voices = null;
+    this.loop = null;
+    this.activeGestures = { left: false, right: false };
+    this.changeCallbacks = [];
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Build the kit on first use, once the audio chain exists
+  ensureKit() {
+    if (this.voices) return true;
+
+    const output = this.getOutput();
+    if (!output) return false;
+
+    this.voices = {};
+    Object.entries(DRUM_KIT).forEach(([voice, definition]) => {
+      this.voices[voice] = definition.create().connect(output);
+    });
+    return true;
+  }
+
+  // Start playing on the transport - the transport is started if it isn't running
+  start() {
+    if (this.loop) return;
+
+    this.loop = new Tone.Loop((time) => this.tick(time), '16n');
+    this.loop.start(0);
+    transport.start();
+  }
+
+  stop() {
+    if (!this.loop) return;
+    this.loop.stop();
+    this.loop.dispose();
+    this.loop = null;
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = !!enabled;
+    if (this.settings.enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+    this.notifyCallbacks();
+  }
+
+  setPattern(patternKey) {
+    if (!DRUM_PATTERNS[patternKey]) return;
+    this.settings.pattern = patternKey;
+    this.notifyCallbacks();
+  }
+
+  // Mute or unmute a kit voice from the panel
+  setVoiceMuted(voice, muted) {
+    if (!DRUM_KIT[voice]) return;
+    if (muted) {
+      this.settings.muted[voice] = true;
+    } else {
+      delete this.settings.muted[voice];
+    }
+    this.notifyCallbacks();
+  }
+
+  // Choose what a closed fist on 'left' or 'right' does
+  setGestureAction(hand, action) {
+    if (!DRUM_GESTURE_ACTIONS[action] || !(hand in this.settings.gestures)) return;
+    this.settings.gestures[hand] = action;
+    this.notifyCallbacks();
+  }
+
+  // Called by hand tracking with whether the hand is currently a closed fist
+  setGestureActive(hand, active) {
+    if (!(hand in this.activeGestures) || this.activeGestures[hand] === !!active) return;
+    this.activeGestures[hand] = !!active;
+    if (this.settings.enabled && this.settings.gestures[hand] !== 'none') {
+      this.notifyCallbacks();
+    }
+  }
+
+  // Actions of the fist gestures being held right now
+  getHeldActions() {
+    return Object.keys(this.activeGestures)
+      .filter(hand => this.activeGestures[hand])
+      .map(hand => this.settings.gestures[hand]);
+  }
+
+  isFillActive() {
+    return this.getHeldActions().includes('fill');
+  }
+
+  isVoiceMuted(voice) {
+    if (this.settings.muted[voice]) return true;
+    return this.getHeldActions().some(action => (GESTURE_MUTE_VOICES[action] || []).includes(voice));
+  }
+
+  // Step within the bar, from the transport position - bars of other time signatures cut the
+  // pattern short (3/4) or repeat its start (5/4), so every bar starts on the pattern's downbeat
+  getStepAtTime(time) {
+    const ticksPerStep = Tone.Time('16n').toTicks();
+    const stepsPerBar = Math.max(1, Math.round(Tone.Time('1m').toTicks() / ticksPerStep));
+    const step = Math.floor(Tone.Transport.getTicksAtTime(time) / ticksPerStep + 0.5) % stepsPerBar;
+    return step % STEP_COUNT;
+  }
+
+  tick(time) {
+    if (!this.ensureKit()) return;
+
+    const pattern = DRUM_PATTERNS[this.settings.pattern];
+    const lanes = this.isFillActive() ? pattern.fill : pattern.groove;
+    const step = this.getStepAtTime(time);
+
+    Object.entries(lanes).forEach(([voice, lane]) => {
+      const symbol = lane[step];
+      if (symbol !== 'x' && symbol !== 'o') return;
+      if (this.isVoiceMuted(voice)) return;
+
+      // A closed hat chokes the open hat, as on a real hi-hat
+      if (voice === 'closedHat') {
+        this.voices.openHat.triggerRelease(time);
+      }
+
+      try {
+        DRUM_KIT[voice].trigger(this.voices[voice], time, symbol === 'x' ? 1 : GHOST_VELOCITY);
+      } catch (error) {
+        console.warn(`Error playing drum voice ${voice}:`, error);
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      ...this.getSettings(),
+      fill: this.isFillActive(),
+      gestureMuted: Object.keys(DRUM_KIT).filter(voice => !this.settings.muted[voice] && this.isVoiceMuted(voice))
+    };
+  }
+
+  getSettings() {
+    return {
+      ...this.settings,
+      muted: { ...this.settings.muted },
+      gestures: { ...this.settings.gestures }
+    };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    this.settings.muted = {};
+    Object.keys(settings.muted || {}).forEach(voice => {
+      if (DRUM_KIT[voice] && settings.muted[voice]) this.settings.muted[voice] = true;
+    });
+
+    const gestures = { ...DEFAULT_DRUM_SETTINGS.gestures, ...(settings.gestures || {}) };
+    Object.entries(gestures).forEach(([hand, action]) => this.setGestureAction(hand, action));
+
+    this.setPattern(settings.pattern || DEFAULT_DRUM_SETTINGS.pattern);
+    this.setEnabled(settings.enabled ?? DEFAULT_DRUM_SETTINGS.enabled);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = this.getStatus();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Drum machine callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    if (this.voices) {
+      Object.values(this.voices).forEach(synth => synth.dispose());
+      this.voices = null;
+    }
+  }
+}
+
+export {
+  DrumMachine,
+  DRUM_KIT,
+  DRUM_PATTERNS,
+  DRUM_GESTURE_ACTIONS,
+  DEFAULT_DRUM_SETTINGS
+};
@@ -0,0 +1,440 @@
+/**
+ * HandSynth - Effects Rack
+ * Modular effect chain whose stages can be bypassed, reordered, duplicated or removed at runtime
+ */
+
+// Fade time used for bypass crossfades and for fading a slot to dry before it is rewired
+const CROSSFADE_TIME = 0.03; // seconds
+
+// Read a Tone.js parameter whether it is a Signal/Param or a plain number
+function readValue(param) {
+  return param !== null && typeof param === 'object' && 'value' in param ? param.value : param;
+}
+
+// Effect type registry - how to build each effect and read its parameters back for serialization
+const EFFECT_TYPES = {
+  reverb: {
+    name: 'Reverb',
+    defaults: { decay: 2.0, preDelay: 0.05, wet: 0 },
+    create: (params) => {
+      const reverb = new Tone.Reverb(params);
+      reverb.generate();
+      return reverb;
+    },
+    read: (node) => ({ decay: node.decay, preDelay: node.preDelay, wet: readValue(node.wet) })
+  },
+  delay: {
+    name: 'Ping-Pong Delay',
+    defaults: { delayTime: '4n', feedback: 0.25, wet: 0 },
+    create: (params) => new Tone.PingPongDelay(params),
+    read: (node) => ({
+      delayTime: readValue(node.delayTime),
+      feedback: readValue(node.feedback),
+      wet: readValue(node.wet)
+    })
+  },
+  chorus: {
+    name: 'Chorus',
+    defaults: { frequency: 1.5, delayTime: 2.5, depth: 0, spread: 180 },
+    create: (params) => new Tone.Chorus(params).start(),
+    read: (node) => ({
+      frequency: readValue(node.frequency),
+      delayTime: node.delayTime,
+      depth: readValue(node.depth),
+      spread: node.spread
+    })
+  },
+  phaser: {
+    name: 'Phaser',
+    defaults: { frequency: 0.5, octaves: 3, baseFrequency: 350, wet: 0 },
+    create: (params) => new Tone.Phaser(params),
+    read: (node) => ({
+      frequency: readValue(node.frequency),
+      octaves: node.octaves,
+      baseFrequency: node.baseFrequency,
+      wet: readValue(node.wet)
+    })
+  },
+  tremolo: {
+    name: 'Tremolo',
+    defaults: { frequency: 10, depth: 0, spread: 0 },
+    create: (params) => new Tone.Tremolo(params).start(),
+    read: (node) => ({
+      frequency: readValue(node.frequency),
+      depth: readValue(node.depth),
+      spread: node.spread
+    })
+  },
+  lowpass: {
+    name: 'Low-Pass Filter',
+    defaults: { frequency: 8000, Q: 0.5, rolloff: -12 },
+    create: (params) => new Tone.Filter({ ...params, type: 'lowpass' }),
+    read: (node) => ({ frequency: readValue(node.frequency), Q: readValue(node.Q), rolloff: node.rolloff })
+  },
+  highpass: {
+    name: 'High-Pass Filter',
+    defaults: { frequency: 20, Q: 0.7 },
+    create: (params) => new Tone.Filter({ ...params, type: 'highpass' }),
+    read: (node) => ({ frequency: readValue(node.frequency), Q: readValue(node.Q) })
+  },
+  eq3: {
+    name: '3-Band EQ',
+    defaults: { low: 0, mid: 0, high: 0, lowFrequency: 400, highFrequency: 2500 },
+    create: (params) => new Tone.EQ3(params),
+    read: (node) => ({
+      low: readValue(node.low),
+      mid: readValue(node.mid),
+      high: readValue(node.high),
+      lowFrequency: readValue(node.lowFrequency),
+      highFrequency: readValue(node.highFrequency)
+    })
+  },
+  saturation: {
+    name: 'Saturation',
+    defaults: { distortion: 0, oversample: '4x' },
+    create: (params) => new Tone.Distortion(params),
+    read: (node) => ({ distortion: node.distortion, oversample: node.oversample })
+  },
+  compressor: {
+    name: 'Compressor',
+    defaults: { threshold: -12, ratio: 3, attack: 0.01, release: 0.2 },
+    create: (params) => new Tone.Compressor(params),
+    read: (node) => ({
+      threshold: readValue(node.threshold),
+      ratio: readValue(node.ratio),
+      attack: readValue(node.attack),
+      release: readValue(node.release)
+    })
+  },
+  widener: {
+    name: 'Stereo Widener',
+    defaults: { width: 0 },
+    create: (params) => new Tone.StereoWidener(params.width),
+    read: (node) => ({ width: readValue(node.width) })
+  }
+};
+
+// Factory order of the original hard-wired chain (master gain and limiter stay fixed after the rack)
+const DEFAULT_RACK_DESCRIPTION = [
+  'reverb', 'delay', 'chorus', 'phaser', 'tremolo', 'lowpass',
+  'highpass', 'eq3', 'saturation', 'compressor', 'widener'
+].map(type => ({ type, bypassed: false }));
+
+class EffectsRack {
+  constructor(description = DEFAULT_RACK_DESCRIPTION) {
+    this.slots = [];
+    this.slotCounter = 0;
+    this.input = null;
+    this.output = null;
+    this.built = false;
+    this.chain = []; // Slots as wired - includes removed slots until they have faded to dry
+    this.links = new Map(); // Source node -> the chain node it is connected to
+    this.changeCallbacks = [];
+
+    this.setDescription(description);
+  }
+
+  // Create the audio nodes - call once Tone.js is running
+  build() {
+    if (this.built) return this;
+
+    this.input = new Tone.Gain(1);
+    this.output = new Tone.Gain(1);
+
+    this.slots.forEach(slot => this.createSlotNodes(slot));
+    this.chain = [...this.slots];
+    this.built = true;
+    this.syncChain();
+
+    console.log(`Effects rack built with ${this.slots.length} stages`);
+    return this;
+  }
+
+  isBuilt() {
+    return this.built;
+  }
+
+  // Create a slot description object (no audio nodes yet)
+  createSlot(type, bypassed = false, params = null) {
+    this.slotCounter++;
+    return {
+      id: `${type}-${this.slotCounter}`,
+      type,
+      bypassed: !!bypassed,
+      params: { ...EFFECT_TYPES[type].defaults, ...params },
+      node: null,
+      input: null,
+      wetGain: null,
+      dryGain: null,
+      output: null,
+      fadeTimer: null
+    };
+  }
+
+  // Each slot is input -> effect -> wet -> output plus input -> dry -> output, so bypass is a crossfade.
+  // Pass dry to build a slot that starts out transparent, ready to be wired in and faded up.
+  createSlotNodes(slot, dry = false) {
+    const effectType = EFFECT_TYPES[slot.type];
+    const wet = !dry && !slot.bypassed;
+
+    slot.input = new Tone.Gain(1);
+    slot.output = new Tone.Gain(1);
+    slot.wetGain = new Tone.Gain(wet ? 1 : 0);
+    slot.dryGain = new Tone.Gain(wet ? 0 : 1);
+    slot.node = effectType.create({ ...slot.params });
+
+    slot.input.connect(slot.node);
+    slot.node.connect(slot.wetGain);
+    slot.wetGain.connect(slot.output);
+    slot.input.connect(slot.dryGain);
+    slot.dryGain.connect(slot.output);
+  }
+
+  disposeSlotNodes(slot) {
+    clearTimeout(slot.fadeTimer);
+    slot.fadeTimer = null;
+    ['input', 'node', 'wetGain', 'dryGain', 'output'].forEach(key => {
+      if (slot[key]) {
+        slot[key].dispose();
+        slot[key] = null;
+      }
+    });
+  }
+
+  // Wire rack input through every slot in the chain into the output, changing only the links that differ
+  syncChain() {
+    const links = new Map();
+    let previous = this.input;
+    this.chain.forEach(slot => {
+      links.set(previous, slot.input);
+      previous = slot.output;
+    });
+    links.set(previous, this.output);
+
+    this.links.forEach((destination, source) => {
+      if (links.get(source) !== destination) source.disconnect(destination);
+    });
+    links.forEach((destination, source) => {
+      if (this.links.get(source) !== destination) source.connect(destination);
+    });
+    this.links = links;
+  }
+
+  // Fade a slot to its bypass state - wet unless bypassed - or to dry while it is rewired
+  fadeSlot(slot, dry = false) {
+    const wet = !dry && !slot.bypassed;
+    slot.wetGain.gain.rampTo(wet ? 1 : 0, CROSSFADE_TIME);
+    slot.dryGain.gain.rampTo(wet ? 0 : 1, CROSSFADE_TIME);
+  }
+
+  // Put a slot in the chain right after the nearest slot before it in the rack that is already in place -
+  // slots still fading to dry pass the signal through unchanged, so where they sit doesn't matter
+  insertIntoChain(slot) {
+    let index = this.slots.indexOf(slot) - 1;
+    while (index >= 0 && (this.slots[index].fadeTimer || !this.chain.includes(this.slots[index]))) {
+      index--;
+    }
+    const previous = index >= 0 ? this.chain.indexOf(this.slots[index]) : -1;
+    this.chain.splice(previous + 1, 0, slot);
+  }
+
+  // Fade a slot to dry, then rewire around it while it passes the signal through unchanged -
+  // the rest of the rack keeps playing. Without a new position the slot leaves the chain.
+  rewireSlot(slot, reinsert) {
+    clearTimeout(slot.fadeTimer);
+    this.fadeSlot(slot, true);
+
+    slot.fadeTimer = setTimeout(() => {
+      slot.fadeTimer = null;
+      try {
+        this.chain.splice(this.chain.indexOf(slot), 1);
+        if (reinsert) this.insertIntoChain(slot);
+        this.syncChain();
+        if (reinsert) {
+          this.fadeSlot(slot);
+        } else {
+          this.disposeSlotNodes(slot);
+        }
+      } catch (error) {
+        console.error('Error rewiring effects rack:', error);
+      }
+    }, CROSSFADE_TIME * 1000 + 10);
+  }
+
+  // Wire a new slot in while it is dry, then fade it up
+  wireNewSlot(slot) {
+    this.createSlotNodes(slot, true);
+    this.insertIntoChain(slot);
+    this.syncChain();
+    this.fadeSlot(slot);
+  }
+
+  findSlotIndex(id) {
+    return this.slots.findIndex(slot => slot.id === id);
+  }
+
+  // Public API
+
+  // Add an effect of the given type at an index (defaults to the end of the chain)
+  addEffect(type, index = this.slots.length, params = null) {
+    if (!EFFECT_TYPES[type]) {
+      console.warn(`Unknown effect type: ${type}`);
+      return null;
+    }
+
+    const slot = this.createSlot(type, false, params);
+    const insertAt = Math.max(0, Math.min(this.slots.length, index));
+    this.slots.splice(insertAt, 0, slot);
+
+    if (this.built) {
+      this.wireNewSlot(slot);
+    }
+    this.notifyCallbacks();
+    return slot.id;
+  }
+
+  // Insert a copy of a slot (with its current parameter values) right after it
+  duplicateEffect(id) {
+    const index = this.findSlotIndex(id);
+    if (index === -1) return null;
+
+    const source = this.slots[index];
+    const params = source.node ? EFFECT_TYPES[source.type].read(source.node) : source.params;
+    const newId = this.addEffect(source.type, index + 1, params);
+    if (newId && source.bypassed) this.setBypass(newId, true);
+    return newId;
+  }
+
+  removeEffect(id) {
+    const index = this.findSlotIndex(id);
+    if (index === -1) return false;
+
+    const [slot] = this.slots.splice(index, 1);
+    if (this.built) {
+      // The slot stays wired until it has faded to dry
+      this.rewireSlot(slot, false);
+    }
+
+    this.notifyCallbacks();
+    return true;
+  }
+
+  moveEffect(id, newIndex) {
+    const index = this.findSlotIndex(id);
+    if (index === -1) return false;
+
+    const targetIndex = Math.max(0, Math.min(this.slots.length - 1, newIndex));
+    if (targetIndex === index) return false;
+
+    const [slot] = this.slots.splice(index, 1);
+    this.slots.splice(targetIndex, 0, slot);
+    if (this.built) {
+      this.rewireSlot(slot, true);
+    }
+    this.notifyCallbacks();
+    return true;
+  }
+
+  setBypass(id, bypassed) {
+    const slot = this.slots[this.findSlotIndex(id)];
+    if (!slot) return false;
+
+    slot.bypassed = !!bypassed;
+    // A slot being moved stays dry until it is rewired, then fades to the new state
+    if (slot.wetGain && slot.dryGain && !slot.fadeTimer) {
+      this.fadeSlot(slot);
+    }
+
+    this.notifyCallbacks();
+    return true;
+  }
+
+  // First slot of a type - the control panel knobs drive this instance
+  getPrimaryNode(type) {
+    const slot = this.slots.find(s => s.type === type);
+    return slot ? slot.node : null;
+  }
+
+  getSlots() {
+    return this.slots.map(slot => ({
+      id: slot.id,
+      type: slot.type,
+      name: EFFECT_TYPES[slot.type].name,
+      bypassed: slot.bypassed
+    }));
+  }
+
+  // Serializable description of the rack, suitable for presets
+  serialize() {
+    return this.slots.map(slot => ({
+      type: slot.type,
+      bypassed: slot.bypassed,
+      params: slot.node ? EFFECT_TYPES[slot.type].read(slot.node) : { ...slot.params }
+    }));
+  }
+
+  // Replace the slot list from a description without touching audio nodes
+  setDescription(description) {
+    const validEntries = (Array.isArray(description) ? description : [])
+      .filter(entry => entry && EFFECT_TYPES[entry.type]);
+
+    if (validEntries.length !== (description || []).length) {
+      console.warn('Effects rack description contained unknown effect types; they were skipped');
+    }
+
+    this.slots = validEntries.map(entry => this.createSlot(entry.type, entry.bypassed, entry.params));
+  }
+
+  // Load a serialized description, replacing the whole rack
+  load(description) {
+    if (!Array.isArray(description)) {
+      console.warn('Invalid effects rack description');
+      return false;
+    }
+
+    if (this.built) {
+      // The old slots fade out of the chain while the new ones fade in
+      const oldSlots = this.slots;
+      this.setDescription(description);
+      oldSlots.forEach(slot => this.rewireSlot(slot, false));
+      this.slots.forEach(slot => this.wireNewSlot(slot));
+    } else {
+      this.setDescription(description);
+    }
+
+    this.notifyCallbacks();
+    return true;
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(this.getSlots());
+      } catch (error) {
+        console.warn('Effects rack callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.chain.forEach(slot => this.disposeSlotNodes(slot));
+    this.chain = [];
+    this.links = new Map();
+    [this.input, this.output].forEach(node => node && node.dispose());
+    this.input = this.output = null;
+    this.built = false;
+  }
+}
+
+export { EffectsRack, EFFECT_TYPES, DEFAULT_RACK_DESCRIPTION };
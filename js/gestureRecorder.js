@@ -0,0 +1,241 @@
+/**
+ * HandSynth - Gesture Recorder Module
+ * Captures the MediaPipe hand results stream into a session file and replays it without a camera
+ */
+
+import { selectedRoot, selectedScale, octave, getSelectedSound } from './musicTheory.js';
+
+const SESSION_FORMAT = 'handsynth-gesture-session';
+const SESSION_VERSION = 1;
+const LANDMARK_PRECISION = 1e5; // Landmarks are stored to 5 decimal places
+
+// Round a landmark coordinate so session files stay compact
+function roundCoordinate(value) {
+  return Math.round(value * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+}
+
+// Convert a MediaPipe results object into a compact session frame
+function resultsToFrame(results, time) {
+  const landmarksList = results.multiHandLandmarks || [];
+  const handednessList = results.multiHandedness || [];
+
+  return {
+    t: Math.round(time * 10) / 10,
+    hands: landmarksList.map((landmarks, i) => ({
+      label: handednessList[i] ? handednessList[i].label : null,
+      score: handednessList[i] ? roundCoordinate(handednessList[i].score) : 0,
+      landmarks: landmarks.map(point => [
+        roundCoordinate(point.x),
+        roundCoordinate(point.y),
+        roundCoordinate(point.z || 0)
+      ])
+    }))
+  };
+}
+
+// Rebuild the results shape onHandResults() expects from a session frame
+function frameToResults(frame) {
+  const hands = frame.hands.filter(hand => hand.label);
+
+  return {
+    multiHandLandmarks: hands.map(hand => hand.landmarks.map(([x, y, z]) => ({ x, y, z }))),
+    multiHandedness: hands.map((hand, index) => ({ index, label: hand.label, score: hand.score }))
+  };
+}
+
+// Check that a parsed file looks like a gesture session
+function validateSession(session) {
+  return !!session &&
+    session.format === SESSION_FORMAT &&
+    Array.isArray(session.frames) &&
+    session.frames.every(frame => typeof frame.t === 'number' && Array.isArray(frame.hands));
+}
+
+class GestureRecorder {
+  constructor() {
+    this.state = 'idle'; // 'idle', 'capturing', 'replaying'
+    this.frames = [];
+    this.captureStartTime = 0;
+    this.session = null;
+    this.replayHandler = null;
+    this.replayStartTime = 0;
+    this.replayIndex = 0;
+    this.replayFrameId = null;
+    this.changeCallbacks = [];
+  }
+
+  // Start capturing hand results - any previous capture is discarded
+  startCapture() {
+    if (this.state !== 'idle') return false;
+
+    this.frames = [];
+    this.captureStartTime = performance.now();
+    this.state = 'capturing';
+    this.notifyCallbacks();
+    return true;
+  }
+
+  // Record one MediaPipe results object (called for every live camera frame)
+  captureFrame(results) {
+    if (this.state !== 'capturing') return;
+
+    this.frames.push(resultsToFrame(results, performance.now() - this.captureStartTime));
+    if (this.frames.length % 30 === 0) this.notifyCallbacks();
+  }
+
+  // Stop capturing and keep the take as the current session
+  stopCapture() {
+    if (this.state !== 'capturing') return null;
+
+    this.state = 'idle';
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      createdAt: new Date().toISOString(),
+      // Musical settings at capture time, for reference when reproducing a take
+      settings: {
+        root: selectedRoot,
+        scale: selectedScale,
+        octave: octave,
+        instrument: getSelectedSound()
+      },
+      frames: this.frames
+    };
+    this.frames = [];
+    this.notifyCallbacks();
+    return this.session;
+  }
+
+  // Replay the current session, handing every frame to the handler in order at its recorded time
+  startReplay(handler) {
+    if (this.state !== 'idle' || !this.session || this.session.frames.length === 0) return false;
+
+    this.replayHandler = handler;
+    this.replayIndex = 0;
+    this.replayStartTime = performance.now();
+    this.state = 'replaying';
+    this.notifyCallbacks();
+
+    const tick = () => {
+      const elapsed = performance.now() - this.replayStartTime;
+      const frames = this.session.frames;
+
+      // Never skip frames - if the page stalls, catch up by dispatching every frame that is due
+      while (this.replayIndex < frames.length && frames[this.replayIndex].t <= elapsed) {
+        this.replayHandler(frameToResults(frames[this.replayIndex]));
+        this.replayIndex++;
+      }
+
+      if (this.replayIndex >= frames.length) {
+        this.stopReplay();
+        return;
+      }
+
+      this.notifyCallbacks();
+      this.replayFrameId = requestAnimationFrame(tick);
+    };
+    this.replayFrameId = requestAnimationFrame(tick);
+    return true;
+  }
+
+  stopReplay() {
+    if (this.state !== 'replaying') return;
+
+    if (this.replayFrameId) {
+      cancelAnimationFrame(this.replayFrameId);
+      this.replayFrameId = null;
+    }
+
+    // Finish with an empty frame so held notes and chords are released
+    this.replayHandler({ multiHandLandmarks: [], multiHandedness: [] });
+    this.replayHandler = null;
+    this.state = 'idle';
+    this.notifyCallbacks();
+  }
+
+  stop() {
+    if (this.state === 'capturing') return this.stopCapture();
+    if (this.state === 'replaying') this.stopReplay();
+    return null;
+  }
+
+  isCapturing() {
+    return this.state === 'capturing';
+  }
+
+  isReplaying() {
+    return this.state === 'replaying';
+  }
+
+  hasSession() {
+    return !!this.session && this.session.frames.length > 0;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  // Frame count and duration (seconds) of the capture in progress or the loaded session
+  getStatus() {
+    const frames = this.state === 'capturing' ? this.frames : (this.session ? this.session.frames : []);
+    const duration = frames.length > 0 ? frames[frames.length - 1].t / 1000 : 0;
+    const position = this.state === 'replaying' ? (performance.now() - this.replayStartTime) / 1000 : 0;
+
+    return { state: this.state, frameCount: frames.length, duration, position };
+  }
+
+  // Serialize the current session as JSON for download
+  exportSession() {
+    if (!this.hasSession()) return null;
+    return JSON.stringify(this.session);
+  }
+
+  // Load a session from parsed JSON
+  loadSession(session) {
+    if (this.state !== 'idle') return false;
+    if (!validateSession(session)) {
+      console.warn('Invalid gesture session file');
+      return false;
+    }
+
+    if (session.version > SESSION_VERSION) {
+      console.warn(`Gesture session version ${session.version} is newer than supported version ${SESSION_VERSION}`);
+    }
+
+    // Frames must be in time order for replay
+    this.session = { ...session, frames: [...session.frames].sort((a, b) => a.t - b.t) };
+    this.notifyCallbacks();
+    return true;
+  }
+
+  getSessionSettings() {
+    return this.session ? this.session.settings || null : null;
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = this.getStatus();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Gesture recorder callback error:', error);
+      }
+    });
+  }
+}
+
+// Shared recorder instance
+const gestureRecorder = new GestureRecorder();
+
+export { GestureRecorder, gestureRecorder, resultsToFrame, frameToResults, validateSession };
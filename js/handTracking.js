@@ -3,11 +3,13 @@
  * MediaPipe hand tracking integration with improved performance
  */
 
-import { calculateDistance, showMessage } from './utils.js';
+import { calculateDistance, isClosedFist, showMessage } from './utils.js';
 import { getNoteFromPosition, getChordFromPosition } from './musicTheory.js';
-import { playMelodyNote, playChord, stopMelody, stopChord, setVolume, updateGestureParameters } from './audio.js';
+import { playMelodyNote, playChord, stopMelody, stopChord, setVolume, updateGestureParameters, getDrumMachine } from './audio.js';
 import { updateTrackingStatus } from './controlPanel.js';
 import { performanceMonitor } from './performanceMonitor.js';
+import { gestureRecorder } from './gestureRecorder.js';
+import { tuning } from './tuning.js';
 
 // Hand tracking variables
 let hands;
@@ -70,7 +72,7 @@ function setupHandTracking() {
             minTrackingConfidence: isLowPerformanceDevice ? 0.7 : 0.75
         });
 
-        hands.onResults(onHandResults);
+        hands.onResults(handleLiveResults);
 
         const camera = new Camera(videoElement, {
             onFrame: async () => {
@@ -147,17 +149,41 @@ function setupWebcamElements() {
     }
 }
 
+// Live camera results - ignored while a session replays
+function handleLiveResults(results) {
+    if (gestureRecorder.isReplaying()) return;
+
+    onHandResults(results);
+}
+
+// Replay the loaded gesture session through the same pipeline as the camera
+function startGestureReplay() {
+    if (!canvasCtx || !canvasElement) {
+        console.error("Canvas element not ready for gesture replay.");
+        return false;
+    }
+    return gestureRecorder.startReplay((results) => onHandResults(results, true));
+}
+
+function stopGestureReplay() {
+    gestureRecorder.stopReplay();
+}
+
 // Process detected hands - with updated visual feedback for inverted volume
-function onHandResults(results) {
+function onHandResults(results, isReplay = false) {
     if (!canvasCtx || !canvasElement) return;
 
     // Performance optimization: throttle rendering on low-performance devices
+    // Replayed frames are never dropped so a replay always produces the same notes
     const now = performance.now();
-    if (isLowPerformanceDevice && now - lastRenderTime < THROTTLE_INTERVAL) {
+    if (!isReplay && isLowPerformanceDevice && now - lastRenderTime < THROTTLE_INTERVAL) {
         return; // Skip this render cycle
     }
     lastRenderTime = now;
 
+    // Capture only the live frames that are played, so a replay matches the notes heard
+    if (!isReplay) gestureRecorder.captureFrame(results);
+
     // Record frame for performance monitoring
     performanceMonitor.recordFrame();
 
@@ -233,6 +259,9 @@ function onHandResults(results) {
                         // Update gesture parameters for real instrument responsiveness
                         updateGestureParameters(pinchDist, wrist, 'left');
 
+                        // Closed fist triggers the drum machine's fill or mute for this hand
+                        getDrumMachine().setGestureActive('left', isClosedFist(landmarks));
+
                         // Get chord based on hand height
                         const chord = getChordFromPosition(wrist.y);
 
@@ -248,10 +277,10 @@ function onHandResults(results) {
                             chordViz.classList.add('chord-active');
                         }
 
-                        // Store chord name to draw at wrist location - simplified on low-performance devices
+                        // Store chord name and Roman numeral to draw at wrist location - simplified on low-performance devices
                         if (!isLowPerformanceDevice) {
                             textLabels.push({
-                                text: chord.name,
+                                text: chord.romanNumeral ? `${chord.name} ${chord.romanNumeral}` : chord.name,
                                 x: wrist.x * canvasElement.width,
                                 y: wrist.y * canvasElement.height, // Center text on wrist
                                 color: 'white'
@@ -317,6 +346,9 @@ function onHandResults(results) {
                         // Update gesture parameters for real instrument responsiveness
                         updateGestureParameters(pinchDist, wrist, 'right');
 
+                        // Closed fist triggers the drum machine's fill or mute for this hand
+                        getDrumMachine().setGestureActive('right', isClosedFist(landmarks));
+
                         // Get melody note based on hand height
                         const note = getNoteFromPosition(wrist.y);
 
@@ -329,7 +361,7 @@ function onHandResults(results) {
                         // Store note name to draw at wrist location - simplified on low-performance devices
                         if (!isLowPerformanceDevice) {
                             textLabels.push({
-                                text: note,
+                                text: tuning.formatNote(note),
                                 x: wrist.x * canvasElement.width,
                                 y: wrist.y * canvasElement.height, // Center text on wrist
                                 color: 'white'
@@ -416,6 +448,10 @@ function onHandResults(results) {
         canvasCtx.restore();
     }
 
+    // A hand leaving the frame releases its drum gesture
+    if (!isLeftHandPresent) getDrumMachine().setGestureActive('left', false);
+    if (!isRightHandPresent) getDrumMachine().setGestureActive('right', false);
+
     // Draw all text labels on top of landmarks
     if (textLabels.length > 0) {
         canvasCtx.save();
@@ -448,5 +484,7 @@ function onHandResults(results) {
 export {
     setupHandTracking,
     setupWebcamElements,
-    onHandResults
+    onHandResults,
+    startGestureReplay,
+    stopGestureReplay
 }
\ No newline at end of file
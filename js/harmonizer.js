@@ -0,0 +1,319 @@
+/**
+ * HandSynth - Harmonizer Module
+ * Doubles the melody note with diatonic harmony voices from the current scale and the left-hand chord
+ */
+
+import { scales, getSelectedScale, getSelectedRoot, noteNameToMidi, midiNumberToNoteName } from './musicTheory.js';
+import { connectRealInstrumentPart, disconnectRealInstrumentPart, playRealChord, stopRealChord } from './realInstruments.js';
+import { tuning } from './tuning.js';
+
+// Harmony voices - each one has its own level and pan
+const HARMONY_VOICES = {
+  thirdAbove: '3rd Above',
+  thirdBelow: '3rd Below',
+  sixthBelow: '6th Below',
+  shearing: 'Shearing Block'
+};
+
+const DEFAULT_HARMONIZER_SETTINGS = {
+  enabled: false,
+  voices: {
+    thirdAbove: { enabled: true, level: -6, pan: -0.3 }, // level in dB, pan from -1 (left) to 1 (right)
+    thirdBelow: { enabled: false, level: -6, pan: 0.3 },
+    sixthBelow: { enabled: false, level: -8, pan: 0.3 },
+    shearing: { enabled: false, level: -10, pan: 0 }
+  }
+};
+
+const MIN_VOICE_LEVEL = -40;
+const MAX_VOICE_LEVEL = 6;
+const VOICE_RAMP_TIME = 0.1; // seconds
+
+function pitchClass(midi) {
+  return ((midi % 12) + 12) % 12;
+}
+
+// Move a note by scale steps (+2 = a diatonic third up) - notes outside the scale move from the scale note below them
+function moveByScaleSteps(midi, steps, scaleClasses) {
+  if (scaleClasses.length === 0) return midi + steps * 2;
+
+  let base = midi;
+  while (!scaleClasses.includes(pitchClass(base))) base--;
+
+  const direction = Math.sign(steps);
+  let note = base;
+  let remaining = Math.abs(steps);
+  while (remaining > 0) {
+    note += direction;
+    if (scaleClasses.includes(pitchClass(note))) remaining--;
+  }
+  return note + (midi - base);
+}
+
+// A third above (direction 1) or below (-1) - the next chord tone when the melody is on one, otherwise diatonic
+function harmonyThird(midi, direction, context) {
+  if (context.chordClasses && context.chordClasses.includes(pitchClass(midi))) {
+    for (let distance = 3; distance <= 5; distance++) {
+      const candidate = midi + direction * distance;
+      if (context.chordClasses.includes(pitchClass(candidate))) return candidate;
+    }
+  }
+  return moveByScaleSteps(midi, 2 * direction, context.scaleClasses);
+}
+
+// Shearing-style block chord: chord tones in close position under the melody, with the melody doubled an octave down
+function shearingBlock(midi, context) {
+  const melodyClass = pitchClass(midi);
+  let tones;
+
+  if (context.chordClasses && context.chordClasses.includes(melodyClass)) {
+    tones = context.chordClasses
+      .filter(chordClass => chordClass !== melodyClass)
+      .map(chordClass => midi - (((melodyClass - chordClass) + 12) % 12))
+      .sort((a, b) => b - a)
+      .slice(0, 3);
+  } else {
+    // Passing tones get the diatonic seventh chord that has the melody on top
+    tones = [2, 4, 6].map(steps => moveByScaleSteps(midi, -steps, context.scaleClasses));
+  }
+
+  return [...tones, midi - 12];
+}
+
+// Harmony notes for each voice, as standard MIDI numbers
+const VOICE_BUILDERS = {
+  thirdAbove: (midi, context) => [harmonyThird(midi, 1, context)],
+  thirdBelow: (midi, context) => [harmonyThird(midi, -1, context)],
+  sixthBelow: (midi, context) => [harmonyThird(midi, 1, context) - 12],
+  shearing: shearingBlock
+};
+
+// Pitch classes of the current scale from its root
+function getScaleClasses() {
+  const scaleArray = scales[getSelectedScale()] || scales.major;
+  const rootClass = pitchClass(noteNameToMidi(`${getSelectedRoot()}4`));
+  return scaleArray.map(semitones => (rootClass + semitones) % 12);
+}
+
+class Harmonizer {
+  constructor(getOutput, createVoice, settings = {}) {
+    this.getOutput = getOutput; // () => AudioNode the voices connect to (null until the mixer is built)
+    this.createVoice = createVoice; // () => polyphonic synth voice for the current sound
+    this.settings = { enabled: settings.enabled ?? DEFAULT_HARMONIZER_SETTINGS.enabled, voices: {} };
+    Object.keys(HARMONY_VOICES).forEach(voice => {
+      this.settings.voices[voice] = { ...DEFAULT_HARMONIZER_SETTINGS.voices[voice], ...((settings.voices || {})[voice] || {}) };
+    });
+
+    this.channels = null; // voice -> { volume, panner }
+    this.synths = {}; // voice -> synth for synthetic sounds
+    this.sounding = {}; // voice -> { notes, instrumentId } currently held
+    this.melody = null; // { note, velocity, instrumentId } while the melody hand plays
+    this.chordClasses = null;
+    this.changeCallbacks = [];
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Build each voice's level and pan once the audio chain exists
+  ensureChannels() {
+    if (this.channels) return true;
+
+    const output = this.getOutput();
+    if (!output) return false;
+
+    this.channels = {};
+    Object.entries(this.settings.voices).forEach(([voice, voiceSettings]) => {
+      const volume = new Tone.Volume(voiceSettings.level);
+      const panner = new Tone.Panner(voiceSettings.pan);
+      volume.chain(panner, output);
+      this.channels[voice] = { volume, panner };
+    });
+    return true;
+  }
+
+  // Harmony notes for the enabled voices, as note names
+  getHarmonyNotes(note) {
+    const midi = noteNameToMidi(note) + 12; // Standard MIDI numbers, as used by midiNumberToNoteName
+    const context = { scaleClasses: getScaleClasses(), chordClasses: this.chordClasses };
+
+    const harmony = {};
+    Object.entries(this.settings.voices).forEach(([voice, voiceSettings]) => {
+      if (!voiceSettings.enabled) return;
+      harmony[voice] = VOICE_BUILDERS[voice](midi, context).map(harmonyMidi => midiNumberToNoteName(harmonyMidi));
+    });
+    return harmony;
+  }
+
+  // Harmonize a melody note - instrumentId plays the voices on that real instrument instead of synths
+  noteOn(note, velocity = 0.8, instrumentId = null) {
+    this.melody = { note, velocity, instrumentId };
+    this.update();
+  }
+
+  noteOff() {
+    this.melody = null;
+    this.update();
+  }
+
+  // Follow the left-hand chord - null harmonizes from the scale alone
+  setChord(chord) {
+    const chordClasses = chord && chord.notes && chord.notes.length > 0
+      ? [...new Set(chord.notes.map(note => pitchClass(noteNameToMidi(note))))]
+      : null;
+    if ((chordClasses || []).join(',') === (this.chordClasses || []).join(',')) return;
+
+    this.chordClasses = chordClasses;
+    if (this.melody) this.update();
+  }
+
+  // Start, change or release each voice to match the held melody note
+  update() {
+    const harmony = this.settings.enabled && this.melody && this.ensureChannels()
+      ? this.getHarmonyNotes(this.melody.note)
+      : {};
+    const instrumentId = this.melody ? this.melody.instrumentId : null;
+
+    Object.keys(HARMONY_VOICES).forEach(voice => {
+      const notes = harmony[voice] || [];
+      const sounding = this.sounding[voice];
+      if (sounding && sounding.instrumentId === instrumentId && sounding.notes.join(',') === notes.join(',')) return;
+
+      if (sounding) this.releaseVoice(voice);
+      if (notes.length > 0) this.attackVoice(voice, notes, this.melody.velocity, instrumentId);
+    });
+  }
+
+  attackVoice(voice, notes, velocity, instrumentId) {
+    const part = `harmonizer-${voice}`;
+    try {
+      if (instrumentId) {
+        connectRealInstrumentPart(instrumentId, part, this.channels[voice].volume);
+        playRealChord(instrumentId, notes, velocity, null, undefined, undefined, part);
+      } else {
+        if (!this.synths[voice]) {
+          this.synths[voice] = this.createVoice().connect(this.channels[voice].volume);
+        }
+        this.synths[voice].triggerAttack(tuning.tuneNotes(notes), Tone.now(), velocity);
+      }
+      this.sounding[voice] = { notes, instrumentId };
+    } catch (error) {
+      console.warn(`Error playing harmonizer voice ${voice}:`, error);
+    }
+  }
+
+  releaseVoice(voice) {
+    const sounding = this.sounding[voice];
+    if (!sounding) return;
+    delete this.sounding[voice];
+
+    if (sounding.instrumentId) {
+      stopRealChord(sounding.instrumentId, sounding.notes, `harmonizer-${voice}`);
+    } else if (this.synths[voice]) {
+      this.synths[voice].releaseAll();
+    }
+  }
+
+  // Drop the voices so the next melody update plays them with the current sound
+  refreshVoices() {
+    Object.keys(HARMONY_VOICES).forEach(voice => {
+      this.releaseVoice(voice);
+      if (this.synths[voice]) {
+        this.synths[voice].dispose();
+        delete this.synths[voice];
+      }
+      disconnectRealInstrumentPart(`harmonizer-${voice}`);
+    });
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = !!enabled;
+    this.update();
+    this.notifyCallbacks();
+  }
+
+  setVoiceEnabled(voice, enabled) {
+    if (!HARMONY_VOICES[voice]) return;
+    this.settings.voices[voice].enabled = !!enabled;
+    this.update();
+    this.notifyCallbacks();
+  }
+
+  // Voice level in dB
+  setVoiceLevel(voice, db) {
+    if (!HARMONY_VOICES[voice]) return;
+    const level = Math.max(MIN_VOICE_LEVEL, Math.min(MAX_VOICE_LEVEL, db));
+    this.settings.voices[voice].level = level;
+    if (this.channels) this.channels[voice].volume.volume.rampTo(level, VOICE_RAMP_TIME);
+    this.notifyCallbacks();
+  }
+
+  // Voice pan from -1 (left) to 1 (right)
+  setVoicePan(voice, pan) {
+    if (!HARMONY_VOICES[voice]) return;
+    const value = Math.max(-1, Math.min(1, pan));
+    this.settings.voices[voice].pan = value;
+    if (this.channels) this.channels[voice].panner.pan.rampTo(value, VOICE_RAMP_TIME);
+    this.notifyCallbacks();
+  }
+
+  getSettings() {
+    const voices = {};
+    Object.entries(this.settings.voices).forEach(([voice, voiceSettings]) => {
+      voices[voice] = { ...voiceSettings };
+    });
+    return { enabled: this.settings.enabled, voices };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    Object.keys(HARMONY_VOICES).forEach(voice => {
+      const voiceSettings = { ...DEFAULT_HARMONIZER_SETTINGS.voices[voice], ...((settings.voices || {})[voice] || {}) };
+      this.setVoiceLevel(voice, voiceSettings.level);
+      this.setVoicePan(voice, voiceSettings.pan);
+      this.setVoiceEnabled(voice, voiceSettings.enabled);
+    });
+    this.setEnabled(settings.enabled ?? DEFAULT_HARMONIZER_SETTINGS.enabled);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const settings = this.getSettings();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        console.warn('Harmonizer callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.melody = null;
+    this.refreshVoices();
+    if (this.channels) {
+      Object.values(this.channels).forEach(({ volume, panner }) => {
+        volume.dispose();
+        panner.dispose();
+      });
+      this.channels = null;
+    }
+  }
+}
+
+export {
+  Harmonizer,
+  HARMONY_VOICES,
+  DEFAULT_HARMONIZER_SETTINGS
+};
@@ -52,6 +52,7 @@ class KnobControl {
     }
 
     onMouseDown(e) {
+        if (e.button !== 0) return; // Right-click is reserved for MIDI-learn
         e.preventDefault();
         this.isDragging = true;
         this.startY = e.clientY;
@@ -182,6 +183,13 @@ class KnobControl {
         return this.value;
     }
 
+    // Map a 0-1 position (e.g. a MIDI CC) onto the knob range, snapped to its step
+    valueFromNormalized(normalized) {
+        const raw = this.min + Math.max(0, Math.min(1, normalized)) * (this.max - this.min);
+        const snapped = this.min + Math.round((raw - this.min) / this.step) * this.step;
+        return Math.max(this.min, Math.min(this.max, parseFloat(snapped.toFixed(6))));
+    }
+
     setOnChange(callback) {
         this.onchange = callback;
     }
@@ -0,0 +1,351 @@
+/**
+ * HandSynth - Looper Module
+ * Records melody and chord note events into bar-quantized loop layers and plays them back on the transport
+ */
+
+import { transport } from './transport.js';
+
+class Looper {
+  constructor(playHandler) {
+    this.playHandler = playHandler; // (part, notes, durationSeconds, velocity, time) => void
+    this.layers = []; // { id, events, part, muted }
+    this.loopStartTicks = null;
+    this.loopLengthTicks = 0;
+    this.recording = null; // Layer being recorded: { startTicks, endTicks, events, openNotes }
+    this.state = 'empty'; // 'empty', 'armed', 'recording', 'overdubbing', 'playing', 'stopped'
+    this.playing = false;
+    this.nextLayerId = 1;
+    this.scheduledEventIds = [];
+    this.changeCallbacks = [];
+
+    // Stopping the transport rewinds it to tick 0, so the loop has to follow it there
+    Tone.Transport.on('stop', () => this.handleTransportStop());
+  }
+
+  getTicksPerBar() {
+    return Tone.Time('1m').toTicks();
+  }
+
+  hasLoop() {
+    return this.layers.length > 0;
+  }
+
+  isRecording() {
+    return !!this.recording;
+  }
+
+  // Run a callback at an absolute tick position - on the draw clock for UI changes, or
+  // ahead of time (transport lookahead) when it schedules audio
+  scheduleAtTicks(ticks, callback, onDraw = true) {
+    const id = Tone.Transport.scheduleOnce((time) => {
+      if (onDraw) {
+        Tone.Draw.schedule(callback, time);
+      } else {
+        callback();
+      }
+    }, `${ticks}i`);
+    this.scheduledEventIds.push(id);
+  }
+
+  clearScheduledEvents() {
+    this.scheduledEventIds.forEach(id => Tone.Transport.clear(id));
+    this.scheduledEventIds = [];
+  }
+
+  // Record button: arm the first layer, overdub on an existing loop, or finish the current take
+  record() {
+    if (this.recording) {
+      this.stopRecording();
+    } else if (this.hasLoop()) {
+      this.startOverdub();
+    } else {
+      this.armFirstLayer();
+    }
+  }
+
+  // The first layer starts on the next bar line
+  armFirstLayer() {
+    transport.start();
+
+    const ticksPerBar = this.getTicksPerBar();
+    const startTicks = Math.ceil(Tone.Transport.ticks / ticksPerBar) * ticksPerBar;
+    this.recording = { startTicks, endTicks: null, events: [], openNotes: {} };
+    this.state = 'armed';
+
+    this.scheduleAtTicks(startTicks, () => {
+      if (this.state !== 'armed') return;
+      this.state = 'recording';
+      this.notifyCallbacks();
+    });
+    this.notifyCallbacks();
+  }
+
+  // Overdubs record from now and wrap around the existing loop until stopped
+  startOverdub() {
+    this.recording = { startTicks: Tone.Transport.ticks, endTicks: null, events: [], openNotes: {} };
+    this.state = 'overdubbing';
+    if (!this.playing) this.play();
+    this.notifyCallbacks();
+  }
+
+  stopRecording() {
+    if (!this.recording) return;
+
+    // Stopping before the first bar started discards the take
+    if (this.state === 'armed') {
+      this.cancelRecording();
+      return;
+    }
+
+    if (this.hasLoop()) {
+      this.finishLayer(Tone.Transport.ticks);
+      return;
+    }
+
+    // The first take runs on to the next bar line, which sets the loop length
+    const ticksPerBar = this.getTicksPerBar();
+    const endTicks = Math.max(
+      this.recording.startTicks + ticksPerBar,
+      Math.ceil(Tone.Transport.ticks / ticksPerBar) * ticksPerBar
+    );
+    this.recording.endTicks = endTicks;
+    this.scheduleAtTicks(endTicks, () => {
+      if (this.recording && this.recording.endTicks === endTicks) {
+        this.finishLayer(endTicks);
+      }
+    }, false);
+    this.notifyCallbacks();
+  }
+
+  cancelRecording() {
+    this.recording = null;
+    this.state = this.hasLoop() ? (this.playing ? 'playing' : 'stopped') : 'empty';
+    this.notifyCallbacks();
+  }
+
+  // Close the take and start it looping in phase with the other layers
+  finishLayer(endTicks) {
+    const recording = this.recording;
+    Object.keys(recording.openNotes).forEach(part => this.closeNote(part, endTicks));
+
+    if (!this.hasLoop()) {
+      this.loopStartTicks = recording.startTicks;
+      this.loopLengthTicks = endTicks - recording.startTicks;
+      this.playing = true;
+    }
+
+    const layer = { id: this.nextLayerId++, events: recording.events, part: null, muted: false };
+    this.recording = null;
+
+    if (layer.events.length > 0) {
+      layer.part = this.createPart(layer);
+      this.startPart(layer, Math.max(endTicks, Math.ceil(Tone.Transport.ticks)));
+      this.layers.push(layer);
+    } else if (!this.hasLoop()) {
+      // An empty first take leaves nothing to loop against
+      this.loopStartTicks = null;
+      this.loopLengthTicks = 0;
+      this.playing = false;
+    }
+
+    this.state = this.hasLoop() ? (this.playing ? 'playing' : 'stopped') : 'empty';
+    this.notifyCallbacks();
+  }
+
+  createPart(layer) {
+    const part = new Tone.Part((time, event) => {
+      this.playHandler(event.part, event.notes, Tone.Ticks(event.duration).toSeconds(), event.velocity, time);
+    }, layer.events.map(event => ({ ...event, time: `${event.time}i` })));
+
+    part.loop = true;
+    part.loopEnd = `${this.loopLengthTicks}i`;
+    part.mute = layer.muted || !this.playing;
+    return part;
+  }
+
+  // Re-anchor the loop at tick 0 so it starts from its downbeat when the transport starts again. A take
+  // in progress is dropped, as its tick positions no longer line up with anything.
+  handleTransportStop() {
+    if (!this.hasLoop() && !this.recording) return;
+
+    this.clearScheduledEvents();
+    if (this.recording) {
+      this.recording = null;
+      this.state = this.hasLoop() ? (this.playing ? 'playing' : 'stopped') : 'empty';
+    }
+
+    if (this.hasLoop()) {
+      this.loopStartTicks = 0;
+      this.layers.forEach(layer => {
+        layer.part.cancel(0);
+        this.startPart(layer, 0);
+      });
+    }
+    this.notifyCallbacks();
+  }
+
+  // Start a layer's part at a tick position, offset so it lines up with the loop start
+  startPart(layer, ticks) {
+    const offset = ((ticks - this.loopStartTicks) % this.loopLengthTicks + this.loopLengthTicks) % this.loopLengthTicks;
+    layer.part.start(`${ticks}i`, `${offset}i`);
+  }
+
+  // Note events from the melody ('melody') and chord ('harmony') voices
+  noteOn(part, notes, velocity) {
+    if (!this.recording || !notes || notes.length === 0) return;
+
+    const openNote = this.recording.openNotes[part];
+    if (openNote && openNote.notes.join(',') === notes.join(',')) return;
+
+    const ticks = Tone.Transport.ticks;
+    this.closeNote(part, ticks);
+    this.recording.openNotes[part] = { notes: [...notes], velocity, startTicks: ticks };
+  }
+
+  noteOff(part) {
+    if (!this.recording) return;
+    this.closeNote(part, Tone.Transport.ticks);
+  }
+
+  // Turn a held note into a loop event positioned within the loop
+  closeNote(part, ticks) {
+    const recording = this.recording;
+    const openNote = recording.openNotes[part];
+    if (!openNote) return;
+    delete recording.openNotes[part];
+
+    // Notes already held when the take starts begin on its downbeat
+    const startTicks = Math.max(openNote.startTicks, recording.startTicks);
+
+    const endTicks = recording.endTicks !== null ? Math.min(ticks, recording.endTicks) : ticks;
+    if (endTicks <= startTicks) return;
+
+    let time;
+    let duration = endTicks - startTicks;
+    if (this.hasLoop()) {
+      time = ((startTicks - this.loopStartTicks) % this.loopLengthTicks + this.loopLengthTicks) % this.loopLengthTicks;
+      duration = Math.min(duration, this.loopLengthTicks);
+    } else {
+      time = startTicks - recording.startTicks;
+    }
+
+    recording.events.push({
+      part,
+      notes: openNote.notes,
+      velocity: openNote.velocity,
+      time: Math.round(time),
+      duration: Math.round(duration)
+    });
+  }
+
+  play() {
+    if (!this.hasLoop()) return;
+    this.playing = true;
+    transport.start();
+    this.updateMutes();
+    if (!this.recording) this.state = 'playing';
+    this.notifyCallbacks();
+  }
+
+  stop() {
+    if (!this.hasLoop()) return;
+    if (this.recording) this.stopRecording();
+    this.playing = false;
+    this.updateMutes();
+    if (!this.recording) this.state = 'stopped';
+    this.notifyCallbacks();
+  }
+
+  togglePlayback() {
+    if (this.playing) {
+      this.stop();
+    } else {
+      this.play();
+    }
+  }
+
+  updateMutes() {
+    this.layers.forEach(layer => {
+      layer.part.mute = layer.muted || !this.playing;
+    });
+  }
+
+  setLayerMuted(id, muted) {
+    const layer = this.layers.find(layer => layer.id === id);
+    if (!layer) return;
+    layer.muted = !!muted;
+    this.updateMutes();
+    this.notifyCallbacks();
+  }
+
+  // Drop the take in progress, or the most recent layer
+  undo() {
+    if (this.recording) {
+      this.cancelRecording();
+      return;
+    }
+
+    const layer = this.layers.pop();
+    if (!layer) return;
+    layer.part.dispose();
+
+    if (!this.hasLoop()) {
+      this.reset();
+    }
+    this.notifyCallbacks();
+  }
+
+  clear() {
+    this.layers.forEach(layer => layer.part.dispose());
+    this.layers = [];
+    this.recording = null;
+    this.reset();
+    this.notifyCallbacks();
+  }
+
+  reset() {
+    this.clearScheduledEvents();
+    this.loopStartTicks = null;
+    this.loopLengthTicks = 0;
+    this.playing = false;
+    this.state = 'empty';
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      playing: this.playing,
+      bars: this.loopLengthTicks > 0 ? Math.round(this.loopLengthTicks / this.getTicksPerBar()) : 0,
+      finishing: !!(this.recording && this.recording.endTicks !== null),
+      layers: this.layers.map(layer => ({ id: layer.id, muted: layer.muted, eventCount: layer.events.length }))
+    };
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = this.getStatus();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Looper callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.clear();
+  }
+}
+
+export { Looper };
@@ -0,0 +1,506 @@
+/**
+ * HandSynth - MIDI Module
+ * Web MIDI access, note/chord output to external synths and DAWs, and keyboard/controller input
+ */
+
+import { tuning, DEFAULT_REFERENCE_PITCH } from './tuning.js';
+
+const MIDI_SETTINGS_STORAGE_KEY = 'handsynth-midi-settings';
+
+// MIDI status bytes (channel is added to the low nibble)
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xB0;
+const PITCH_BEND = 0xE0;
+const ALL_NOTES_OFF_CC = 123;
+const PITCH_BEND_RANGE_CENTS = 200; // Receivers' default bend range of +/-2 semitones
+
+// Controller CCs that drive control panel knobs until MIDI-learn changes them (mostly General MIDI sound controllers)
+const DEFAULT_CC_KNOB_MAP = {
+  7: 'master-volume',
+  12: 'delay-amount',
+  13: 'delay-feedback',
+  72: 'envelope-release',
+  73: 'envelope-attack',
+  74: 'filter-freq',
+  75: 'envelope-decay',
+  91: 'reverb-amount',
+  93: 'chorus-depth',
+  94: 'oscillator-detune',
+  95: 'phaser-depth'
+};
+
+let midiAccess = null;
+let midiAccessRequest = null;
+const portChangeCallbacks = [];
+
+// Request Web MIDI access once - resolves to null when the browser has no Web MIDI support
+function initMIDI() {
+  if (midiAccessRequest) return midiAccessRequest;
+
+  if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+    console.warn('Web MIDI is not supported in this browser');
+    return Promise.resolve(null);
+  }
+
+  midiAccessRequest = navigator.requestMIDIAccess({ sysex: false })
+    .then(access => {
+      midiAccess = access;
+      midiAccess.onstatechange = () => notifyPortChange();
+      console.log('Web MIDI access granted');
+      notifyPortChange();
+      return access;
+    })
+    .catch(error => {
+      console.warn('Web MIDI access denied:', error);
+      midiAccessRequest = null;
+      return null;
+    });
+
+  return midiAccessRequest;
+}
+
+function isMIDIAvailable() {
+  return !!midiAccess;
+}
+
+// List connected output ports as { id, name }
+function getMIDIOutputs() {
+  if (!midiAccess) return [];
+  return Array.from(midiAccess.outputs.values()).map(port => ({ id: port.id, name: port.name }));
+}
+
+// List connected input ports as { id, name }
+function getMIDIInputs() {
+  if (!midiAccess) return [];
+  return Array.from(midiAccess.inputs.values()).map(port => ({ id: port.id, name: port.name }));
+}
+
+// Register for port connect/disconnect notifications
+function onMIDIPortsChange(callback) {
+  portChangeCallbacks.push(callback);
+}
+
+function notifyPortChange() {
+  portChangeCallbacks.forEach(callback => {
+    try {
+      callback();
+    } catch (error) {
+      console.warn('MIDI port callback error:', error);
+    }
+  });
+}
+
+// Convert a note name like "C#4" to a MIDI note number (C4 = 60)
+function noteToMidiNumber(note) {
+  return Math.round(Tone.Frequency(note).toMidi());
+}
+
+function clampMidiValue(value) {
+  return Math.max(0, Math.min(127, Math.round(value)));
+}
+
+function clampChannel(channel) {
+  const value = parseInt(channel);
+  return isNaN(value) ? 1 : Math.max(1, Math.min(16, value));
+}
+
+// Sends what the melody and chord hands play to a Web MIDI output port
+class MidiOutput {
+  constructor() {
+    this.portId = null;
+    this.melodyChannel = 1;
+    this.chordChannel = 2;
+    this.pinchCC = 1; // Mod wheel
+    this.soundingMelody = null;
+    this.soundingChord = [];
+    this.lastPinchValues = { left: -1, right: -1 };
+
+    this.loadSettings();
+
+    // Keep the receiver at the concert pitch as ports appear and the tuning changes
+    onMIDIPortsChange(() => this.sendConcertPitch());
+    tuning.onChange(() => this.sendConcertPitch());
+  }
+
+  isEnabled() {
+    return !!this.getPort();
+  }
+
+  getPort() {
+    if (!midiAccess || !this.portId) return null;
+    return midiAccess.outputs.get(this.portId) || null;
+  }
+
+  send(bytes) {
+    const port = this.getPort();
+    if (!port) return;
+
+    try {
+      port.send(bytes);
+    } catch (error) {
+      console.warn('Error sending MIDI message:', error);
+    }
+  }
+
+  // Select an output port by id (null disables MIDI output)
+  setPort(portId) {
+    this.allNotesOff();
+    this.portId = portId || null;
+    this.sendConcertPitch();
+    this.saveSettings();
+  }
+
+  setChannels(melodyChannel, chordChannel) {
+    this.allNotesOff();
+    this.melodyChannel = clampChannel(melodyChannel);
+    this.chordChannel = clampChannel(chordChannel);
+    this.sendConcertPitch();
+    this.saveSettings();
+  }
+
+  // Bend both channels by the concert pitch's offset from A4 = 440 Hz
+  sendConcertPitch() {
+    if (!this.isEnabled()) return;
+
+    const cents = 1200 * Math.log2(tuning.getReferencePitch() / DEFAULT_REFERENCE_PITCH);
+    const bend = Math.max(0, Math.min(16383, Math.round(8192 + (cents / PITCH_BEND_RANGE_CENTS) * 8192)));
+    [this.melodyChannel, this.chordChannel].forEach(channel => {
+      this.send([PITCH_BEND | (channel - 1), bend & 0x7F, bend >> 7]);
+    });
+  }
+
+  setPinchCC(cc) {
+    const value = parseInt(cc);
+    if (isNaN(value)) return;
+    this.pinchCC = clampMidiValue(value);
+    this.lastPinchValues = { left: -1, right: -1 };
+    this.saveSettings();
+  }
+
+  noteOn(channel, noteNumber, velocity) {
+    this.send([NOTE_ON | (channel - 1), noteNumber, Math.max(1, clampMidiValue(velocity))]);
+  }
+
+  noteOff(channel, noteNumber) {
+    this.send([NOTE_OFF | (channel - 1), noteNumber, 0]);
+  }
+
+  // Play a melody note, releasing the previous one (repeated calls with the same note are ignored)
+  playMelodyNote(note, velocity) {
+    if (!this.isEnabled()) return;
+
+    const noteNumber = noteToMidiNumber(tuning.transposeNote(note));
+    if (noteNumber === this.soundingMelody) return;
+
+    this.stopMelody();
+    this.noteOn(this.melodyChannel, noteNumber, velocity);
+    this.soundingMelody = noteNumber;
+  }
+
+  stopMelody() {
+    if (this.soundingMelody === null) return;
+    this.noteOff(this.melodyChannel, this.soundingMelody);
+    this.soundingMelody = null;
+  }
+
+  // Play a chord, releasing the previous one (repeated calls with the same notes are ignored)
+  playChord(notes, velocity) {
+    if (!this.isEnabled() || !notes || notes.length === 0) return;
+
+    const noteNumbers = notes.map(note => noteToMidiNumber(tuning.transposeNote(note)));
+    if (noteNumbers.join(',') === this.soundingChord.join(',')) return;
+
+    this.stopChord();
+    noteNumbers.forEach(noteNumber => this.noteOn(this.chordChannel, noteNumber, velocity));
+    this.soundingChord = noteNumbers;
+  }
+
+  stopChord() {
+    this.soundingChord.forEach(noteNumber => this.noteOff(this.chordChannel, noteNumber));
+    this.soundingChord = [];
+  }
+
+  // Play a single note of a given length on the chord channel (arpeggiator steps), optionally delayed
+  playTimedNote(note, velocity, duration, delay = 0) {
+    if (!this.isEnabled()) return;
+
+    const port = this.getPort();
+    const noteNumber = noteToMidiNumber(tuning.transposeNote(note));
+    const channel = this.chordChannel - 1;
+    const startTime = performance.now() + delay * 1000;
+
+    try {
+      port.send([NOTE_ON | channel, noteNumber, Math.max(1, clampMidiValue(velocity))], startTime);
+      port.send([NOTE_OFF | channel, noteNumber, 0], startTime + duration * 1000);
+    } catch (error) {
+      console.warn('Error sending MIDI message:', error);
+    }
+  }
+
+  // Send a hand's pinch amount (0-1) as a CC on that hand's channel, only when the value changes
+  sendPinch(hand, amount) {
+    if (!this.isEnabled()) return;
+
+    const value = clampMidiValue(amount * 127);
+    if (value === this.lastPinchValues[hand]) return;
+    this.lastPinchValues[hand] = value;
+
+    const channel = hand === 'left' ? this.chordChannel : this.melodyChannel;
+    this.send([CONTROL_CHANGE | (channel - 1), this.pinchCC, value]);
+  }
+
+  // Release everything we sent and ask the receiver to silence both channels
+  allNotesOff() {
+    this.stopMelody();
+    this.stopChord();
+    [this.melodyChannel, this.chordChannel].forEach(channel => {
+      this.send([CONTROL_CHANGE | (channel - 1), ALL_NOTES_OFF_CC, 0]);
+    });
+  }
+
+  getSettings() {
+    return {
+      portId: this.portId,
+      melodyChannel: this.melodyChannel,
+      chordChannel: this.chordChannel,
+      pinchCC: this.pinchCC
+    };
+  }
+
+  saveSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_STORAGE_KEY) || '{}');
+      stored.output = this.getSettings();
+      localStorage.setItem(MIDI_SETTINGS_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Could not save MIDI settings:', error);
+    }
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_STORAGE_KEY) || '{}');
+      const settings = stored.output || {};
+      this.portId = settings.portId || null;
+      this.melodyChannel = clampChannel(settings.melodyChannel || 1);
+      this.chordChannel = clampChannel(settings.chordChannel || 2);
+      this.pinchCC = clampMidiValue(settings.pinchCC ?? 1);
+    } catch (error) {
+      console.warn('Could not load MIDI settings:', error);
+    }
+  }
+}
+
+// Receives notes and CCs from a keyboard or controller ('all' listens to every connected input)
+class MidiInput {
+  constructor() {
+    this.portId = null;
+    this.splitNote = 60; // Notes below the split play chords, notes at or above it play the melody
+    this.bindings = { ...DEFAULT_CC_KNOB_MAP }; // CC number -> knob id
+    this.learningKnobId = null;
+    this.attachedPorts = [];
+    this.noteCallbacks = [];
+    this.controlChangeCallbacks = [];
+    this.bindingCallbacks = [];
+    this.handleMessage = this.handleMessage.bind(this);
+
+    this.loadSettings();
+
+    // Follow devices being plugged in or removed
+    onMIDIPortsChange(() => this.attach());
+  }
+
+  isEnabled() {
+    return this.attachedPorts.length > 0;
+  }
+
+  // Select an input port by id, 'all' for every input, or null to stop listening
+  setPort(portId) {
+    this.portId = portId || null;
+    this.attach();
+    this.saveSettings();
+  }
+
+  setSplitNote(noteNumber) {
+    const value = parseInt(noteNumber);
+    if (isNaN(value)) return;
+    this.splitNote = clampMidiValue(value);
+    this.saveSettings();
+  }
+
+  // Re-register message listeners on the currently selected input ports
+  attach() {
+    this.attachedPorts.forEach(port => port.removeEventListener('midimessage', this.handleMessage));
+    this.attachedPorts = [];
+    if (!midiAccess || !this.portId) return;
+
+    this.attachedPorts = Array.from(midiAccess.inputs.values())
+      .filter(port => this.portId === 'all' || port.id === this.portId);
+    this.attachedPorts.forEach(port => port.addEventListener('midimessage', this.handleMessage));
+  }
+
+  handleMessage(event) {
+    const [status, data1, data2] = event.data;
+    const type = status & 0xF0;
+    const channel = (status & 0x0F) + 1;
+
+    if (type === NOTE_ON && data2 > 0) {
+      this.notify(this.noteCallbacks, { type: 'on', note: data1, velocity: data2, channel });
+    } else if (type === NOTE_OFF || type === NOTE_ON) {
+      // Note-on with velocity 0 is a note-off
+      this.notify(this.noteCallbacks, { type: 'off', note: data1, velocity: 0, channel });
+    } else if (type === CONTROL_CHANGE) {
+      // While learning, the first control moved is bound instead of being played
+      if (this.learningKnobId) {
+        this.bindControl(data1, this.learningKnobId);
+        return;
+      }
+      this.notify(this.controlChangeCallbacks, { controller: data1, value: data2, channel });
+    }
+  }
+
+  // Wait for the next CC and bind it to this knob
+  startLearn(knobId) {
+    this.learningKnobId = knobId;
+    this.notify(this.bindingCallbacks, this.getBindingStatus());
+  }
+
+  cancelLearn() {
+    if (!this.learningKnobId) return;
+    this.learningKnobId = null;
+    this.notify(this.bindingCallbacks, this.getBindingStatus());
+  }
+
+  isLearning(knobId = null) {
+    return knobId ? this.learningKnobId === knobId : !!this.learningKnobId;
+  }
+
+  // Bind a CC to a knob - each knob answers to one CC and each CC drives one knob
+  bindControl(controller, knobId) {
+    const cc = clampMidiValue(controller);
+    Object.keys(this.bindings).forEach(boundCC => {
+      if (this.bindings[boundCC] === knobId) delete this.bindings[boundCC];
+    });
+    this.bindings[cc] = knobId;
+    this.learningKnobId = null;
+    this.saveSettings();
+    this.notify(this.bindingCallbacks, { ...this.getBindingStatus(), learned: { controller: cc, knobId } });
+  }
+
+  unbindKnob(knobId) {
+    const controller = this.getControllerForKnob(knobId);
+    if (controller === null) return;
+    delete this.bindings[controller];
+    this.saveSettings();
+    this.notify(this.bindingCallbacks, this.getBindingStatus());
+  }
+
+  getKnobForController(controller) {
+    return this.bindings[controller] || null;
+  }
+
+  getControllerForKnob(knobId) {
+    const entry = Object.entries(this.bindings).find(([, boundKnobId]) => boundKnobId === knobId);
+    return entry ? parseInt(entry[0]) : null;
+  }
+
+  getBindings() {
+    return { ...this.bindings };
+  }
+
+  // Replace all bindings (e.g. from a preset) - invalid entries are skipped
+  setBindings(bindings) {
+    this.bindings = {};
+    Object.entries(bindings || {}).forEach(([controller, knobId]) => {
+      const cc = parseInt(controller);
+      if (!isNaN(cc) && cc >= 0 && cc <= 127 && typeof knobId === 'string') {
+        this.bindings[cc] = knobId;
+      }
+    });
+    this.learningKnobId = null;
+    this.saveSettings();
+    this.notify(this.bindingCallbacks, this.getBindingStatus());
+  }
+
+  resetBindings() {
+    this.setBindings(DEFAULT_CC_KNOB_MAP);
+  }
+
+  getBindingStatus() {
+    return { bindings: this.getBindings(), learningKnobId: this.learningKnobId };
+  }
+
+  // Called when a binding is learned, removed or replaced, and when learn mode starts or stops
+  onBindingsChange(callback) {
+    this.bindingCallbacks.push(callback);
+  }
+
+  onNote(callback) {
+    this.noteCallbacks.push(callback);
+  }
+
+  onControlChange(callback) {
+    this.controlChangeCallbacks.push(callback);
+  }
+
+  notify(callbacks, message) {
+    callbacks.forEach(callback => {
+      try {
+        callback(message);
+      } catch (error) {
+        console.warn('MIDI input callback error:', error);
+      }
+    });
+  }
+
+  getSettings() {
+    return {
+      portId: this.portId,
+      splitNote: this.splitNote,
+      bindings: this.getBindings()
+    };
+  }
+
+  saveSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_STORAGE_KEY) || '{}');
+      stored.input = this.getSettings();
+      localStorage.setItem(MIDI_SETTINGS_STORAGE_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('Could not save MIDI settings:', error);
+    }
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(MIDI_SETTINGS_STORAGE_KEY) || '{}');
+      const settings = stored.input || {};
+      this.portId = settings.portId || null;
+      this.splitNote = clampMidiValue(settings.splitNote ?? 60);
+      if (settings.bindings) {
+        this.bindings = { ...settings.bindings };
+      }
+    } catch (error) {
+      console.warn('Could not load MIDI settings:', error);
+    }
+  }
+}
+
+// Shared instances used by the audio engine and control panel
+const midiOutput = new MidiOutput();
+const midiInput = new MidiInput();
+
+export {
+  initMIDI,
+  isMIDIAvailable,
+  getMIDIOutputs,
+  getMIDIInputs,
+  onMIDIPortsChange,
+  noteToMidiNumber,
+  DEFAULT_CC_KNOB_MAP,
+  MidiOutput,
+  MidiInput,
+  midiOutput,
+  midiInput
+};
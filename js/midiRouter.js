@@ -0,0 +1,101 @@
+/**
+ * HandSynth - MIDI Router Module
+ * Routes MIDI keyboard notes to the melody and harmony voices and controller CCs to panel knobs
+ */
+
+import { midiInput } from './midi.js';
+import { identifyChord, midiNumberToNoteName } from './musicTheory.js';
+import {
+  playMelodyNote,
+  playChord,
+  stopMelody,
+  stopChord,
+  setHandVolume,
+  velocityToHandVolume
+} from './audio.js';
+
+// Keys held below the split point (note number -> velocity)
+const heldChordNotes = new Map();
+// Keys held at or above the split point, most recent last (last-note priority)
+let heldMelodyNotes = [];
+
+let knobManagerRef = null;
+let routingInitialized = false;
+
+// Re-voice the held chord keys, or release the chord when none are held
+function updateChord() {
+  if (heldChordNotes.size === 0) {
+    stopChord();
+    return;
+  }
+
+  const chord = identifyChord(Array.from(heldChordNotes.keys()).map(midiNumberToNoteName));
+  const loudest = Math.max(...heldChordNotes.values());
+  setHandVolume('left', velocityToHandVolume(loudest));
+  playChord(chord);
+}
+
+// Sound the most recently pressed melody key, or release the melody when none are held
+function updateMelody() {
+  if (heldMelodyNotes.length === 0) {
+    stopMelody();
+    return;
+  }
+
+  const { note, velocity } = heldMelodyNotes[heldMelodyNotes.length - 1];
+  setHandVolume('right', velocityToHandVolume(velocity));
+  playMelodyNote(midiNumberToNoteName(note));
+}
+
+function handleNote({ type, note, velocity }) {
+  if (note < midiInput.splitNote) {
+    if (type === 'on') {
+      heldChordNotes.set(note, velocity);
+    } else {
+      heldChordNotes.delete(note);
+    }
+    updateChord();
+    return;
+  }
+
+  heldMelodyNotes = heldMelodyNotes.filter(held => held.note !== note);
+  if (type === 'on') {
+    heldMelodyNotes.push({ note, velocity });
+  }
+  updateMelody();
+}
+
+// Scale a 0-127 controller value across the bound knob's range
+function handleControlChange({ controller, value }) {
+  const knobId = midiInput.getKnobForController(controller);
+  if (!knobId || !knobManagerRef) return;
+
+  const knob = knobManagerRef.getKnob(knobId);
+  if (knob) {
+    knobManagerRef.setKnobValueWithCallback(knobId, knob.valueFromNormalized(value / 127));
+  }
+}
+
+// Release anything held from the keyboard (e.g. when the input port changes)
+function releaseMIDIInputNotes() {
+  if (heldChordNotes.size > 0) {
+    heldChordNotes.clear();
+    stopChord();
+  }
+  if (heldMelodyNotes.length > 0) {
+    heldMelodyNotes = [];
+    stopMelody();
+  }
+}
+
+// Start routing MIDI input - the knob manager is needed for CC control
+function initMIDIRouting(knobManager) {
+  knobManagerRef = knobManager;
+  if (routingInitialized) return;
+
+  midiInput.onNote(handleNote);
+  midiInput.onControlChange(handleControlChange);
+  routingInitialized = true;
+}
+
+export { initMIDIRouting, releaseMIDIInputNotes };
@@ -0,0 +1,151 @@
+/**
+ * HandSynth - Mixer Module
+ * Per-hand, bass and drum channel strips (EQ, pan, level) with sends to shared reverb and delay returns
+ */
+
+// Smoothing time for level, pan, EQ and send changes
+const MIXER_RAMP_TIME = 0.1; // seconds
+
+const DEFAULT_STRIP_SETTINGS = { level: 0, pan: 0, low: 0, mid: 0, high: 0 };
+const DEFAULT_RETURN_SETTINGS = {
+  reverb: { level: 1, decay: 2.0, preDelay: 0.05 },
+  delay: { level: 1, delayTime: '4n', feedback: 0.25 }
+};
+
+// One channel's signal path: input -> EQ -> level -> pan -> output, with post-fader sends
+class ChannelStrip {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = { ...DEFAULT_STRIP_SETTINGS, ...settings };
+
+    this.input = new Tone.Gain(1);
+    this.eq = new Tone.EQ3({
+      low: this.settings.low,
+      mid: this.settings.mid,
+      high: this.settings.high
+    });
+    this.fader = new Tone.Volume(this.settings.level);
+    this.panner = new Tone.Panner(this.settings.pan);
+    this.output = new Tone.Gain(1);
+
+    this.input.chain(this.eq, this.fader, this.panner, this.output);
+
+    // Sends start closed - the pinch gesture opens them on the hand channels
+    this.sends = {
+      reverb: new Tone.Gain(0),
+      delay: new Tone.Gain(0)
+    };
+    this.fader.connect(this.sends.reverb);
+    this.fader.connect(this.sends.delay);
+  }
+
+  setLevel(db) {
+    this.settings.level = db;
+    this.fader.volume.rampTo(db, MIXER_RAMP_TIME);
+  }
+
+  // Pan from -1 (left) to 1 (right)
+  setPan(pan) {
+    this.settings.pan = Math.max(-1, Math.min(1, pan));
+    this.panner.pan.rampTo(this.settings.pan, MIXER_RAMP_TIME);
+  }
+
+  // Band is 'low', 'mid' or 'high', gain in dB
+  setEQ(band, db) {
+    if (!this.eq[band]) return;
+    this.settings[band] = db;
+    this.eq[band].rampTo(db, MIXER_RAMP_TIME);
+  }
+
+  // Send amount from 0 to 1
+  setSend(returnName, amount) {
+    const send = this.sends[returnName];
+    if (send) {
+      send.gain.rampTo(Math.max(0, Math.min(1, amount)), MIXER_RAMP_TIME);
+    }
+  }
+
+  getSend(returnName) {
+    const send = this.sends[returnName];
+    return send ? send.gain.value : 0;
+  }
+
+  dispose() {
+    [this.input, this.eq, this.fader, this.panner, this.output, this.sends.reverb, this.sends.delay]
+      .forEach(node => node.dispose());
+  }
+}
+
+// Melody, harmony, bass and drum channel strips sharing one reverb return and one delay return
+class Mixer {
+  constructor() {
+    this.strips = {};
+    this.returns = {};
+    this.returnLevels = {};
+    this.built = false;
+  }
+
+  // Create the audio nodes and route strips and returns into the destination bus
+  build(destination) {
+    if (this.built) return this;
+
+    // Returns are 100% wet - how much of each channel reaches them is set by its sends
+    this.returns.reverb = new Tone.Reverb({
+      decay: DEFAULT_RETURN_SETTINGS.reverb.decay,
+      preDelay: DEFAULT_RETURN_SETTINGS.reverb.preDelay,
+      wet: 1
+    });
+    this.returns.reverb.generate();
+    this.returns.delay = new Tone.PingPongDelay({
+      delayTime: DEFAULT_RETURN_SETTINGS.delay.delayTime,
+      feedback: DEFAULT_RETURN_SETTINGS.delay.feedback,
+      wet: 1
+    });
+
+    Object.keys(this.returns).forEach(returnName => {
+      this.returnLevels[returnName] = new Tone.Gain(DEFAULT_RETURN_SETTINGS[returnName].level);
+      this.returns[returnName].connect(this.returnLevels[returnName]);
+      this.returnLevels[returnName].connect(destination);
+    });
+
+    ['melody', 'harmony', 'bass', 'drums'].forEach(name => {
+      const strip = new ChannelStrip(name);
+      strip.output.connect(destination);
+      strip.sends.reverb.connect(this.returns.reverb);
+      strip.sends.delay.connect(this.returns.delay);
+      this.strips[name] = strip;
+    });
+
+    this.built = true;
+    console.log('Mixer initialized with melody, harmony, bass and drum channel strips');
+    return this;
+  }
+
+  getStrip(name) {
+    return this.strips[name] || null;
+  }
+
+  getReturn(returnName) {
+    return this.returns[returnName] || null;
+  }
+
+  // Return level from 0 to 1
+  setReturnLevel(returnName, level) {
+    const returnLevel = this.returnLevels[returnName];
+    if (returnLevel) {
+      returnLevel.gain.rampTo(Math.max(0, level), MIXER_RAMP_TIME);
+    }
+  }
+
+  dispose() {
+    Object.values(this.strips).forEach(strip => strip.dispose());
+    Object.values(this.returns).forEach(node => node.dispose());
+    Object.values(this.returnLevels).forEach(node => node.dispose());
+    this.strips = {};
+    this.returns = {};
+    this.returnLevels = {};
+    this.built = false;
+  }
+}
+
+export { Mixer, ChannelStrip };
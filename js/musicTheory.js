@@ -4,6 +4,7 @@
  */
 
 import { mapRange } from './utils.js';
+import { DEFAULT_VOICING_SETTINGS, sanitizeVoicingSettings, voiceChord } from './voicing.js';
 
 // Music theory variables
 let selectedScale = 'major';
@@ -20,6 +21,15 @@ let lastChord = null;
 // Voice leading state - tracks the last chord voicing for smooth transitions
 let lastChordVoicing = null;
 let voiceLeadingEnabled = true;
+let voicingSettings = { ...DEFAULT_VOICING_SETTINGS }; // Style and register limits (see voicing.js)
+
+// How far chords are extended beyond the scale's triads (see CHORD_COMPLEXITIES)
+let chordComplexity = 'triads';
+
+// Chord-aware melody - the last chord from getChordFromPosition and the melody zones built around it
+let melodySettings = { mode: 'scale', tensions: false }; // See MELODY_MODES
+let melodyChord = null; // { rootClass, intervals, key }
+let melodyZones = null; // { key, zones } - zones are { midi, weight } from low to high
 
 // Enhanced scales definition with modes and proper blues scales
 const scales = {
@@ -35,19 +45,106 @@ const scales = {
   pentatonicMinor: [0, 3, 5, 7, 10],
   majorBlues: [0, 2, 3, 4, 7, 9, 10], // Major blues with both 3rds
   minorBlues: [0, 3, 5, 6, 7, 10], // Classic blues scale
+  harmonicMinor: [0, 2, 3, 5, 7, 8, 11],
+  melodicMinor: [0, 2, 3, 5, 7, 9, 11], // Jazz (ascending) melodic minor
+  hungarianMinor: [0, 2, 3, 6, 7, 8, 11],
+  doubleHarmonic: [0, 1, 4, 5, 7, 8, 11],
+  phrygianDominant: [0, 1, 4, 5, 7, 8, 10], // Hijaz - 5th mode of harmonic minor
+  wholeTone: [0, 2, 4, 6, 8, 10],
+  diminishedHalfWhole: [0, 1, 3, 4, 6, 7, 9, 10], // Dominant diminished
+  diminishedWholeHalf: [0, 2, 3, 5, 6, 8, 9, 11],
+  hirajoshi: [0, 2, 3, 7, 8],
+  inSen: [0, 1, 5, 7, 10],
+  bebopMajor: [0, 2, 4, 5, 7, 8, 9, 11], // Major with a passing #5
+  bebopDominant: [0, 2, 4, 5, 7, 9, 10, 11], // Mixolydian with a passing major 7th
+  bebopDorian: [0, 2, 3, 4, 5, 7, 9, 10], // Dorian with a passing major 3rd
   chromatic: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
 };
 
+// Selector labels for scales whose key doesn't read as a name
+const SCALE_DISPLAY_NAMES = {
+  pentatonicMinor: 'Pentatonic Minor',
+  majorBlues: 'Major Blues',
+  minorBlues: 'Minor Blues',
+  harmonicMinor: 'Harmonic Minor',
+  melodicMinor: 'Melodic Minor',
+  hungarianMinor: 'Hungarian Minor',
+  doubleHarmonic: 'Double Harmonic',
+  phrygianDominant: 'Phrygian Dominant (Hijaz)',
+  wholeTone: 'Whole Tone',
+  diminishedHalfWhole: 'Diminished (Half-Whole)',
+  diminishedWholeHalf: 'Diminished (Whole-Half)',
+  hirajoshi: 'Hirajoshi',
+  inSen: 'In-Sen',
+  bebopMajor: 'Bebop Major',
+  bebopDominant: 'Bebop Dominant',
+  bebopDorian: 'Bebop Dorian'
+};
+
 // Sharp and flat note arrays for proper accidental handling
 const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
 const notesWithFlats = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
 
+// Semitones from a scale's root up to the major key whose key signature spells it
+// (A minor -> C major, G phrygian -> Eb major). Blues and symmetric scales follow the root's own key.
+const SCALE_KEY_OFFSETS = {
+  major: 0,
+  minor: 3,
+  dorian: 10,
+  phrygian: 8,
+  lydian: 7,
+  mixolydian: 5,
+  aeolian: 3,
+  locrian: 1,
+  pentatonic: 0,
+  pentatonicMinor: 3,
+  majorBlues: 0,
+  minorBlues: 0,
+  harmonicMinor: 3,
+  melodicMinor: 3,
+  hungarianMinor: 3,
+  doubleHarmonic: 3, // Spelled like its parallel minor (C: Db and Ab, E: G# and D#)
+  phrygianDominant: 8, // Spelled from the harmonic minor it is the 5th mode of
+  wholeTone: 0,
+  diminishedHalfWhole: 5,
+  diminishedWholeHalf: 3,
+  hirajoshi: 3,
+  inSen: 8,
+  bebopMajor: 0,
+  bebopDominant: 5,
+  bebopDorian: 10,
+  chromatic: 0
+};
+
+// Usual spelling of each major key (Db rather than C#, F# rather than Gb)
+const MAJOR_KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Letter names and their pitch classes, for spelling seven-note scales one letter per degree
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const LETTER_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Semitones above the tonic of each major scale degree - Roman numerals are spelled against these (bIII, #IV)
+const MAJOR_SCALE_DEGREES = [0, 2, 4, 5, 7, 9, 11];
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+
+// Degree number for each semitone above the tonic outside seven-note scales - bII, bIII, #IV, bVI and bVII
+const CHROMATIC_DEGREE_NUMBERS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+
+// Harmonic function of each degree number - I, iii and vi are tonic, ii and IV subdominant, V and vii dominant
+const HARMONIC_FUNCTIONS = {
+  tonic: 'Tonic',
+  subdominant: 'Subdominant',
+  dominant: 'Dominant'
+};
+const DEGREE_FUNCTIONS = ['tonic', 'subdominant', 'tonic', 'subdominant', 'dominant', 'tonic', 'dominant'];
+
 // Enhanced chord types with more options
 const chordTypes = {
   major: [0, 4, 7],
   minor: [0, 3, 7],
   diminished: [0, 3, 6],
   augmented: [0, 4, 8],
+  majorFlat5: [0, 4, 6],
   sus2: [0, 2, 7],
   sus4: [0, 5, 7],
   dominant7: [0, 4, 7, 10],
@@ -55,9 +152,99 @@ const chordTypes = {
   minor7: [0, 3, 7, 10],
   diminished7: [0, 3, 6, 9],
   halfDiminished7: [0, 3, 6, 10],
-  augmented7: [0, 4, 8, 10]
+  augmented7: [0, 4, 8, 10],
+  minorMajor7: [0, 3, 7, 11],
+  augmentedMajor7: [0, 4, 8, 11],
+  dominant7b5: [0, 4, 6, 10],
+  major7b5: [0, 4, 6, 11],
+
+  // Added-tone chords
+  major6: [0, 4, 7, 9],
+  minor6: [0, 3, 7, 9],
+  add9: [0, 4, 7, 14],
+  minorAdd9: [0, 3, 7, 14],
+  sixNine: [0, 4, 7, 9, 14],
+  minorSixNine: [0, 3, 7, 9, 14],
+
+  // 9ths
+  major9: [0, 4, 7, 11, 14],
+  dominant9: [0, 4, 7, 10, 14],
+  minor9: [0, 3, 7, 10, 14],
+  minorMajor9: [0, 3, 7, 11, 14],
+  halfDiminished9: [0, 3, 6, 10, 14],
+  augmented9: [0, 4, 8, 10, 14],
+  minor7b9: [0, 3, 7, 10, 13],
+  halfDiminished7b9: [0, 3, 6, 10, 13],
+
+  // 11ths
+  major11: [0, 4, 7, 11, 14, 17],
+  major9sharp11: [0, 4, 7, 11, 14, 18],
+  dominant11: [0, 4, 7, 10, 14, 17],
+  dominant9sharp11: [0, 4, 7, 10, 14, 18],
+  minor11: [0, 3, 7, 10, 14, 17],
+  halfDiminished11: [0, 3, 6, 10, 14, 17],
+
+  // 13ths - the natural 11th clashes with a major 3rd, so those chords leave it out
+  major13: [0, 4, 7, 11, 14, 21],
+  major13sharp11: [0, 4, 7, 11, 14, 18, 21],
+  dominant13: [0, 4, 7, 10, 14, 21],
+  dominant13sharp11: [0, 4, 7, 10, 14, 18, 21],
+  minor13: [0, 3, 7, 10, 14, 17, 21],
+
+  // Altered dominants
+  dominant7b9: [0, 4, 7, 10, 13],
+  dominant7sharp9: [0, 4, 7, 10, 15],
+  dominant7sharp11: [0, 4, 7, 10, 18],
+  dominant7b13: [0, 4, 7, 10, 20],
+  dominant7b9b13: [0, 4, 7, 10, 13, 20],
+  altered7: [0, 4, 10, 13, 15, 20]
+};
+
+// Chord complexity levels - every level above triads extends the scale's chords with its own notes
+const CHORD_COMPLEXITIES = {
+  triads: 'Triads',
+  sevenths: '7ths',
+  ninths: '9ths',
+  elevenths: '11ths',
+  thirteenths: '13ths',
+  added: 'Added Tones (add9, 6/9)'
+};
+
+// Extensions stacked above the 7th at each level
+const COMPLEXITY_EXTENSIONS = {
+  ninths: [9],
+  elevenths: [9, 11],
+  thirteenths: [9, 11, 13]
+};
+
+// Candidate intervals above the chord root, in order of preference - the first one in the scale is used
+const SEVENTH_CANDIDATES = {
+  major: [10, 11],
+  minor: [10, 11],
+  diminished: [10, 9],
+  augmented: [11, 10],
+  majorFlat5: [10, 11]
+};
+const EXTENSION_CANDIDATES = {
+  9: [14, 13, 15],
+  11: [17, 18],
+  13: [21, 20]
+};
+
+// How the melody hand's vertical zones relate to the left-hand chord
+const MELODY_MODES = {
+  scale: 'Scale',
+  prefer: 'Prefer Chord Tones',
+  snap: 'Snap to Chord Tones'
 };
 
+const DEFAULT_MELODY_SETTINGS = {
+  mode: 'scale',
+  tensions: false // Treat the chord's available extensions (9ths, 11ths, 13ths) as chord tones
+};
+
+const PREFERRED_ZONE_WEIGHT = 2; // Chord tones get zones this many times taller than other scale notes in 'prefer' mode
+
 // Enhanced chord progression mappings
 const CHORD_PROGRESSIONS = {
   major: ['major', 'minor', 'minor', 'major', 'major', 'minor', 'diminished'],
@@ -68,13 +255,255 @@ const CHORD_PROGRESSIONS = {
   mixolydian: ['major', 'minor', 'diminished', 'major', 'minor', 'minor', 'major'],
   aeolian: ['minor', 'diminished', 'major', 'minor', 'minor', 'major', 'major'],
   locrian: ['diminished', 'major', 'minor', 'minor', 'major', 'major', 'minor'],
-  majorBlues: ['dominant7', 'dominant7', 'minor7', 'dominant7', 'dominant7', 'minor7'],
+  majorBlues: ['dominant7', 'dominant7', 'minor7', 'dominant7', 'dominant7', 'minor7', 'dominant7'],
   minorBlues: ['minor7', 'major7', 'minor7', 'minor7', 'dominant7', 'dominant7'],
   pentatonic: ['major', 'minor', 'minor', 'major', 'minor'],
   pentatonicMinor: ['minor', 'major', 'minor', 'minor', 'major'],
+  harmonicMinor: ['minor', 'diminished', 'augmented', 'minor', 'dominant7', 'major', 'diminished'],
+  melodicMinor: ['minor', 'minor', 'augmented', 'major', 'major', 'diminished', 'diminished'],
+  // No tertian triad sits on the #iv of Hungarian minor or the vii of double harmonic - the diminished triad is the nearest
+  hungarianMinor: ['minor', 'majorFlat5', 'augmented', 'diminished', 'major', 'major', 'minor'],
+  doubleHarmonic: ['major', 'major', 'minor', 'minor', 'majorFlat5', 'augmented', 'diminished'],
+  phrygianDominant: ['dominant7', 'major', 'diminished', 'minor', 'diminished', 'augmented', 'minor'],
+  wholeTone: ['augmented', 'augmented', 'augmented', 'augmented', 'augmented', 'augmented'],
+  diminishedHalfWhole: ['dominant7', 'diminished', 'dominant7', 'diminished', 'dominant7', 'diminished', 'dominant7', 'diminished'],
+  diminishedWholeHalf: ['diminished', 'diminished', 'diminished', 'diminished', 'diminished', 'diminished', 'diminished', 'diminished'],
+  // Pentatonic scales borrow the triads of the mode they are taken from (aeolian, phrygian)
+  hirajoshi: ['minor', 'diminished', 'major', 'minor', 'major'],
+  inSen: ['minor', 'major', 'minor', 'diminished', 'minor'],
+  bebopMajor: ['major', 'minor', 'minor', 'major', 'major', 'diminished', 'minor', 'diminished'],
+  bebopDominant: ['major', 'minor', 'diminished', 'major', 'minor', 'minor', 'major', 'diminished'],
+  bebopDorian: ['minor', 'minor', 'major', 'diminished', 'major', 'minor', 'diminished', 'major'],
   chromatic: ['major', 'minor', 'major', 'minor', 'major', 'minor', 'major', 'minor', 'major', 'minor', 'major', 'minor']
 };
 
+// User-defined scales are added to the tables above at runtime under this key prefix
+const CUSTOM_SCALE_PREFIX = 'custom:';
+
+// Name the triad on a root from its third and fifth in semitones - when the scale gives no
+// exact match in chordTypes, fall back to the nearest basic quality
+function classifyTriad(third, fifth) {
+  const match = Object.keys(chordTypes).find(key => {
+    const intervals = chordTypes[key];
+    return intervals.length === 3 && intervals[1] === third && intervals[2] === fifth;
+  });
+  if (match) return match;
+
+  if (fifth === 6) return 'diminished';
+  if (fifth === 8) return 'augmented';
+  return third >= 4 ? 'major' : 'minor';
+}
+
+// Triad quality on each degree of a scale, by stacking thirds within it (every other scale note)
+function deriveChordProgression(scaleArray) {
+  const length = scaleArray.length;
+  return scaleArray.map((root, degree) => {
+    const third = (scaleArray[(degree + 2) % length] - root + 12) % 12;
+    const fifth = (scaleArray[(degree + 4) % length] - root + 12) % 12;
+    return classifyTriad(third, fifth);
+  });
+}
+
+// Chord type whose intervals are exactly these (in any order), or null
+function findChordType(intervals) {
+  const sorted = [...intervals].sort((a, b) => a - b);
+  return Object.keys(chordTypes).find(key => {
+    const typeIntervals = chordTypes[key];
+    return typeIntervals.length === sorted.length && typeIntervals.every((interval, i) => interval === sorted[i]);
+  }) || null;
+}
+
+// Extend the chord on a scale degree to a complexity level using the scale's own notes as 7th and
+// extensions, so each degree gets its diatonic chord (V9 in major, V7b9 in harmonic minor).
+// Extensions the scale doesn't have are left out, and when chordTypes has no name for the result
+// the highest extensions are dropped until it does.
+function extendChordType(chordTypeKey, scaleArray, degree, complexity) {
+  const baseIntervals = chordTypes[chordTypeKey];
+  if (!baseIntervals || !CHORD_COMPLEXITIES[complexity] || complexity === 'triads') return chordTypeKey;
+
+  const root = scaleArray[degree];
+  const inScale = interval => scaleArray.includes((root + interval) % 12);
+  const pick = candidates => candidates.find(inScale);
+
+  // Progressions that already give 7th chords (blues) keep them
+  const hasSeventh = baseIntervals.length > 3;
+
+  if (complexity === 'added') {
+    if (hasSeventh || !inScale(14)) return chordTypeKey;
+    // The tonic takes the 6th too (6/9), other degrees just the 9th
+    const added = degree === 0 && inScale(9) ? [9, 14] : [14];
+    return findChordType([...baseIntervals, ...added]) || chordTypeKey;
+  }
+
+  const intervals = [...baseIntervals];
+  if (!hasSeventh) {
+    const seventh = pick(SEVENTH_CANDIDATES[chordTypeKey] || []);
+    if (seventh === undefined) return chordTypeKey;
+    intervals.push(seventh);
+  }
+
+  const hasMajorThird = intervals.includes(4);
+  const extensions = [];
+  (COMPLEXITY_EXTENSIONS[complexity] || []).forEach(extension => {
+    const candidates = extension === 11 && hasMajorThird
+      ? [18] // A natural 11 clashes with a major 3rd, so only a #11 is stacked over one
+      : EXTENSION_CANDIDATES[extension];
+    const interval = pick(candidates);
+    if (interval !== undefined) extensions.push(interval);
+  });
+
+  for (let count = extensions.length; count >= 0; count--) {
+    const match = findChordType([...intervals, ...extensions.slice(0, count)]);
+    if (match) return match;
+  }
+  return chordTypeKey;
+}
+
+function setChordComplexity(complexity) {
+  if (!CHORD_COMPLEXITIES[complexity]) return;
+  chordComplexity = complexity;
+  resetVoiceLeading();
+}
+
+function getChordComplexity() {
+  return chordComplexity;
+}
+
+// Change the voicing style and/or register limits - the next chord is voiced from scratch
+function setVoicingSettings(changes = {}) {
+  voicingSettings = sanitizeVoicingSettings({ ...voicingSettings, ...changes });
+  resetVoiceLeading();
+}
+
+function getVoicingSettings() {
+  return { ...voicingSettings };
+}
+
+// Change the melody mode and/or tensions option - the zones are rebuilt on the next note
+function setMelodySettings(changes = {}) {
+  const merged = { ...melodySettings, ...changes };
+  melodySettings = {
+    mode: MELODY_MODES[merged.mode] ? merged.mode : DEFAULT_MELODY_SETTINGS.mode,
+    tensions: !!merged.tensions
+  };
+  melodyZones = null;
+}
+
+function getMelodySettings() {
+  return { ...melodySettings };
+}
+
+// Follow the chord's root and type - the melody zones are rebuilt when either changes
+function setMelodyChord(rootClass, chordTypeKey) {
+  const key = `${rootClass}:${chordTypeKey}`;
+  if (melodyChord && melodyChord.key === key) return;
+
+  melodyChord = { rootClass, intervals: chordTypes[chordTypeKey], key };
+  melodyZones = null;
+}
+
+// Pitch classes of the extensions a chord can take from the scale - 9ths, 11ths and 13ths that aren't a
+// half step above a chord tone, except the b9 and b13 of dominant chords
+function getAvailableTensions(rootClass, intervals, scaleClasses) {
+  const chordIntervals = intervals.map(interval => interval % 12);
+  const isDominant = chordIntervals.includes(4) && chordIntervals.includes(10);
+
+  return [1, 2, 3, 5, 6, 8, 9]
+    .filter(interval => {
+      if (chordIntervals.includes(interval) || !scaleClasses.includes((rootClass + interval) % 12)) return false;
+      const isAvoidNote = chordIntervals.includes((interval + 11) % 12);
+      return !isAvoidNote || (isDominant && (interval === 1 || interval === 8));
+    })
+    .map(interval => (rootClass + interval) % 12);
+}
+
+// Semitones above the root for a position in the scale mapping, where each octave ends on the octave root
+function scalePositionOffset(position, scaleArray) {
+  const octaveOffset = Math.floor(position / (scaleArray.length + 1));
+  const indexInScale = position % (scaleArray.length + 1);
+  if (indexInScale === scaleArray.length) return (octaveOffset + 1) * 12;
+  return scaleArray[indexInScale] + octaveOffset * 12;
+}
+
+// Build the chord-aware zones over the same notes the scale mapping covers - 'snap' keeps only the
+// chord tones, 'prefer' keeps the whole scale with taller chord-tone zones
+function getMelodyZones(scaleArray, rootNote, currentOctave, totalRange) {
+  const key = [selectedScale, rootNote, currentOctave, melodySettings.mode, melodySettings.tensions].join('|');
+  if (melodyZones && melodyZones.key === key) return melodyZones.zones;
+
+  const rootClass = noteNameToMidi(`${rootNote}4`) % 12;
+  const scaleClasses = scaleArray.map(semitones => (rootClass + semitones) % 12);
+  const chordClasses = melodyChord.intervals.map(interval => (melodyChord.rootClass + interval) % 12);
+  const preferredClasses = melodySettings.tensions
+    ? [...chordClasses, ...getAvailableTensions(melodyChord.rootClass, melodyChord.intervals, scaleClasses)]
+    : chordClasses;
+
+  const lowest = currentOctave * 12 + rootClass;
+  const highest = lowest + scalePositionOffset(totalRange - 1, scaleArray);
+  const zones = [];
+  for (let midi = lowest; midi <= highest; midi++) {
+    if (preferredClasses.includes(midi % 12)) {
+      zones.push({ midi, weight: melodySettings.mode === 'prefer' ? PREFERRED_ZONE_WEIGHT : 1 });
+    } else if (melodySettings.mode === 'prefer' && scaleClasses.includes(midi % 12)) {
+      zones.push({ midi, weight: 1 });
+    }
+  }
+
+  melodyZones = { key, zones };
+  return zones;
+}
+
+// Pick the zone under the hand, with the lowest zone at the bottom
+function getMelodyZoneNote(y, zones) {
+  const totalWeight = zones.reduce((total, zone) => total + zone.weight, 0);
+  let position = mapRange(y, 0.2, 1.0, totalWeight, 0);
+  for (const zone of zones) {
+    position -= zone.weight;
+    if (position < 0) return zone.midi;
+  }
+  return zones[zones.length - 1].midi;
+}
+
+// Add or replace a user-defined scale from its semitones above the root - returns its key, or null if invalid
+function registerCustomScale(name, semitones) {
+  const scaleName = String(name || '').trim();
+  if (!scaleName || !Array.isArray(semitones)) return null;
+
+  const degrees = [...new Set([0, ...semitones.map(Number)])]
+    .filter(semitone => Number.isInteger(semitone) && semitone >= 0 && semitone <= 11)
+    .sort((a, b) => a - b);
+  if (degrees.length < 3) return null;
+
+  // Every chord hand position has to land on a degree with a chord, however few notes the scale has
+  const progression = deriveChordProgression(degrees);
+  for (let position = 0; position < CHORD_POSITIONS; position++) {
+    if (!chordTypes[progression[getChordPosition(position, degrees.length).scaleDegree]]) return null;
+  }
+
+  const key = CUSTOM_SCALE_PREFIX + scaleName;
+  scales[key] = degrees;
+  CHORD_PROGRESSIONS[key] = progression;
+  SCALE_DISPLAY_NAMES[key] = scaleName;
+  // Minor-third scales are spelled like their relative major, everything else from the root
+  SCALE_KEY_OFFSETS[key] = degrees.includes(3) && !degrees.includes(4) ? 3 : 0;
+  return key;
+}
+
+// Remove a user-defined scale - the current scale falls back to major if it was the one removed
+function unregisterCustomScale(key) {
+  if (!key || !key.startsWith(CUSTOM_SCALE_PREFIX)) return;
+
+  delete scales[key];
+  delete CHORD_PROGRESSIONS[key];
+  delete SCALE_DISPLAY_NAMES[key];
+  delete SCALE_KEY_OFFSETS[key];
+
+  if (selectedScale === key) {
+    selectedScale = 'major';
+    resetVoiceLeading();
+  }
+}
+
 // Voice leading and music theory functions
 export function resetVoiceLeading() {
   lastChordVoicing = null;
@@ -98,7 +527,8 @@ function noteNameToMidi(noteName) {
   const [, note, octave] = match;
   const noteMap = {
     'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 'E': 4, 'F': 5,
-    'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11
+    'F#': 6, 'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11,
+    'E#': 5, 'Fb': 4, 'B#': 12, 'Cb': -1 // Spelled by letter in keys such as F# and C# minor
   };
 
   return (parseInt(octave) * 12) + (noteMap[note] || 0);
@@ -110,26 +540,58 @@ function getNotesForScale(scaleName, rootNote = null) {
 
   // Keys that use flats according to circle of fifths
   const flatKeys = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
-  
-  // For minor scales, determine based on the relative major
+
+  // Check the key signature of the major key the scale is spelled from - the root
+  // itself when there is no offset, so F# and Gb major keep their own spelling
   let keyToCheck = currentRoot;
-  if (scaleName.includes('minor')) {
-    const minorToRelativeMajor = {
-      'C': 'Eb', 'C#': 'E', 'Db': 'E', 'D': 'F', 'D#': 'F#', 'Eb': 'Gb',
-      'E': 'G', 'F': 'Ab', 'F#': 'A', 'Gb': 'A', 'G': 'Bb', 'G#': 'B',
-      'Ab': 'B', 'A': 'C', 'A#': 'C#', 'Bb': 'Db', 'B': 'D'
-    };
-    keyToCheck = minorToRelativeMajor[currentRoot] || currentRoot;
+  const keyOffset = SCALE_KEY_OFFSETS[scaleName] || 0;
+  if (keyOffset !== 0) {
+    let rootIndex = notes.indexOf(currentRoot);
+    if (rootIndex === -1) rootIndex = notesWithFlats.indexOf(currentRoot);
+    if (rootIndex !== -1) {
+      keyToCheck = MAJOR_KEY_NAMES[(rootIndex + keyOffset) % 12];
+    }
   }
 
-  // Special cases for blues scales - use the key's natural accidentals
-  if (scaleName.includes('Blues')) {
-    keyToCheck = currentRoot;
-  }
+  // Determine if we should use flats or sharps - a sharp or flat root keeps its own spelling
+  const useFlats = currentRoot.includes('b') || (!currentRoot.includes('#') && flatKeys.includes(keyToCheck));
+  const keyNotes = useFlats ? notesWithFlats : notes;
+
+  let rootIndex = notes.indexOf(currentRoot);
+  if (rootIndex === -1) rootIndex = notesWithFlats.indexOf(currentRoot);
+  if (rootIndex === -1) return keyNotes;
+
+  const spelled = [...keyNotes];
+  spelled[rootIndex] = currentRoot;
+
+  // Seven-note scales spell each degree from its own letter, so every letter appears once - raised degrees
+  // in flat keys come out sharp (D harmonic minor ends on C#) and sharp keys use E# and B# (F# harmonic minor)
+  const scaleArray = scales[scaleName];
+  if (!scaleArray || scaleArray.length !== 7) return spelled;
+
+  const rootLetter = NOTE_LETTERS.indexOf(currentRoot[0]);
+  scaleArray.forEach((semitones, degree) => {
+    const pitchClass = (rootIndex + semitones) % 12;
+    const letter = NOTE_LETTERS[(rootLetter + degree) % 7];
+    const alteration = (pitchClass - LETTER_PITCH_CLASSES[letter] + 12) % 12;
+    const name = { 0: letter, 1: `${letter}#`, 11: `${letter}b` }[alteration];
+    if (name) spelled[pitchClass] = name;
+  });
+  return spelled;
+}
 
-  // Determine if we should use flats or sharps
-  const useFlats = flatKeys.includes(keyToCheck);
-  return useFlats ? notesWithFlats : notes;
+// Spell the notes of a scale from its root ("C", "harmonicMinor" -> C D Eb F G Ab B)
+function getScaleNoteNames(scaleName, rootNote = null) {
+  const currentRoot = rootNote || selectedRoot || 'C';
+  const scaleArray = scales[scaleName];
+  if (!scaleArray) return [];
+
+  const appropriateNotes = getNotesForScale(scaleName, currentRoot);
+  let rootIndex = notes.indexOf(currentRoot);
+  if (rootIndex === -1) rootIndex = notesWithFlats.indexOf(currentRoot);
+  if (rootIndex === -1) rootIndex = 0;
+
+  return scaleArray.map(semitones => appropriateNotes[(rootIndex + semitones) % 12]);
 }
 
 // Safe note calculation with bounds checking
@@ -141,72 +603,38 @@ function calculateNoteFromMIDI(midiNote) {
   const validNoteIndex = Math.max(0, Math.min(11, noteIndex));
   const validOctave = Math.max(0, Math.min(9, octave));
 
+  // B# and Cb are written in the octave on the other side of C
   const appropriateNotes = getNotesForScale(selectedScale, selectedRoot);
-  return appropriateNotes[validNoteIndex] + validOctave;
+  const noteName = appropriateNotes[validNoteIndex];
+  const octaveShift = noteName === 'B#' ? -1 : noteName === 'Cb' ? 1 : 0;
+  return noteName + (validOctave + octaveShift);
 }
 
-// Optimized voice leading system for real-time performance
+// Voice the chord in the selected voicing style, leading smoothly from the last chord
 function applyVoiceLeading(chordNotes, chordRoot, baseOctave) {
   if (!chordNotes || chordNotes.length < 3 || !voiceLeadingEnabled) return chordNotes;
 
   try {
-    const chordMidi = chordNotes.slice(0, 3).map(noteNameToMidi);
-    const rootMidi = noteNameToMidi(chordNotes[0]);
-
-    const triadBaseOctave = Math.max(3, baseOctave); // Lowered by one octave
-    const triadBaseMidi = triadBaseOctave * 12;
-
-    let triadVoicing = [];
-    for (let i = 0; i < 3; i++) {
-      let note = chordMidi[i];
-      const noteClass = note % 12;
-      note = triadBaseMidi + noteClass;
-      triadVoicing.push(note);
-    }
+    // The voicing engine works in standard MIDI numbers, an octave above this module's
+    const chordMidi = chordNotes.map(note => noteNameToMidi(note) + 12);
+    const rootClass = chordMidi[0] % 12;
 
-    triadVoicing.sort((a, b) => a - b);
+    const upperOctave = Math.max(3, baseOctave); // Lowered by one octave
+    const bassOctave = Math.max(1, upperOctave - 2); // Lowered bass note
 
-    if (lastChordVoicing && lastChordVoicing.length === 3) {
-      triadVoicing = applyFastVoiceLeading(triadVoicing, lastChordVoicing);
-    }
+    const { notes: voicing, upper } = voiceChord(chordMidi, voicingSettings, {
+      startNote: (upperOctave + 1) * 12,
+      bassNote: (bassOctave + 1) * 12 + rootClass
+    }, lastChordVoicing);
 
-    lastChordVoicing = [...triadVoicing];
-
-    const bassOctave = Math.max(1, triadBaseOctave - 2); // Lowered bass note
-    const bassNote = (rootMidi % 12) + (bassOctave * 12);
-    const finalVoicing = [bassNote, ...triadVoicing];
-
-    return finalVoicing.map(midi => calculateNoteFromMIDI(midi));
+    lastChordVoicing = upper;
+    return voicing.map(midi => midiNumberToNoteName(midi));
   } catch (error) {
     console.warn('Voice leading error, using fallback:', error);
     return chordNotes;
   }
 }
 
-// Fast voice leading for real-time performance
-function applyFastVoiceLeading(newTriad, lastTriad) {
-  if (!lastTriad || lastTriad.length !== 3) return newTriad;
-
-  const currentMovement = newTriad.reduce((total, note, index) => {
-    return total + Math.abs(note - lastTriad[index]);
-  }, 0);
-
-  if (currentMovement <= 12) return newTriad;
-
-  const rootPosition = [...newTriad];
-  const firstInversion = [newTriad[1], newTriad[2], newTriad[0] + 12];
-
-  const rootMovement = rootPosition.reduce((total, note, index) => {
-    return total + Math.abs(note - lastTriad[index]);
-  }, 0);
-
-  const firstMovement = firstInversion.reduce((total, note, index) => {
-    return total + Math.abs(note - lastTriad[index]);
-  }, 0);
-
-  return firstMovement < rootMovement ? firstInversion.sort((a, b) => a - b) : rootPosition;
-}
-
 // Update sound presets with optimized settings to reduce distortion
 const soundPresets = {
   // Synthetic instruments (Tone.js)
@@ -235,6 +663,30 @@ const soundPresets = {
     oscillator: { type: 'sawtooth' },
     envelope: { attack: 0.001, decay: 0.05, sustain: 0.7, release: 0.3 }
   },
+
+  // FM voices - harmonicity is the carrier/modulator ratio, modulationIndex the FM depth
+  epiano: {
+    type: 'synthetic',
+    voice: 'fm',
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.002, decay: 1.2, sustain: 0.3, release: 1.0 },
+    fm: {
+      harmonicity: 1,
+      modulationIndex: 4,
+      modulationEnvelope: { attack: 0.002, decay: 0.5, sustain: 0.1, release: 0.8 }
+    }
+  },
+  chime: {
+    type: 'synthetic',
+    voice: 'fm',
+    oscillator: { type: 'sine' },
+    envelope: { attack: 0.001, decay: 1.5, sustain: 0.1, release: 2.0 },
+    fm: {
+      harmonicity: 3.5,
+      modulationIndex: 10,
+      modulationEnvelope: { attack: 0.001, decay: 0.8, sustain: 0.2, release: 1.5 }
+    }
+  },
   
   // Real instruments (sampled)
   realPiano: {
@@ -272,6 +724,23 @@ const soundPresets = {
 // Gesture variables
 const MIN_PINCH_DIST = 0.01;
 const MAX_PINCH_DIST = 0.1;
+const CHORD_POSITIONS = 8; // Chord hand zones from the bottom of the range to the top
+
+// Pick a chord tone by hand height, spreading the chord over two octaves from the melody octave
+function getArpeggioNote(y, chord, currentOctave) {
+  const chordMidis = chord.notes.map(noteNameToMidi);
+  const rootClass = chordMidis[0] % 12;
+  const intervals = [...new Set(chordMidis.map(midi => (midi - rootClass + 12) % 12))].sort((a, b) => a - b);
+
+  const tones = [];
+  for (let octaveOffset = 0; octaveOffset < 2; octaveOffset++) {
+    intervals.forEach(interval => tones.push(currentOctave * 12 + rootClass + interval + octaveOffset * 12));
+  }
+  tones.push(tones[0] + 24); // Top root closes the range
+
+  const index = Math.max(0, Math.min(tones.length - 1, Math.floor(mapRange(y, 0.2, 1.0, tones.length - 1, 0))));
+  return calculateNoteFromMIDI(tones[index]);
+}
 
 // Enhanced note mapping function with arpeggio support and better scale handling
 function getNoteFromPosition(y, isArpeggioMode = false, currentChord = null) {
@@ -294,6 +763,13 @@ function getNoteFromPosition(y, isArpeggioMode = false, currentChord = null) {
   // Regular scale mode with enhanced position mapping
   const scaleLength = scaleArray.length;
   const totalRange = Math.max(14, (scaleLength + 1) + 6);
+
+  // Chord-aware modes spread the same range over zones built around the left-hand chord
+  if (melodySettings.mode !== 'scale' && melodyChord) {
+    const zones = getMelodyZones(scaleArray, currentRoot, currentOctave, totalRange);
+    if (zones.length > 0) return calculateNoteFromMIDI(getMelodyZoneNote(validY, zones));
+  }
+
   const position = Math.floor(mapRange(validY, 0.2, 1.0, totalRange - 1, 0));
 
   // Calculate octave offset and scale position
@@ -329,6 +805,17 @@ function getNoteFromPosition(y, isArpeggioMode = false, currentChord = null) {
   return calculateNoteFromMIDI(midiNote);
 }
 
+// Scale degree for a chord hand position - positions past the last degree wrap round an octave higher,
+// so the top position is the root an octave up in seven-note scales and shorter scales repeat their
+// lower degrees. Scales of more than seven notes use their first seven degrees.
+function getChordPosition(position, scaleLength) {
+  const degreeCount = Math.min(scaleLength, 7);
+  return {
+    scaleDegree: position % degreeCount,
+    isOctaveHigher: position >= degreeCount
+  };
+}
+
 // Enhanced chord position mapping with voice leading and proper chord progressions
 function getChordFromPosition(y, use7thChords = false) {
   // Validate and clamp input
@@ -343,16 +830,8 @@ function getChordFromPosition(y, use7thChords = false) {
   const currentOctave = Math.max(1, Math.min(5, octave || 3)); // Lowered chord octave range
 
   // Enhanced position mapping for chords - always 8 positions
-  const position = Math.floor(mapRange(validY, 0.25, 1.0, 7, 0));
-
-  // Handle 8th position (root chord octave higher)
-  let scaleDegree, isOctaveHigher = false;
-  if (position === 7) {
-    scaleDegree = 0;
-    isOctaveHigher = true;
-  } else {
-    scaleDegree = position % Math.max(scaleArray.length, 7);
-  }
+  const position = Math.floor(mapRange(validY, 0.25, 1.0, CHORD_POSITIONS - 1, 0));
+  const { scaleDegree, isOctaveHigher } = getChordPosition(position, scaleArray.length);
 
   // Get appropriate notes array based on current scale and root
   const appropriateNotes = getNotesForScale(currentScale, currentRoot);
@@ -381,16 +860,9 @@ function getChordFromPosition(y, use7thChords = false) {
   const chordProgression = CHORD_PROGRESSIONS[currentScale] || CHORD_PROGRESSIONS.major;
   let chordTypeKey = chordProgression[scaleDegree % chordProgression.length] || 'major';
 
-  // Optionally convert to 7th chords for richer harmony
-  if (use7thChords) {
-    if (chordTypeKey === 'major') {
-      chordTypeKey = scaleDegree === 4 ? 'dominant7' : 'major7';
-    } else if (chordTypeKey === 'minor') {
-      chordTypeKey = 'minor7';
-    } else if (chordTypeKey === 'diminished') {
-      chordTypeKey = 'diminished7';
-    }
-  }
+  // Extend to the chord complexity setting - use7thChords asks for at least 7ths
+  const complexity = use7thChords && chordComplexity === 'triads' ? 'sevenths' : chordComplexity;
+  chordTypeKey = extendChordType(chordTypeKey, scaleArray, scaleDegree, complexity);
 
   // Validate chord type
   if (!chordTypes[chordTypeKey]) {
@@ -398,6 +870,8 @@ function getChordFromPosition(y, use7thChords = false) {
     return createChord(chordRoot, 'major', currentOctave - 1);
   }
 
+  setMelodyChord(chordRootIndex, chordTypeKey);
+
   const chordOctave = isOctaveHigher ? currentOctave : currentOctave - 1; // Lowered octave offset
   return createChord(chordRoot, chordTypeKey, chordOctave);
 }
@@ -451,11 +925,55 @@ function createChord(chordRoot, chordTypeKey, octave) {
     type: chordTypeKey,
     notes: voiceLeadingEnabled ? applyVoiceLeading(chordNotes, chordRoot, octave) : chordNotes,
     name: `${chordRoot}${chordNameDisplay}`,
-    scaleDegree: lastLeftHandY,
+    ...analyzeChord(chordRoot, chordTypeKey),
     midiBase: midiBaseForChord
   };
 }
 
+// Seven-note scales whose notes each sit on, or a semitone either side of, their major scale degree without
+// landing on another one - the major blues scale's second 3rd doesn't count
+function isHeptatonicScale(scaleArray) {
+  return scaleArray.length === 7 && scaleArray.every((semitones, index) => {
+    const major = MAJOR_SCALE_DEGREES[index];
+    return semitones === major || (Math.abs(semitones - major) === 1 && !MAJOR_SCALE_DEGREES.includes(semitones));
+  });
+}
+
+// Analyze a chord in the current key - its scale degree index (null when the root is outside the scale),
+// its Roman numeral (I, ii, V7, vii°, bVII) and its harmonic function (see HARMONIC_FUNCTIONS)
+function analyzeChord(chordRoot, chordTypeKey) {
+  const intervals = chordTypes[chordTypeKey];
+  const keyRoot = selectedRoot || 'C';
+  if (!intervals || !chordRoot) return { scaleDegree: null, romanNumeral: null, harmonicFunction: null };
+
+  const keyClass = noteNameToMidi(`${keyRoot}4`) % 12;
+  const rootClass = noteNameToMidi(`${chordRoot}4`) % 12;
+  const semitones = (rootClass - keyClass + 12) % 12;
+  const scaleArray = scales[selectedScale] || scales.major;
+  const scaleIndex = scaleArray.indexOf(semitones);
+
+  // Seven-note modes number their own degrees (the 3rd of minor is bIII), other scales go by the semitones
+  const degreeNumber = isHeptatonicScale(scaleArray) && scaleIndex !== -1
+    ? scaleIndex
+    : CHROMATIC_DEGREE_NUMBERS[semitones];
+  const alteration = semitones - MAJOR_SCALE_DEGREES[degreeNumber];
+  const accidental = alteration < 0 ? 'b'.repeat(-alteration) : '#'.repeat(alteration);
+
+  // Lower case for minor and diminished chords, with the chord symbol's quality and extensions after it
+  const isMinor = intervals.includes(3) && !intervals.includes(4);
+  const numeral = isMinor ? ROMAN_NUMERALS[degreeNumber].toLowerCase() : ROMAN_NUMERALS[degreeNumber];
+  const figure = getChordDisplayName(chordTypeKey)
+    .replace(/^m(?!aj)/, '')
+    .replace(/^dim/, '°')
+    .replace(/^aug/, '+');
+
+  return {
+    scaleDegree: scaleIndex === -1 ? null : scaleIndex,
+    romanNumeral: `${accidental}${numeral}${figure}`,
+    harmonicFunction: DEGREE_FUNCTIONS[degreeNumber]
+  };
+}
+
 // Helper function for chord display names
 function getChordDisplayName(chordTypeKey) {
   const displayNames = {
@@ -463,15 +981,97 @@ function getChordDisplayName(chordTypeKey) {
     'minor': 'm',
     'diminished': 'dim',
     'augmented': 'aug',
+    'majorFlat5': '(b5)',
+    'sus2': 'sus2',
+    'sus4': 'sus4',
     'dominant7': '7',
     'minor7': 'm7',
     'major7': 'maj7',
-    'diminished7': 'dim7'
+    'diminished7': 'dim7',
+    'halfDiminished7': 'ø7',
+    'augmented7': '7#5',
+    'minorMajor7': 'm(maj7)',
+    'augmentedMajor7': 'maj7#5',
+    'dominant7b5': '7b5',
+    'major7b5': 'maj7b5',
+    'major6': '6',
+    'minor6': 'm6',
+    'add9': 'add9',
+    'minorAdd9': 'm(add9)',
+    'sixNine': '6/9',
+    'minorSixNine': 'm6/9',
+    'major9': 'maj9',
+    'dominant9': '9',
+    'minor9': 'm9',
+    'minorMajor9': 'm(maj9)',
+    'halfDiminished9': 'ø9',
+    'augmented9': '9#5',
+    'minor7b9': 'm7b9',
+    'halfDiminished7b9': 'ø7b9',
+    'major11': 'maj11',
+    'major9sharp11': 'maj9#11',
+    'dominant11': '11',
+    'dominant9sharp11': '9#11',
+    'minor11': 'm11',
+    'halfDiminished11': 'ø11',
+    'major13': 'maj13',
+    'major13sharp11': 'maj13#11',
+    'dominant13': '13',
+    'dominant13sharp11': '13#11',
+    'minor13': 'm13',
+    'dominant7b9': '7b9',
+    'dominant7sharp9': '7#9',
+    'dominant7sharp11': '7#11',
+    'dominant7b13': '7b13',
+    'dominant7b9b13': '7b9b13',
+    'altered7': '7alt'
   };
 
   return displayNames[chordTypeKey] || '';
 }
 
+// Spell a standard MIDI note number (C4 = 60) using the current key's sharps or flats
+function midiNumberToNoteName(midiNumber) {
+  return calculateNoteFromMIDI(midiNumber - 12);
+}
+
+// Name a set of played notes (e.g. from a MIDI keyboard) by matching them against chordTypes
+function identifyChord(noteNames) {
+  if (!noteNames || noteNames.length === 0) return null;
+
+  const sortedNotes = [...noteNames].sort((a, b) => noteNameToMidi(a) - noteNameToMidi(b));
+  const pitchClasses = [...new Set(sortedNotes.map(note => noteNameToMidi(note) % 12))];
+  const appropriateNotes = getNotesForScale(selectedScale, selectedRoot);
+
+  // Try the bass note first so root-position chords win over inversions
+  for (const rootClass of pitchClasses) {
+    const intervals = pitchClasses.map(pc => (pc - rootClass + 12) % 12).sort((a, b) => a - b);
+
+    for (const [chordTypeKey, chordIntervals] of Object.entries(chordTypes)) {
+      const uniqueIntervals = [...new Set(chordIntervals.map(interval => interval % 12))].sort((a, b) => a - b);
+      if (uniqueIntervals.length === intervals.length && uniqueIntervals.every((interval, i) => interval === intervals[i])) {
+        const root = appropriateNotes[rootClass];
+        return {
+          root: root,
+          type: chordTypeKey,
+          notes: sortedNotes,
+          name: `${root}${getChordDisplayName(chordTypeKey)}`,
+          ...analyzeChord(root, chordTypeKey)
+        };
+      }
+    }
+  }
+
+  // Unrecognized cluster - name it after its notes, rooted on the bass
+  const bass = appropriateNotes[pitchClasses[0]];
+  return {
+    root: bass,
+    type: null,
+    notes: sortedNotes,
+    name: pitchClasses.map(pc => appropriateNotes[pc]).join('-')
+  };
+}
+
 // Fallback chord creation
 function createFallbackChord(root, octave) {
   const appropriateNotes = getNotesForScale(selectedScale, selectedRoot);
@@ -500,6 +1100,7 @@ function createFallbackChord(root, octave) {
     type: 'major',
     notes: voiceLeadingEnabled ? applyVoiceLeading(basicTriad, safeRoot, safeOctave) : basicTriad,
     name: safeRoot,
+    ...analyzeChord(safeRoot, 'major'),
     error: true
   };
 }
@@ -507,14 +1108,12 @@ function createFallbackChord(root, octave) {
 // Function to update scale, root, and octave
 function updateMusicParameters(scale, root, newOctave, sound) {
   if (scale) {
-    // Normalize scale names to match the scales object keys
+    // Normalize scale names to match the scales object keys (the header dropdown lowercases them)
     const scaleMap = {
-      'minorblues': 'minorBlues',
-      'majorblues': 'majorBlues',
-      'pentatonicmajor': 'pentatonic',
-      'pentatonicminor': 'pentatonicMinor'
+      'pentatonicmajor': 'pentatonic'
     };
-    selectedScale = scaleMap[scale] || scale;
+    const scaleKey = Object.keys(scales).find(key => key.toLowerCase() === scale.toLowerCase());
+    selectedScale = scaleKey || scaleMap[scale] || scale;
     console.log(`Updated selectedScale to: ${selectedScale}`);
     // Reset voice leading when scale changes
     resetVoiceLeading();
@@ -545,6 +1144,22 @@ function getOctave() {
 }
 
 // Enhanced debugging and validation functions
+// Scales whose spelling mixes the key signature's accidentals with altered degrees, or keeps the root's spelling
+const SPELLING_CHECKS = [
+  ['C', 'harmonicMinor', 'C D Eb F G Ab B'],
+  ['D', 'harmonicMinor', 'D E F G A Bb C#'],
+  ['G', 'harmonicMinor', 'G A Bb C D Eb F#'],
+  ['F', 'melodicMinor', 'F G Ab Bb C D E'],
+  ['D', 'phrygianDominant', 'D Eb F# G A Bb C'],
+  ['Bb', 'hungarianMinor', 'Bb C Db E F Gb A'],
+  ['F#', 'harmonicMinor', 'F# G# A B C# D E#'],
+  ['C#', 'harmonicMinor', 'C# D# E F# G# A B#'],
+  ['Bb', 'inSen', 'Bb B Eb F Ab']
+];
+
+// Flat- and sharp-side keys testAllScales spells every scale in
+const SPELLING_TEST_ROOTS = ['F', 'Bb', 'D', 'G', 'F#', 'C#'];
+
 export function validateMusicConfig() {
   const issues = [];
 
@@ -563,15 +1178,53 @@ export function validateMusicConfig() {
     issues.push(`Octave out of range: ${octave}`);
   }
 
-  // Check scale data integrity
-  const scaleArray = scales[selectedScale];
-  if (scaleArray) {
+  // Check every scale's data, chord progression and spelling entry
+  Object.entries(scales).forEach(([scaleName, scaleArray]) => {
     scaleArray.forEach((semitone, index) => {
       if (typeof semitone !== 'number' || semitone < 0 || semitone > 11) {
-        issues.push(`Invalid semitone at index ${index} in scale ${selectedScale}: ${semitone}`);
+        issues.push(`Invalid semitone at index ${index} in scale ${scaleName}: ${semitone}`);
+      } else if (index > 0 && semitone <= scaleArray[index - 1]) {
+        issues.push(`Semitones not ascending at index ${index} in scale ${scaleName}`);
       }
     });
-  }
+    if (scaleArray[0] !== 0) {
+      issues.push(`Scale ${scaleName} does not start on its root`);
+    }
+
+    const progression = CHORD_PROGRESSIONS[scaleName];
+    if (!progression) {
+      issues.push(`No chord progression for scale ${scaleName}`);
+    } else {
+      if (progression.length !== scaleArray.length) {
+        issues.push(`Chord progression for ${scaleName} has ${progression.length} chords for ${scaleArray.length} degrees`);
+      }
+      progression.forEach((chordTypeKey, index) => {
+        if (!chordTypes[chordTypeKey]) {
+          issues.push(`Unknown chord type ${chordTypeKey} at degree ${index + 1} of ${scaleName}`);
+        }
+      });
+    }
+
+    // Every chord hand position has to land on a degree with a chord
+    for (let position = 0; position < CHORD_POSITIONS; position++) {
+      const { scaleDegree } = getChordPosition(position, scaleArray.length);
+      if (scaleArray[scaleDegree] === undefined || !progression || !progression[scaleDegree]) {
+        issues.push(`Chord position ${position + 1} of ${scaleName} has no chord at degree ${scaleDegree + 1}`);
+      }
+    }
+
+    if (!(scaleName in SCALE_KEY_OFFSETS)) {
+      issues.push(`No key signature offset for scale ${scaleName}`);
+    }
+  });
+
+  // Seven-note scales use every letter once and roots keep their spelling
+  SPELLING_CHECKS.forEach(([root, scaleName, expected]) => {
+    const spelled = getScaleNoteNames(scaleName, root).join(' ');
+    if (spelled !== expected) {
+      issues.push(`${root} ${scaleName} spelled ${spelled}, expected ${expected}`);
+    }
+  });
 
   return {
     isValid: issues.length === 0,
@@ -604,6 +1257,7 @@ export function testMusicLogic(scaleName = null, use7ths = false) {
   selectedScale = testScale;
 
   console.log(`\nTesting scale: ${testScale}`);
+  console.log(`Notes in ${selectedRoot}: ${getScaleNoteNames(testScale, selectedRoot).join(' ')}`);
   console.log('Position -> Note | Chord (Notes)');
   console.log('----------------------------------------');
 
@@ -614,6 +1268,9 @@ export function testMusicLogic(scaleName = null, use7ths = false) {
       const note = getNoteFromPosition(y);
       const chord = getChordFromPosition(y, use7ths);
       console.log(`${y.toFixed(1)} -> ${note.padEnd(4)} | ${chord.name.padEnd(6)} (${chord.notes.join(', ')})`);
+      if (chord.error) {
+        console.warn(`Fallback chord at ${y.toFixed(1)} in ${testScale} - the position has no scale degree`);
+      }
     } catch (error) {
       console.error(`Error at position ${y}:`, error);
     }
@@ -632,6 +1289,9 @@ export function testAllScales(use7ths = false) {
     console.log(`\n=== ${scaleName.toUpperCase()} ===`);
     try {
       testMusicLogic(scaleName, use7ths);
+      SPELLING_TEST_ROOTS.forEach(root => {
+        console.log(`Notes in ${root}: ${getScaleNoteNames(scaleName, root).join(' ')}`);
+      });
     } catch (error) {
       console.error(`Error testing scale ${scaleName}:`, error);
     }
@@ -654,18 +1314,39 @@ export {
   octave,
   selectedSound,
   scales,
+  SCALE_DISPLAY_NAMES,
   notes,
   notesWithFlats,
   chordTypes,
+  CHORD_COMPLEXITIES,
+  HARMONIC_FUNCTIONS,
+  MELODY_MODES,
+  DEFAULT_MELODY_SETTINGS,
   soundPresets,
   MIN_PINCH_DIST,
   MAX_PINCH_DIST,
   getNoteFromPosition,
   getChordFromPosition,
+  setChordComplexity,
+  getChordComplexity,
+  extendChordType,
+  setVoicingSettings,
+  getVoicingSettings,
+  setMelodySettings,
+  getMelodySettings,
   updateMusicParameters,
   getSelectedSound,
   getSelectedScale,
   getSelectedRoot,
   getOctave,
+  noteNameToMidi,
+  midiNumberToNoteName,
+  identifyChord,
+  analyzeChord,
+  getScaleNoteNames,
+  deriveChordProgression,
+  registerCustomScale,
+  unregisterCustomScale,
+  CUSTOM_SCALE_PREFIX,
   CHORD_PROGRESSIONS
 };
\ No newline at end of file
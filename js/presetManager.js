@@ -4,8 +4,18 @@
  */
 
 import { showMessage } from './utils.js';
-import { updateMusicParameters } from './musicTheory.js';
-import { updateSynths, setDelayTimeManual } from './audio.js';
+import { updateUI } from './ui.js';
+import { updateMusicParameters, getChordComplexity, setChordComplexity, getVoicingSettings, setVoicingSettings, getMelodySettings, setMelodySettings, DEFAULT_MELODY_SETTINGS } from './musicTheory.js';
+import { DEFAULT_VOICING_SETTINGS } from './voicing.js';
+import {
+    updateSynths, setDelayTimeManual, getEffectsRackDescription, loadEffectsRack,
+    getArpeggiator, getStepSequencer, getChordHandMode, setChordHandMode, getDrumMachine, getBassLine, getHarmonizer,
+    setModulationSyncManual, getModulationSync
+} from './audio.js';
+import { transport } from './transport.js';
+import { midiInput } from './midi.js';
+import { customScaleLibrary } from './customScales.js';
+import { tuning } from './tuning.js';
 
 class PresetManager {
     constructor(knobManager) {
@@ -22,14 +32,47 @@ class PresetManager {
                 root: document.getElementById('panel-root-select').value,
                 scale: document.getElementById('panel-scale-select').value,
                 octave: parseInt(document.getElementById('panel-octave-select').value),
+                chordComplexity: getChordComplexity(),
+                voicing: getVoicingSettings(), // Style and register limits
+                melody: getMelodySettings(), // Chord-aware melody zones and tensions
                 instrument: document.getElementById('panel-sound-select').value
             },
 
+            // User-defined scales (name -> semitones), so a preset in a custom scale loads anywhere
+            customScales: customScaleLibrary.getAll(),
+
+            // Scala tuning files ({ name, text }), null for 12-TET
+            tuning: tuning.getSettings(),
+
             // Audio processing settings
             audio: {
                 masterVolume: this.knobManager.getKnob('master-volume').getValue(),
                 inputGain: this.knobManager.getKnob('input-gain').getValue(),
 
+                // Mixer
+                melodyLevel: this.knobManager.getKnob('melody-level').getValue(),
+                melodyPan: this.knobManager.getKnob('melody-pan').getValue(),
+                melodyEqLow: this.knobManager.getKnob('melody-eq-low').getValue(),
+                melodyEqMid: this.knobManager.getKnob('melody-eq-mid').getValue(),
+                melodyEqHigh: this.knobManager.getKnob('melody-eq-high').getValue(),
+                harmonyLevel: this.knobManager.getKnob('harmony-level').getValue(),
+                harmonyPan: this.knobManager.getKnob('harmony-pan').getValue(),
+                harmonyEqLow: this.knobManager.getKnob('harmony-eq-low').getValue(),
+                harmonyEqMid: this.knobManager.getKnob('harmony-eq-mid').getValue(),
+                harmonyEqHigh: this.knobManager.getKnob('harmony-eq-high').getValue(),
+                bassLevel: this.knobManager.getKnob('bass-level').getValue(),
+                bassPan: this.knobManager.getKnob('bass-pan').getValue(),
+                bassEqLow: this.knobManager.getKnob('bass-eq-low').getValue(),
+                bassEqMid: this.knobManager.getKnob('bass-eq-mid').getValue(),
+                bassEqHigh: this.knobManager.getKnob('bass-eq-high').getValue(),
+                drumsLevel: this.knobManager.getKnob('drums-level').getValue(),
+                drumsPan: this.knobManager.getKnob('drums-pan').getValue(),
+                drumsEqLow: this.knobManager.getKnob('drums-eq-low').getValue(),
+                drumsEqMid: this.knobManager.getKnob('drums-eq-mid').getValue(),
+                drumsEqHigh: this.knobManager.getKnob('drums-eq-high').getValue(),
+                reverbReturn: this.knobManager.getKnob('reverb-return').getValue(),
+                delayReturn: this.knobManager.getKnob('delay-return').getValue(),
+
                 // Reverb & Spatial
                 reverbAmount: this.knobManager.getKnob('reverb-amount').getValue(),
                 reverbSize: this.knobManager.getKnob('reverb-size').getValue(),
@@ -42,6 +85,7 @@ class PresetManager {
                 delayFeedback: this.knobManager.getKnob('delay-feedback').getValue(),
                 chorusRate: this.knobManager.getKnob('chorus-rate').getValue(),
                 chorusDepth: this.knobManager.getKnob('chorus-depth').getValue(),
+                chorusSync: getModulationSync().chorus,
 
                 // EQ & Filtering
                 filterFreq: this.knobManager.getKnob('filter-freq').getValue(),
@@ -55,9 +99,47 @@ class PresetManager {
                 compressorThreshold: this.knobManager.getKnob('compressor-threshold').getValue(),
                 compressorAttack: this.knobManager.getKnob('compressor-attack').getValue(),
                 compressorRelease: this.knobManager.getKnob('compressor-release').getValue(),
-                saturation: this.knobManager.getKnob('saturation').getValue()
+                saturation: this.knobManager.getKnob('saturation').getValue(),
+
+                // Modulation effects
+                phaserRate: this.knobManager.getKnob('phaser-rate').getValue(),
+                phaserDepth: this.knobManager.getKnob('phaser-depth').getValue(),
+                tremoloRate: this.knobManager.getKnob('tremolo-rate').getValue(),
+                tremoloDepth: this.knobManager.getKnob('tremolo-depth').getValue(),
+                tremoloSync: getModulationSync().tremolo,
+
+                // FM voice
+                fmFrequency: this.knobManager.getKnob('fm-frequency').getValue(),
+                fmDepth: this.knobManager.getKnob('fm-depth').getValue()
             },
 
+            // Effects rack order, bypass state and per-slot parameters
+            effectsRack: getEffectsRackDescription(),
+
+            // Tempo, time signature and click track
+            transport: transport.getSettings(),
+
+            // Chord hand mode: 'hold', 'arpeggio' or 'pattern'
+            chordHandMode: getChordHandMode(),
+
+            // Arpeggiator pattern, rate, octave span and gate
+            arpeggiator: getArpeggiator().getSettings(),
+
+            // Step pattern rate and steps (velocity, gate and accent per step)
+            stepSequencer: getStepSequencer().getSettings(),
+
+            // Harmonizer on/off and each voice's on/off, level and pan
+            harmonizer: getHarmonizer().getSettings(),
+
+            // Bass line on/off, pattern, bass note, rate, octave and sound
+            bassLine: getBassLine().getSettings(),
+
+            // Drum machine on/off, pattern, panel mutes and fist gestures
+            drums: getDrumMachine().getSettings(),
+
+            // MIDI-learn bindings (CC number -> knob id)
+            midiBindings: midiInput.getBindings(),
+
             // Metadata
             metadata: {
                 name: '',
@@ -69,16 +151,33 @@ class PresetManager {
         return settings;
     }
 
+    // Set a chorus/tremolo tempo sync selector and the effect it controls
+    applyModulationSync(effect, division) {
+        const syncSelect = document.getElementById(`${effect}-sync`);
+        if (syncSelect) syncSelect.value = division;
+        setModulationSyncManual(effect, division);
+    }
+
     // Apply settings from a preset
     applySettings(settings) {
         try {
+            // Custom scales first so the scale selector has the preset's scale
+            if (settings.customScales) {
+                customScaleLibrary.merge(settings.customScales);
+            }
+
+            if (settings.tuning) {
+                tuning.applySettings(settings.tuning);
+            }
+
             // Apply musical settings
             if (settings.musical) {
-                const { root, scale, octave, instrument } = settings.musical;
+                const { root, scale, octave, instrument, chordComplexity = 'triads', voicing = DEFAULT_VOICING_SETTINGS, melody = DEFAULT_MELODY_SETTINGS } = settings.musical;
 
                 document.getElementById('panel-root-select').value = root;
                 document.getElementById('panel-scale-select').value = scale;
                 document.getElementById('panel-octave-select').value = octave;
+                document.getElementById('chord-complexity').value = chordComplexity;
                 document.getElementById('panel-sound-select').value = instrument;
 
                 // Extract the actual instrument name from builtin: prefix if needed
@@ -87,6 +186,19 @@ class PresetManager {
                     : instrument;
 
                 updateMusicParameters(scale, root, octave, actualInstrument);
+                setChordComplexity(chordComplexity);
+                setVoicingSettings({ ...DEFAULT_VOICING_SETTINGS, ...voicing });
+
+                const voicingSettings = getVoicingSettings();
+                document.getElementById('voicing-style').value = voicingSettings.style;
+                document.getElementById('voicing-low-note').value = voicingSettings.lowNote;
+                document.getElementById('voicing-high-note').value = voicingSettings.highNote;
+
+                setMelodySettings({ ...DEFAULT_MELODY_SETTINGS, ...melody });
+                const melodySettings = getMelodySettings();
+                document.getElementById('melody-mode').value = melodySettings.mode;
+                document.getElementById('melody-tensions').value = melodySettings.tensions ? 'on' : 'off';
+
                 updateSynths();
 
                 // Sync with main screen selectors
@@ -101,6 +213,47 @@ class PresetManager {
                 if (mainSoundSelect && actualInstrument) {
                     mainSoundSelect.value = actualInstrument;
                 }
+                updateUI();
+            }
+
+            // Rebuild the effects rack first so the knobs below land on the new stages
+            if (settings.effectsRack) {
+                loadEffectsRack(settings.effectsRack);
+            }
+
+            // Tempo first so synced delay and modulation rates are converted at the new BPM
+            if (settings.transport) {
+                transport.applySettings(settings.transport);
+            }
+
+            // Settings are applied in the current mode, then the mode switch carries over a held chord
+            if (settings.arpeggiator) {
+                const { enabled, ...arpeggiatorSettings } = settings.arpeggiator;
+                getArpeggiator().applySettings({ ...arpeggiatorSettings, enabled: getArpeggiator().isEnabled() });
+            }
+            if (settings.stepSequencer) {
+                const { enabled, ...sequencerSettings } = settings.stepSequencer;
+                getStepSequencer().applySettings({ ...sequencerSettings, enabled: getStepSequencer().isEnabled() });
+            }
+            if (settings.chordHandMode || settings.arpeggiator) {
+                // Presets from before step patterns only store the arpeggiator's on/off
+                setChordHandMode(settings.chordHandMode || (settings.arpeggiator.enabled ? 'arpeggio' : 'hold'));
+            }
+
+            if (settings.harmonizer) {
+                getHarmonizer().applySettings(settings.harmonizer);
+            }
+
+            if (settings.bassLine) {
+                getBassLine().applySettings(settings.bassLine);
+            }
+
+            if (settings.drums) {
+                getDrumMachine().applySettings(settings.drums);
+            }
+
+            if (settings.midiBindings) {
+                midiInput.setBindings(settings.midiBindings);
             }
 
             // Apply audio settings
@@ -111,6 +264,29 @@ class PresetManager {
                 this.knobManager.setKnobValueWithCallback('master-volume', audio.masterVolume || 0);
                 this.knobManager.setKnobValueWithCallback('input-gain', audio.inputGain || 100);
 
+                this.knobManager.setKnobValueWithCallback('melody-level', audio.melodyLevel || 0);
+                this.knobManager.setKnobValueWithCallback('melody-pan', audio.melodyPan || 0);
+                this.knobManager.setKnobValueWithCallback('melody-eq-low', audio.melodyEqLow || 0);
+                this.knobManager.setKnobValueWithCallback('melody-eq-mid', audio.melodyEqMid || 0);
+                this.knobManager.setKnobValueWithCallback('melody-eq-high', audio.melodyEqHigh || 0);
+                this.knobManager.setKnobValueWithCallback('harmony-level', audio.harmonyLevel || 0);
+                this.knobManager.setKnobValueWithCallback('harmony-pan', audio.harmonyPan || 0);
+                this.knobManager.setKnobValueWithCallback('harmony-eq-low', audio.harmonyEqLow || 0);
+                this.knobManager.setKnobValueWithCallback('harmony-eq-mid', audio.harmonyEqMid || 0);
+                this.knobManager.setKnobValueWithCallback('harmony-eq-high', audio.harmonyEqHigh || 0);
+                this.knobManager.setKnobValueWithCallback('bass-level', audio.bassLevel || 0);
+                this.knobManager.setKnobValueWithCallback('bass-pan', audio.bassPan || 0);
+                this.knobManager.setKnobValueWithCallback('bass-eq-low', audio.bassEqLow || 0);
+                this.knobManager.setKnobValueWithCallback('bass-eq-mid', audio.bassEqMid || 0);
+                this.knobManager.setKnobValueWithCallback('bass-eq-high', audio.bassEqHigh || 0);
+                this.knobManager.setKnobValueWithCallback('drums-level', audio.drumsLevel || 0);
+                this.knobManager.setKnobValueWithCallback('drums-pan', audio.drumsPan || 0);
+                this.knobManager.setKnobValueWithCallback('drums-eq-low', audio.drumsEqLow || 0);
+                this.knobManager.setKnobValueWithCallback('drums-eq-mid', audio.drumsEqMid || 0);
+                this.knobManager.setKnobValueWithCallback('drums-eq-high', audio.drumsEqHigh || 0);
+                this.knobManager.setKnobValueWithCallback('reverb-return', audio.reverbReturn ?? 100);
+                this.knobManager.setKnobValueWithCallback('delay-return', audio.delayReturn ?? 100);
+
                 this.knobManager.setKnobValueWithCallback('reverb-amount', audio.reverbAmount || 0);
                 this.knobManager.setKnobValueWithCallback('reverb-size', audio.reverbSize || 2.0);
                 this.knobManager.setKnobValueWithCallback('reverb-predelay', audio.reverbPredelay || 50);
@@ -125,6 +301,7 @@ class PresetManager {
                 }
                 this.knobManager.setKnobValueWithCallback('delay-feedback', audio.delayFeedback || 25);
                 this.knobManager.setKnobValueWithCallback('chorus-rate', audio.chorusRate || 1.5);
+                this.applyModulationSync('chorus', audio.chorusSync || 'free');
                 this.knobManager.setKnobValueWithCallback('chorus-depth', audio.chorusDepth || 0);
 
                 this.knobManager.setKnobValueWithCallback('filter-freq', audio.filterFreq || 8000);
@@ -138,6 +315,15 @@ class PresetManager {
                 this.knobManager.setKnobValueWithCallback('compressor-attack', audio.compressorAttack || 0.01);
                 this.knobManager.setKnobValueWithCallback('compressor-release', audio.compressorRelease || 0.2);
                 this.knobManager.setKnobValueWithCallback('saturation', audio.saturation || 0);
+
+                this.knobManager.setKnobValueWithCallback('phaser-rate', audio.phaserRate || 0.5);
+                this.knobManager.setKnobValueWithCallback('phaser-depth', audio.phaserDepth || 0);
+                this.knobManager.setKnobValueWithCallback('tremolo-rate', audio.tremoloRate || 10.0);
+                this.applyModulationSync('tremolo', audio.tremoloSync || 'free');
+                this.knobManager.setKnobValueWithCallback('tremolo-depth', audio.tremoloDepth || 0);
+
+                this.knobManager.setKnobValueWithCallback('fm-frequency', audio.fmFrequency || 1.0);
+                this.knobManager.setKnobValueWithCallback('fm-depth', audio.fmDepth || 0);
             }
 
             return true;
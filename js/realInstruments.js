@@ -4,9 +4,10 @@
  */
 
 import { mapRange } from './utils.js';
+import { tuning } from './tuning.js';
 
 // Real instrument gain compensation - can be adjusted if samples are too loud/quiet
-let realInstrumentGain = null;
+let realInstrumentGains = { melody: null, harmony: null };
 const REAL_INSTRUMENT_BOOST_DB = 20; // Moderate boost for audible real instruments
 
 // Sample library configuration with Philharmonia Orchestra samples
@@ -264,16 +265,36 @@ const SAMPLE_LIBRARY = {
 const NOTE_FREQUENCIES = {
   'C': -9, 'C#': -8, 'Db': -8, 'D': -7, 'D#': -6, 'Eb': -6, 'E': -5,
   'F': -4, 'F#': -3, 'Gb': -3, 'G': -2, 'G#': -1, 'Ab': -1, 'A': 0,
-  'A#': 1, 'Bb': 1, 'B': 2
+  'A#': 1, 'Bb': 1, 'B': 2,
+  'E#': -4, 'Fb': -5, 'B#': 3, 'Cb': -10
 };
 
 // State management
-let realInstrumentSamplers = new Map();
+let realInstrumentSamplers = new Map(); // Melody (right hand) samplers
+let realInstrumentHarmonySamplers = new Map(); // Chord (left hand) samplers
+let realInstrumentPartSamplers = new Map(); // Extra parts (e.g. harmonizer voices): part -> { instrumentId, sampler }
+let realInstrumentBuffers = new Map(); // Decoded samples per instrument, shared by every sampler
+let realInstrumentSamplerOptions = new Map();
+let heldSamplerPitches = new WeakMap(); // Sampler -> Map(note -> pitch it was started at), released at that pitch
 let realInstrumentInitialized = false;
 let currentInstrument = null;
 
 /**
- * Convert note name to frequency
+ * Get the sampler that plays a given part of a real instrument
+ * @param {string} instrumentId - Instrument identifier
+ * @param {string} part - 'melody' (right hand), 'harmony' (left hand) or an extra part (see connectRealInstrumentPart)
+ * @returns {Tone.Sampler|undefined} The sampler for that part
+ */
+function getRealInstrumentSampler(instrumentId, part = 'melody') {
+  if (part === 'melody') return realInstrumentSamplers.get(instrumentId);
+  if (part === 'harmony') return realInstrumentHarmonySamplers.get(instrumentId);
+
+  const entry = realInstrumentPartSamplers.get(part);
+  return entry && entry.instrumentId === instrumentId ? entry.sampler : undefined;
+}
+
+/**
+ * Convert note name to frequency in 12-TET at the current concert pitch
  * @param {string} note - Note name (e.g., "A4", "C#5")
  * @returns {number} Frequency in Hz
  */
@@ -291,8 +312,8 @@ function noteToFrequency(note) {
   const octaveOffset = (octave - 4) * 12;
   const semitones = noteOffset + octaveOffset;
   
-  // A4 = 440Hz, each semitone is 2^(1/12) ratio
-  return 440 * Math.pow(2, semitones / 12);
+  // A4 = concert pitch (440Hz by default), each semitone is 2^(1/12) ratio
+  return tuning.getReferencePitch() * Math.pow(2, semitones / 12);
 }
 
 /**
@@ -366,15 +387,8 @@ async function initializeRealInstruments() {
         }
       }
       
-      // Create Tone.Sampler with appropriate settings for each instrument
+      // Create Tone.Sampler settings for each instrument
       let samplerOptions = {
-        urls: sampleMap,
-        onload: () => {
-          console.log(`${config.name} samples loaded successfully (${Object.keys(sampleMap).length} samples)`);
-        },
-        onerror: (error) => {
-          console.warn(`Error loading ${config.name} samples:`, error);
-        },
         attack: 0.01,
         release: 1,
         curve: "exponential"
@@ -389,8 +403,34 @@ async function initializeRealInstruments() {
         samplerOptions.release = 1.2;
       }
       
+      // One sampler per hand so melody and chords can be routed to separate mixer strips
       const sampler = new Tone.Sampler(samplerOptions);
+      const harmonySampler = new Tone.Sampler(samplerOptions);
       realInstrumentSamplers.set(instrumentId, sampler);
+      realInstrumentHarmonySamplers.set(instrumentId, harmonySampler);
+      realInstrumentSamplerOptions.set(instrumentId, samplerOptions);
+      
+      // Both samplers share the decoded buffers, so the samples are only loaded once
+      const buffers = new Tone.ToneAudioBuffers({
+        urls: sampleMap,
+        onload: () => {
+          for (const note of Object.keys(sampleMap)) {
+            const audioBuffer = buffers.get(note).get();
+            sampler.add(note, audioBuffer);
+            harmonySampler.add(note, audioBuffer);
+          }
+          
+          // Extra parts connected while the samples were loading
+          realInstrumentPartSamplers.forEach(entry => {
+            if (entry.instrumentId === instrumentId) addSamplesToSampler(entry.sampler, instrumentId);
+          });
+          console.log(`${config.name} samples loaded successfully (${Object.keys(sampleMap).length} samples)`);
+        },
+        onerror: (error) => {
+          console.warn(`Error loading ${config.name} samples:`, error);
+        }
+      });
+      realInstrumentBuffers.set(instrumentId, buffers);
       
     } catch (error) {
       console.warn(`Failed to initialize ${config.name}:`, error);
@@ -431,42 +471,111 @@ function getAvailableRealInstruments() {
 }
 
 /**
- * Connect a real instrument sampler to the audio chain
+ * Connect a real instrument's melody and harmony samplers to the audio chain
  * @param {string} instrumentId - Instrument to connect
- * @param {Tone.AudioNode} destination - Where to connect the output
+ * @param {Tone.AudioNode} destination - Where to connect the melody output
+ * @param {Tone.AudioNode} harmonyDestination - Where to connect the chord output (defaults to destination)
  */
-function connectRealInstrument(instrumentId, destination) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
-  if (sampler && destination) {
-    // Create dedicated gain node for real instruments if it doesn't exist
-    if (!realInstrumentGain) {
-      realInstrumentGain = new Tone.Gain(Tone.dbToGain(REAL_INSTRUMENT_BOOST_DB));
-      realInstrumentGain.connect(destination);
+function connectRealInstrument(instrumentId, destination, harmonyDestination = destination) {
+  const destinations = { melody: destination, harmony: harmonyDestination };
+  
+  for (const part of ['melody', 'harmony']) {
+    const sampler = getRealInstrumentSampler(instrumentId, part);
+    if (!sampler || !destinations[part]) continue;
+    
+    // Create dedicated gain node for each part if it doesn't exist
+    if (!realInstrumentGains[part]) {
+      realInstrumentGains[part] = new Tone.Gain(Tone.dbToGain(REAL_INSTRUMENT_BOOST_DB));
+      realInstrumentGains[part].connect(destinations[part]);
     }
     
     // Connect sampler through the dedicated gain node
-    sampler.connect(realInstrumentGain);
+    sampler.connect(realInstrumentGains[part]);
     currentInstrument = instrumentId;
+  }
+  
+  if (currentInstrument === instrumentId) {
     console.log(`Connected ${SAMPLE_LIBRARY[instrumentId].name} to audio chain with ${REAL_INSTRUMENT_BOOST_DB}dB boost`);
   }
 }
 
+/**
+ * Add an instrument's loaded samples to a sampler
+ * @param {Tone.Sampler} sampler - Sampler to fill
+ * @param {string} instrumentId - Instrument whose samples to add
+ */
+function addSamplesToSampler(sampler, instrumentId) {
+  const config = SAMPLE_LIBRARY[instrumentId];
+  const buffers = realInstrumentBuffers.get(instrumentId);
+  if (!config || !buffers || !buffers.loaded) return;
+  
+  const sampleNotes = [...Object.keys(config.samples), ...Object.keys(config.chromaticSamples || {})];
+  for (const note of sampleNotes) {
+    if (buffers.has(note)) sampler.add(note, buffers.get(note).get());
+  }
+}
+
+/**
+ * Connect a sampler for an extra part of a real instrument (e.g. a harmonizer voice). It shares the
+ * instrument's loaded samples and gets the same boost as the melody and harmony parts.
+ * @param {string} instrumentId - Instrument to play the part on
+ * @param {string} part - Part name, other than 'melody' or 'harmony'
+ * @param {Tone.AudioNode} destination - Where to connect the part's output
+ */
+function connectRealInstrumentPart(instrumentId, part, destination) {
+  if (!SAMPLE_LIBRARY[instrumentId] || part === 'melody' || part === 'harmony') return;
+  
+  const current = realInstrumentPartSamplers.get(part);
+  if (current && current.instrumentId === instrumentId) return;
+  disconnectRealInstrumentPart(part);
+  
+  const sampler = new Tone.Sampler(realInstrumentSamplerOptions.get(instrumentId) || {});
+  addSamplesToSampler(sampler, instrumentId);
+  
+  realInstrumentGains[part] = new Tone.Gain(Tone.dbToGain(REAL_INSTRUMENT_BOOST_DB));
+  realInstrumentGains[part].connect(destination);
+  sampler.connect(realInstrumentGains[part]);
+  realInstrumentPartSamplers.set(part, { instrumentId, sampler });
+}
+
+/**
+ * Release and remove an extra part's sampler
+ * @param {string} part - Part name passed to connectRealInstrumentPart
+ */
+function disconnectRealInstrumentPart(part) {
+  const entry = realInstrumentPartSamplers.get(part);
+  if (entry) {
+    entry.sampler.releaseAll();
+    entry.sampler.dispose();
+    realInstrumentPartSamplers.delete(part);
+  }
+  
+  if (realInstrumentGains[part]) {
+    realInstrumentGains[part].dispose();
+    delete realInstrumentGains[part];
+  }
+}
+
 /**
  * Disconnect current real instrument
  */
 function disconnectRealInstrument() {
   if (currentInstrument) {
-    const sampler = realInstrumentSamplers.get(currentInstrument);
-    if (sampler) {
-      sampler.disconnect();
+    for (const part of ['melody', 'harmony']) {
+      const sampler = getRealInstrumentSampler(currentInstrument, part);
+      if (sampler) {
+        sampler.disconnect();
+      }
     }
     currentInstrument = null;
   }
   
-  // Disconnect and cleanup the gain node
-  if (realInstrumentGain) {
-    realInstrumentGain.disconnect();
-    realInstrumentGain = null;
+  // Disconnect and cleanup the gain nodes
+  for (const part of ['melody', 'harmony']) {
+    if (realInstrumentGains[part]) {
+      realInstrumentGains[part].disconnect();
+      realInstrumentGains[part] = null;
+    }
   }
 }
 
@@ -478,9 +587,10 @@ function disconnectRealInstrument() {
  * @param {number} duration - Duration in seconds (optional)
  * @param {string} dynamic - Dynamic level (optional)
  * @param {string} articulation - Articulation type (optional)
+ * @param {string} part - 'melody', 'harmony' or an extra part's sampler to play on
  */
-function playRealNote(instrumentId, note, velocity = 0.8, duration, dynamic, articulation) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
+function playRealNote(instrumentId, note, velocity = 0.8, duration, dynamic, articulation, part = 'melody') {
+  const sampler = getRealInstrumentSampler(instrumentId, part);
   if (!sampler) {
     console.warn(`Real instrument sampler not found: ${instrumentId}`);
     return;
@@ -491,12 +601,13 @@ function playRealNote(instrumentId, note, velocity = 0.8, duration, dynamic, art
   
   try {
     // Find the best sample for this note
-    let sampleNote = findBestSampleForNote(instrumentId, note, dynamic, articulation);
+    let sampleNote = getSamplerPitch(instrumentId, note, dynamic, articulation);
     
     if (duration) {
       sampler.triggerAttackRelease(sampleNote, duration, Tone.now(), velocity);
     } else {
       sampler.triggerAttack(sampleNote, Tone.now(), velocity);
+      holdSamplerPitch(sampler, note, sampleNote);
     }
     
     console.log(`Playing ${note} on ${config.name} using sample ${sampleNote}`);
@@ -509,17 +620,18 @@ function playRealNote(instrumentId, note, velocity = 0.8, duration, dynamic, art
  * Stop a note on a real instrument
  * @param {string} instrumentId - Instrument to use
  * @param {string} note - Note to stop (optional)
+ * @param {string} part - 'melody', 'harmony' or an extra part's sampler to stop
  */
-function stopRealNote(instrumentId, note) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
+function stopRealNote(instrumentId, note, part = 'melody') {
+  const sampler = getRealInstrumentSampler(instrumentId, part);
   if (!sampler) return;
   
   try {
     if (note) {
-      const sampleNote = findClosestSample(instrumentId, note)?.sampleNote || note;
-      sampler.triggerRelease(sampleNote);
+      releaseSamplerPitch(sampler, instrumentId, note);
     } else {
       sampler.releaseAll();
+      heldSamplerPitches.delete(sampler);
     }
   } catch (error) {
     console.warn(`Error stopping note on ${instrumentId}:`, error);
@@ -544,6 +656,47 @@ function findBestSampleForNote(instrumentId, targetNote, dynamic, articulation)
   return result ? result.sampleNote : targetNote;
 }
 
+/**
+ * Get the pitch to trigger a note with - the best sample for the transposed note, as its note name,
+ * or under another concert pitch or a microtonal tuning as a frequency (the sampler repitches it)
+ * @param {string} instrumentId - Instrument identifier
+ * @param {string} note - Note to play
+ * @param {string} dynamic - Dynamic level (optional)
+ * @param {string} articulation - Articulation type (optional)
+ * @returns {string|number} Sample note name, or frequency in Hz
+ */
+function getSamplerPitch(instrumentId, note, dynamic, articulation) {
+  const sampleNote = findBestSampleForNote(instrumentId, tuning.transposeNote(note), dynamic, articulation);
+  if (!tuning.isRetuned()) return sampleNote;
+  return noteToFrequency(sampleNote) * Math.pow(2, tuning.getCentsDeviation(note) / 1200);
+}
+
+/**
+ * Remember the pitch a held note was started at - the tuning or transpose may change before it's released
+ * @param {Tone.Sampler} sampler - Sampler playing the note
+ * @param {string} note - Note as played
+ * @param {string|number} pitch - Pitch the sampler was triggered with
+ */
+function holdSamplerPitch(sampler, note, pitch) {
+  if (!heldSamplerPitches.has(sampler)) {
+    heldSamplerPitches.set(sampler, new Map());
+  }
+  heldSamplerPitches.get(sampler).set(note, pitch);
+}
+
+/**
+ * Release a held note at the pitch it was started at, or the current pitch if it wasn't held
+ * @param {Tone.Sampler} sampler - Sampler playing the note
+ * @param {string} instrumentId - Instrument identifier
+ * @param {string} note - Note as played
+ */
+function releaseSamplerPitch(sampler, instrumentId, note) {
+  const held = heldSamplerPitches.get(sampler);
+  const pitch = held && held.has(note) ? held.get(note) : getSamplerPitch(instrumentId, note);
+  if (held) held.delete(note);
+  sampler.triggerRelease(pitch);
+}
+
 /**
  * Play a chord on a real instrument
  * @param {string} instrumentId - Instrument to use
@@ -552,22 +705,24 @@ function findBestSampleForNote(instrumentId, targetNote, dynamic, articulation)
  * @param {number} duration - Duration in seconds (optional)
  * @param {string} dynamic - Dynamic level (optional)
  * @param {string} articulation - Articulation type (optional)
+ * @param {string} part - 'melody', 'harmony' or an extra part's sampler to play on
  */
-function playRealChord(instrumentId, notes, velocity = 0.8, duration, dynamic, articulation) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
+function playRealChord(instrumentId, notes, velocity = 0.8, duration, dynamic, articulation, part = 'harmony') {
+  const sampler = getRealInstrumentSampler(instrumentId, part);
   if (!sampler || !notes || notes.length === 0) return;
   
   try {
     // Map notes to best available samples
-    const sampleNotes = notes.map(note => findBestSampleForNote(instrumentId, note, dynamic, articulation));
+    const sampleNotes = notes.map(note => getSamplerPitch(instrumentId, note, dynamic, articulation));
     
     if (duration) {
       sampleNotes.forEach(sampleNote => {
         sampler.triggerAttackRelease(sampleNote, duration, Tone.now(), velocity);
       });
     } else {
-      sampleNotes.forEach(sampleNote => {
+      sampleNotes.forEach((sampleNote, index) => {
         sampler.triggerAttack(sampleNote, Tone.now(), velocity);
+        holdSamplerPitch(sampler, notes[index], sampleNote);
       });
     }
     
@@ -577,7 +732,7 @@ function playRealChord(instrumentId, notes, velocity = 0.8, duration, dynamic, a
     
     // Fallback: try playing notes individually
     try {
-      notes.forEach(note => playRealNote(instrumentId, note, velocity, duration, dynamic, articulation));
+      notes.forEach(note => playRealNote(instrumentId, note, velocity, duration, dynamic, articulation, part));
     } catch (fallbackError) {
       console.warn(`Fallback chord playing also failed:`, fallbackError);
     }
@@ -588,16 +743,18 @@ function playRealChord(instrumentId, notes, velocity = 0.8, duration, dynamic, a
  * Stop a chord on a real instrument
  * @param {string} instrumentId - Instrument to use
  * @param {Array<string>} notes - Array of notes to stop (optional)
+ * @param {string} part - 'melody', 'harmony' or an extra part's sampler to stop
  */
-function stopRealChord(instrumentId, notes) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
+function stopRealChord(instrumentId, notes, part = 'harmony') {
+  const sampler = getRealInstrumentSampler(instrumentId, part);
   if (!sampler) return;
   
   try {
     if (notes && notes.length > 0) {
-      notes.forEach(note => sampler.triggerRelease(note));
+      notes.forEach(note => releaseSamplerPitch(sampler, instrumentId, note));
     } else {
       sampler.releaseAll();
+      heldSamplerPitches.delete(sampler);
     }
   } catch (error) {
     console.warn(`Error stopping real chord on ${instrumentId}:`, error);
@@ -608,9 +765,10 @@ function stopRealChord(instrumentId, notes) {
  * Set volume for a real instrument with MIDI volume matching
  * @param {string} instrumentId - Instrument identifier
  * @param {number} volume - Volume in dB (matches MIDI range: -30 to +5)
+ * @param {string} part - 'melody' or 'harmony' sampler to adjust
  */
-function setRealInstrumentVolume(instrumentId, volume) {
-  const sampler = realInstrumentSamplers.get(instrumentId);
+function setRealInstrumentVolume(instrumentId, volume, part = 'melody') {
+  const sampler = getRealInstrumentSampler(instrumentId, part);
   if (sampler) {
     // Match MIDI volume range without over-reducing
     sampler.volume.rampTo(volume, 0.1);
@@ -622,11 +780,11 @@ function setRealInstrumentVolume(instrumentId, volume) {
  * @param {number} boostDb - Boost in dB (can be negative to reduce volume)
  */
 function setRealInstrumentBoost(boostDb) {
-  if (realInstrumentGain) {
-    const gainValue = Tone.dbToGain(boostDb);
-    realInstrumentGain.gain.rampTo(gainValue, 0.1);
-    console.log(`Real instrument boost set to ${boostDb}dB`);
-  }
+  const gainValue = Tone.dbToGain(boostDb);
+  Object.values(realInstrumentGains).forEach(gain => {
+    if (gain) gain.gain.rampTo(gainValue, 0.1);
+  });
+  console.log(`Real instrument boost set to ${boostDb}dB`);
 }
 
 /**
@@ -694,6 +852,8 @@ export {
   getAvailableRealInstruments,
   connectRealInstrument,
   disconnectRealInstrument,
+  connectRealInstrumentPart,
+  disconnectRealInstrumentPart,
   playRealNote,
   stopRealNote,
   playRealChord,
@@ -703,10 +863,13 @@ export {
   isRealInstrument,
   getRealInstrumentConfig,
   realInstrumentSamplers,
+  realInstrumentHarmonySamplers,
+  getRealInstrumentSampler,
   noteToFrequency,
   calculatePitchRatio,
   findClosestSample,
   findBestSampleForNote,
+  getSamplerPitch,
   velocityToDynamic,
   getArticulationForNote
 };
\ No newline at end of file
@@ -0,0 +1,332 @@
+/**
+ * HandSynth - Session Recorder Module
+ * Captures the master output after the limiter and exports it as a 16/24-bit WAV file
+ */
+
+const RECORDER_PROCESSOR_NAME = 'handsynth-recorder-tap';
+const CHUNK_SIZE = 4096; // Samples per channel posted from the audio thread at a time
+const ARM_THRESHOLD = 0.001; // About -60 dBFS - an armed recorder starts on the first sound above this
+const SUPPORTED_BIT_DEPTHS = [16, 24];
+
+// Audio-thread side of the tap. Loaded from a Blob URL so recording works offline.
+const RECORDER_PROCESSOR_SOURCE = `
+class RecorderTapProcessor extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.mode = 'idle';
+    this.threshold = ${ARM_THRESHOLD};
+    this.resetChunk();
+
+    this.port.onmessage = (event) => {
+      const { mode } = event.data;
+      // Acknowledge every stop - an armed tap may have started recording since the main thread last heard
+      if (mode === 'idle' && this.mode !== 'idle') {
+        this.flush();
+        this.port.postMessage({ type: 'stopped' });
+      }
+      this.mode = mode;
+    };
+  }
+
+  resetChunk() {
+    this.chunk = [new Float32Array(${CHUNK_SIZE}), new Float32Array(${CHUNK_SIZE})];
+    this.chunkLength = 0;
+  }
+
+  flush() {
+    if (this.chunkLength === 0) return;
+    const channels = this.chunk.map(channel => channel.slice(0, this.chunkLength));
+    this.port.postMessage({ type: 'data', channels }, channels.map(channel => channel.buffer));
+    this.resetChunk();
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (this.mode === 'idle' || !input || input.length === 0) return true;
+
+    const left = input[0];
+    const right = input[1] || input[0];
+
+    if (this.mode === 'armed') {
+      let peak = 0;
+      for (let i = 0; i < left.length; i++) {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+      }
+      if (peak < this.threshold) return true;
+      this.mode = 'recording';
+      this.port.postMessage({ type: 'started' });
+    }
+
+    for (let i = 0; i < left.length; i++) {
+      this.chunk[0][this.chunkLength] = left[i];
+      this.chunk[1][this.chunkLength] = right[i];
+      this.chunkLength++;
+      if (this.chunkLength === ${CHUNK_SIZE}) this.flush();
+    }
+    return true;
+  }
+}
+
+registerProcessor('${RECORDER_PROCESSOR_NAME}', RecorderTapProcessor);
+`;
+
+// Write an ASCII string into a DataView
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+// Encode planar Float32 channel data as an interleaved PCM WAV file
+function encodeWAV(channels, sampleRate, bitDepth = 16) {
+  if (!SUPPORTED_BIT_DEPTHS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const numChannels = channels.length;
+  const numFrames = numChannels > 0 ? channels[0].length : 0;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk - uncompressed PCM
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let frame = 0; frame < numFrames; frame++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+
+      if (bitDepth === 16) {
+        view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      } else {
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Join recorded chunks into one contiguous buffer per channel
+function mergeChunks(chunks, length) {
+  const merged = new Float32Array(length);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    merged.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return merged;
+}
+
+// Format seconds as m:ss.t for the elapsed time display
+function formatElapsedTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = seconds - minutes * 60;
+  return `${minutes}:${remainder.toFixed(1).padStart(4, '0')}`;
+}
+
+class SessionRecorder {
+  constructor() {
+    this.state = 'idle'; // 'idle', 'armed', 'recording'
+    this.bitDepth = 16;
+    this.sampleRate = 44100;
+    this.tapNode = null;
+    this.sinkGain = null;
+    this.source = null;
+    this.moduleLoaded = false;
+    this.chunks = [[], []];
+    this.framesRecorded = 0;
+    this.stopResolver = null;
+    this.changeCallbacks = [];
+  }
+
+  // Load the worklet and connect the tap to a source node (the limiter)
+  async connect(source) {
+    if (this.tapNode) return;
+
+    const context = Tone.getContext();
+    if (!this.moduleLoaded) {
+      const moduleUrl = URL.createObjectURL(new Blob([RECORDER_PROCESSOR_SOURCE], { type: 'application/javascript' }));
+      try {
+        await context.addAudioWorkletModule(moduleUrl, RECORDER_PROCESSOR_NAME);
+      } finally {
+        URL.revokeObjectURL(moduleUrl);
+      }
+      this.moduleLoaded = true;
+    }
+
+    this.sampleRate = context.sampleRate;
+    this.tapNode = context.createAudioWorkletNode(RECORDER_PROCESSOR_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 1,
+      channelCount: 2,
+      channelCountMode: 'explicit'
+    });
+    this.tapNode.port.onmessage = (event) => this.handleMessage(event.data);
+
+    // Keep the tap in the rendered graph without making it audible
+    this.sinkGain = new Tone.Gain(0).toDestination();
+    Tone.connect(this.tapNode, this.sinkGain);
+
+    this.source = source;
+    this.source.connect(this.tapNode);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'data') {
+      message.channels.forEach((channel, index) => this.chunks[index].push(channel));
+      this.framesRecorded += message.channels[0].length;
+      this.notifyCallbacks();
+    } else if (message.type === 'started' && this.state === 'armed') {
+      this.state = 'recording';
+      this.notifyCallbacks();
+    } else if (message.type === 'stopped' && this.stopResolver) {
+      this.stopResolver();
+      this.stopResolver = null;
+    }
+  }
+
+  resetBuffers() {
+    this.chunks = [[], []];
+    this.framesRecorded = 0;
+  }
+
+  setBitDepth(bitDepth) {
+    const depth = parseInt(bitDepth);
+    if (SUPPORTED_BIT_DEPTHS.includes(depth)) {
+      this.bitDepth = depth;
+    }
+  }
+
+  // Wait for the first sound on the master output, then start recording
+  async arm(source) {
+    if (this.state !== 'idle') return false;
+    await this.connect(source);
+
+    this.resetBuffers();
+    this.state = 'armed';
+    this.tapNode.port.postMessage({ mode: 'armed' });
+    this.notifyCallbacks();
+    return true;
+  }
+
+  // Start recording immediately
+  async record(source) {
+    if (this.state === 'recording') return false;
+    await this.connect(source);
+
+    if (this.state === 'idle') this.resetBuffers();
+    this.state = 'recording';
+    this.tapNode.port.postMessage({ mode: 'recording' });
+    this.notifyCallbacks();
+    return true;
+  }
+
+  // Stop recording and return the WAV file (null if nothing was captured)
+  async stop() {
+    if (this.state === 'idle') return null;
+
+    const stopped = new Promise(resolve => { this.stopResolver = resolve; });
+    this.tapNode.port.postMessage({ mode: 'idle' });
+    this.state = 'idle';
+
+    // The audio thread flushes its last partial chunk before acknowledging - wait even when armed,
+    // as the tap may already have started on a peak whose 'started' message is still on its way
+    await stopped;
+    this.stopResolver = null;
+    this.notifyCallbacks();
+
+    if (this.framesRecorded === 0) return null;
+
+    const channels = this.chunks.map(chunks => mergeChunks(chunks, this.framesRecorded));
+    const wav = encodeWAV(channels, this.sampleRate, this.bitDepth);
+    this.resetBuffers();
+    return wav;
+  }
+
+  getElapsedTime() {
+    return this.framesRecorded / this.sampleRate;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = { state: this.state, elapsed: this.getElapsedTime() };
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Session recorder callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    if (this.source && this.tapNode) {
+      this.source.disconnect(this.tapNode);
+    }
+    if (this.tapNode) this.tapNode.disconnect();
+    if (this.sinkGain) this.sinkGain.dispose();
+    this.tapNode = null;
+    this.sinkGain = null;
+    this.source = null;
+    this.state = 'idle';
+    this.resetBuffers();
+  }
+}
+
+// Trigger a browser download for a recorded WAV file
+function downloadRecording(blob, filename = null) {
+  const name = filename || `handsynth-session-${new Date().toISOString().replace(/[:.]/g, '-')}.wav`;
+  const url = URL.createObjectURL(blob);
+
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', url);
+  linkElement.setAttribute('download', name);
+  linkElement.click();
+
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return name;
+}
+
+// Shared recorder instance
+const sessionRecorder = new SessionRecorder();
+
+export { SessionRecorder, sessionRecorder, encodeWAV, downloadRecording, formatElapsedTime };
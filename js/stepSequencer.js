@@ -0,0 +1,227 @@
+/**
+ * HandSynth - Step Sequencer Module
+ * Re-triggers the left-hand chord from a 16-step pattern on the Tone.Transport clock
+ */
+
+import { transport } from './transport.js';
+
+const STEP_COUNT = 16;
+const ACCENT_BOOST = 0.3; // Added to the step velocity on accented steps
+
+// Step rates - at 1/16 the pattern spans one 4/4 bar
+const STEP_SEQUENCER_RATES = {
+  '16n': '1/16',
+  '8n': '1/8',
+  '16t': '1/16 Triplet'
+};
+
+// Patterns as strings: 'x' = accent, 'o' = normal hit, '.' = rest
+const STEP_PATTERNS = {
+  'straight-8ths': { name: 'Straight 8ths', pattern: 'x.o.o.o.x.o.o.o.' },
+  'offbeat': { name: 'Offbeat Skank', pattern: '..x...x...x...x.' },
+  'funk': { name: 'Funk Comp', pattern: 'x..o..o.o.x..o.o' },
+  'bossa': { name: 'Bossa Nova', pattern: 'x..o..o...o..o..' },
+  'charleston': { name: 'Charleston', pattern: 'x.....o.........' },
+  'pulse': { name: '16th Pulse', pattern: 'xoooxoooxoooxooo' }
+};
+
+const DEFAULT_STEP = { active: false, velocity: 0.7, gate: 0.5, accent: false };
+
+const DEFAULT_STEP_SEQUENCER_SETTINGS = {
+  enabled: false,
+  rate: '16n',
+  pattern: 'straight-8ths'
+};
+
+// Build step objects from a pattern string
+function parseStepPattern(pattern) {
+  return Array.from({ length: STEP_COUNT }, (_, index) => {
+    const symbol = pattern[index] || '.';
+    return { ...DEFAULT_STEP, active: symbol !== '.', accent: symbol === 'x' };
+  });
+}
+
+function sanitizeStep(step = {}) {
+  return {
+    active: !!step.active,
+    velocity: Math.max(0, Math.min(1, step.velocity ?? DEFAULT_STEP.velocity)),
+    gate: Math.max(0.1, Math.min(1, step.gate ?? DEFAULT_STEP.gate)),
+    accent: !!step.accent
+  };
+}
+
+class StepSequencer {
+  constructor(chordHandler, settings = {}) {
+    this.chordHandler = chordHandler; // (notes, durationSeconds, velocity, time) => void
+    this.settings = { ...DEFAULT_STEP_SEQUENCER_SETTINGS, ...settings };
+    this.steps = parseStepPattern(STEP_PATTERNS[this.settings.pattern].pattern);
+    this.chordNotes = [];
+    this.currentStep = -1;
+    this.loop = null;
+    this.changeCallbacks = [];
+    this.stepCallbacks = [];
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  // Start stepping on the transport - the transport is started if it isn't running
+  start() {
+    if (this.loop) return;
+
+    this.loop = new Tone.Loop((time) => this.tick(time), this.settings.rate);
+    this.loop.start(0);
+    transport.start();
+  }
+
+  stop() {
+    if (!this.loop) return;
+    this.loop.stop();
+    this.loop.dispose();
+    this.loop = null;
+    this.currentStep = -1;
+    this.notifyStep(-1);
+  }
+
+  setEnabled(enabled) {
+    this.settings.enabled = !!enabled;
+    if (this.settings.enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+    this.notifyCallbacks();
+  }
+
+  // Follow the held chord - null (or an empty chord) silences the pattern
+  setChord(chord) {
+    this.chordNotes = chord && chord.notes ? [...chord.notes] : [];
+  }
+
+  setRate(rate) {
+    if (!STEP_SEQUENCER_RATES[rate]) return;
+    this.settings.rate = rate;
+    if (this.loop) {
+      this.loop.interval = rate;
+    }
+    this.notifyCallbacks();
+  }
+
+  // Replace all steps with a preset pattern
+  loadPattern(patternKey) {
+    const preset = STEP_PATTERNS[patternKey];
+    if (!preset) return;
+    this.settings.pattern = patternKey;
+    this.steps = parseStepPattern(preset.pattern);
+    this.notifyCallbacks();
+  }
+
+  getSteps() {
+    return this.steps.map(step => ({ ...step }));
+  }
+
+  // Update one step's active, velocity (0-1), gate (0.1-1) or accent settings
+  setStep(index, changes) {
+    if (index < 0 || index >= STEP_COUNT) return;
+    this.steps[index] = sanitizeStep({ ...this.steps[index], ...changes });
+    this.settings.pattern = 'custom'; // Edited steps no longer match a preset
+    this.notifyCallbacks();
+  }
+
+  toggleStep(index) {
+    if (!this.steps[index]) return;
+    this.setStep(index, { active: !this.steps[index].active });
+  }
+
+  toggleAccent(index) {
+    if (!this.steps[index]) return;
+    this.setStep(index, { accent: !this.steps[index].accent });
+  }
+
+  // Work out the step from the transport position so the pattern stays aligned to the bar
+  getStepAtTime(time) {
+    const ticksPerStep = Tone.Time(this.settings.rate).toTicks();
+    return Math.floor(Tone.Transport.getTicksAtTime(time) / ticksPerStep + 0.5) % STEP_COUNT;
+  }
+
+  tick(time) {
+    const stepIndex = this.getStepAtTime(time);
+    this.currentStep = stepIndex;
+    Tone.Draw.schedule(() => this.notifyStep(stepIndex), time);
+
+    const step = this.steps[stepIndex];
+    if (!step.active || this.chordNotes.length === 0 || !this.chordHandler) return;
+
+    const velocity = Math.min(1, step.velocity + (step.accent ? ACCENT_BOOST : 0));
+    const duration = Tone.Time(this.settings.rate).toSeconds() * step.gate;
+    this.chordHandler(this.chordNotes, duration, velocity, time);
+  }
+
+  getSettings() {
+    return { ...this.settings, steps: this.getSteps() };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    const merged = { ...DEFAULT_STEP_SEQUENCER_SETTINGS, ...settings };
+    if (Array.isArray(settings.steps)) {
+      this.steps = Array.from({ length: STEP_COUNT }, (_, index) => sanitizeStep(settings.steps[index]));
+      this.settings.pattern = merged.pattern;
+    } else {
+      this.loadPattern(merged.pattern);
+    }
+    this.setRate(merged.rate);
+    this.setEnabled(merged.enabled);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const settings = this.getSettings();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(settings);
+      } catch (error) {
+        console.warn('Step sequencer callback error:', error);
+      }
+    });
+  }
+
+  // Called with the playing step index (-1 when stopped) for step highlighting
+  onStep(callback) {
+    this.stepCallbacks.push(callback);
+  }
+
+  notifyStep(stepIndex) {
+    this.stepCallbacks.forEach(callback => {
+      try {
+        callback(stepIndex);
+      } catch (error) {
+        console.warn('Step sequencer callback error:', error);
+      }
+    });
+  }
+
+  dispose() {
+    this.stop();
+    this.chordNotes = [];
+  }
+}
+
+export {
+  StepSequencer,
+  STEP_COUNT,
+  STEP_PATTERNS,
+  STEP_SEQUENCER_RATES,
+  DEFAULT_STEP_SEQUENCER_SETTINGS
+};
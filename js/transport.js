@@ -0,0 +1,190 @@
+/**
+ * HandSynth - Transport Module
+ * Global tempo, time signature, start/stop, click track and tap tempo on top of Tone.Transport
+ */
+
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+const TAP_TIMEOUT = 2000; // ms - a longer gap starts a new tap sequence
+const MAX_TAPS = 5; // Tempo is averaged over the last few taps
+
+// [beats per bar, beat unit]
+const TIME_SIGNATURES = {
+  '2/4': [2, 4],
+  '3/4': [3, 4],
+  '4/4': [4, 4],
+  '5/4': [5, 4],
+  '6/8': [6, 8],
+  '7/8': [7, 8]
+};
+
+const DEFAULT_TRANSPORT_SETTINGS = {
+  bpm: 120,
+  timeSignature: '4/4',
+  click: false
+};
+
+class Transport {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_TRANSPORT_SETTINGS, ...settings };
+    this.clickSynth = null;
+    this.clickEventId = null;
+    this.tapTimes = [];
+    this.changeCallbacks = [];
+
+    Tone.Transport.bpm.value = this.settings.bpm;
+    Tone.Transport.timeSignature = TIME_SIGNATURES[this.settings.timeSignature];
+
+    // Anything may start the Tone transport (e.g. the arpeggiator), so follow its events
+    Tone.Transport.on('start', () => this.notifyCallbacks());
+    Tone.Transport.on('stop', () => this.notifyCallbacks());
+    Tone.Transport.on('pause', () => this.notifyCallbacks());
+  }
+
+  isRunning() {
+    return Tone.Transport.state === 'started';
+  }
+
+  start() {
+    if (!this.isRunning()) {
+      Tone.Transport.start();
+    }
+  }
+
+  stop() {
+    if (Tone.Transport.state !== 'stopped') {
+      Tone.Transport.stop();
+    }
+  }
+
+  toggle() {
+    if (this.isRunning()) {
+      this.stop();
+    } else {
+      this.start();
+    }
+    return this.isRunning();
+  }
+
+  getBPM() {
+    return this.settings.bpm;
+  }
+
+  setBPM(bpm) {
+    const value = parseFloat(bpm);
+    if (isNaN(value)) return;
+    this.settings.bpm = Math.round(Math.max(MIN_BPM, Math.min(MAX_BPM, value)));
+    Tone.Transport.bpm.value = this.settings.bpm;
+    this.notifyCallbacks();
+  }
+
+  setTimeSignature(signature) {
+    if (!TIME_SIGNATURES[signature]) return;
+    this.settings.timeSignature = signature;
+    Tone.Transport.timeSignature = TIME_SIGNATURES[signature];
+    this.scheduleClick(); // Click interval follows the beat unit
+    this.notifyCallbacks();
+  }
+
+  // [beats per bar, beat unit]
+  getTimeSignature() {
+    return TIME_SIGNATURES[this.settings.timeSignature];
+  }
+
+  // Length of one beat as a Tone.js time ('4n' or '8n')
+  getBeatInterval() {
+    return `${this.getTimeSignature()[1]}n`;
+  }
+
+  setClickEnabled(enabled) {
+    this.settings.click = !!enabled;
+    this.scheduleClick();
+    this.notifyCallbacks();
+  }
+
+  // The click goes straight to the speakers so it stays out of the effects and session recordings
+  createClickSynth() {
+    if (this.clickSynth) return;
+    this.clickSynth = new Tone.Synth({
+      oscillator: { type: 'square' },
+      envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 },
+      volume: -12
+    }).toDestination();
+  }
+
+  scheduleClick() {
+    if (this.clickEventId !== null) {
+      Tone.Transport.clear(this.clickEventId);
+      this.clickEventId = null;
+    }
+    if (!this.settings.click) return;
+
+    this.createClickSynth();
+    this.clickEventId = Tone.Transport.scheduleRepeat((time) => this.playClick(time), this.getBeatInterval(), 0);
+  }
+
+  // Accent the first beat of each bar
+  playClick(time) {
+    const [beatsPerBar, beatUnit] = this.getTimeSignature();
+    const ticksPerBeat = Tone.Transport.PPQ * 4 / beatUnit;
+    const beat = Math.round(Tone.Transport.getTicksAtTime(time) / ticksPerBeat) % beatsPerBar;
+
+    this.clickSynth.triggerAttackRelease(beat === 0 ? 'C6' : 'G5', '32n', time, beat === 0 ? 1 : 0.6);
+  }
+
+  // Register a tap - returns the new tempo once there are at least two taps
+  tap() {
+    const now = performance.now();
+    const lastTap = this.tapTimes[this.tapTimes.length - 1];
+    if (lastTap !== undefined && now - lastTap > TAP_TIMEOUT) {
+      this.tapTimes = [];
+    }
+
+    this.tapTimes.push(now);
+    if (this.tapTimes.length > MAX_TAPS) this.tapTimes.shift();
+    if (this.tapTimes.length < 2) return null;
+
+    const averageInterval = (this.tapTimes[this.tapTimes.length - 1] - this.tapTimes[0]) / (this.tapTimes.length - 1);
+    this.setBPM(60000 / averageInterval);
+    return this.settings.bpm;
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  // Apply saved settings (e.g. from a preset)
+  applySettings(settings = {}) {
+    const merged = { ...DEFAULT_TRANSPORT_SETTINGS, ...settings };
+    this.setBPM(merged.bpm);
+    this.setTimeSignature(merged.timeSignature);
+    this.setClickEnabled(merged.click);
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = { ...this.getSettings(), running: this.isRunning() };
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Transport callback error:', error);
+      }
+    });
+  }
+}
+
+// Shared transport instance
+const transport = new Transport();
+
+export { Transport, transport, TIME_SIGNATURES, DEFAULT_TRANSPORT_SETTINGS, MIN_BPM, MAX_BPM };
@@ -0,0 +1,391 @@
+/**
+ * HandSynth - Tuning Module
+ * Concert pitch, global transpose and microtonal tunings from Scala scale (.scl) and keyboard mapping (.kbm) files
+ */
+
+const TUNING_STORAGE_KEY = 'handsynth-tuning';
+
+const DEFAULT_REFERENCE_PITCH = 440; // A4 in Hz
+const MIN_REFERENCE_PITCH = 415; // Baroque pitch
+const MAX_REFERENCE_PITCH = 466;
+const MAX_TRANSPOSE = 12; // Semitones either way
+
+const NOTE_PITCH_CLASSES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+const SHARP_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NOTE_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Scala's default mapping: consecutive keys walk up the scale from middle C, with A4 at 440 Hz.
+// An octave degree of 0 means the scale's own period (its last pitch).
+const DEFAULT_KEYBOARD_MAPPING = {
+  size: 0,
+  firstNote: 0,
+  lastNote: 127,
+  middleNote: 60,
+  referenceNote: 69,
+  referenceFrequency: 440,
+  octaveDegree: 0,
+  mapping: []
+};
+
+// Standard MIDI number (C4 = 60) of a note name such as "C#4" or "Bb3"
+function noteToMidi(note) {
+  const match = typeof note === 'string' && note.match(/^([A-G])([#b]*)(-?\d+)$/);
+  if (!match) return null;
+
+  const [, letter, accidentals, octave] = match;
+  const alteration = [...accidentals].reduce((sum, symbol) => sum + (symbol === '#' ? 1 : -1), 0);
+  return (parseInt(octave) + 1) * 12 + NOTE_PITCH_CLASSES[letter] + alteration;
+}
+
+// Note name of a standard MIDI number, spelled with flats or sharps
+function midiToNote(midi, useFlats = false) {
+  const names = useFlats ? FLAT_NOTE_NAMES : SHARP_NOTE_NAMES;
+  return names[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+function equalTemperedFrequency(midi, referencePitch = DEFAULT_REFERENCE_PITCH) {
+  return referencePitch * Math.pow(2, (midi - 69) / 12);
+}
+
+// Lines of a Scala file without its '!' comment lines
+function scalaLines(text) {
+  return String(text).split(/\r?\n/).filter(line => !line.trim().startsWith('!'));
+}
+
+// A pitch line is in cents when it has a period, otherwise a ratio ("3/2") or whole number ("2")
+function parseScalaPitch(line) {
+  const token = line.trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (isNaN(cents)) throw new Error(`Invalid pitch "${token}"`);
+    return cents;
+  }
+
+  const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+  const numerator = match ? parseInt(match[1]) : 0;
+  const denominator = match && match[2] ? parseInt(match[2]) : 1;
+  if (numerator <= 0 || denominator <= 0) throw new Error(`Invalid pitch "${token}"`);
+  return 1200 * Math.log2(numerator / denominator);
+}
+
+// Parse a .scl file into { description, pitches } - pitches are cents above the tonic,
+// ending with the period the scale repeats at (usually the 2/1 octave)
+function parseScl(text) {
+  const lines = scalaLines(text);
+  if (lines.length < 2) throw new Error('Scale file is missing its header');
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim());
+  if (isNaN(count) || count < 1) throw new Error('Scale file has an invalid note count');
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) throw new Error(`Scale file lists ${pitchLines.length} of ${count} pitches`);
+
+  const pitches = pitchLines.slice(0, count).map(parseScalaPitch);
+  if (pitches[pitches.length - 1] <= 0) throw new Error('Scale period must be above the tonic');
+
+  return { description, pitches };
+}
+
+// Parse a .kbm file - mapping entries are scale degrees, or null for keys left silent ('x')
+function parseKbm(text) {
+  const lines = scalaLines(text).map(line => line.trim()).filter(line => line !== '');
+  if (lines.length < 7) throw new Error('Keyboard mapping is missing its header');
+
+  const header = lines.slice(0, 7).map(line => line.split(/\s+/)[0]);
+  const [size, firstNote, lastNote, middleNote, referenceNote] = header.slice(0, 5).map(value => parseInt(value));
+  const referenceFrequency = parseFloat(header[5]);
+  const octaveDegree = parseInt(header[6]);
+
+  if ([size, firstNote, lastNote, middleNote, referenceNote, octaveDegree].some(isNaN) || size < 0) {
+    throw new Error('Keyboard mapping has an invalid header');
+  }
+  if (!(referenceFrequency > 0)) throw new Error('Keyboard mapping has an invalid reference frequency');
+
+  // Entries missing from the end of the mapping are unmapped keys
+  const mapping = Array.from({ length: size }, (_, index) => {
+    const entry = (lines[7 + index] || 'x').split(/\s+/)[0];
+    const degree = parseInt(entry);
+    return entry.toLowerCase() === 'x' || isNaN(degree) ? null : degree;
+  });
+
+  return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, mapping };
+}
+
+class Tuning {
+  constructor() {
+    this.scale = null; // Parsed .scl - null plays 12-TET
+    this.keyboardMapping = null; // Parsed .kbm - null uses the default mapping
+    this.files = { scl: null, kbm: null }; // { name, text } of the loaded files, kept for presets
+    this.referencePitch = DEFAULT_REFERENCE_PITCH;
+    this.transpose = 0;
+    this.changeCallbacks = [];
+    this.loadTuning();
+  }
+
+  // Whether a Scala tuning is loaded
+  isActive() {
+    return !!this.scale;
+  }
+
+  // Whether voices need frequencies rather than 12-TET note names at A4 = 440 Hz
+  isRetuned() {
+    return this.isActive() || this.referencePitch !== DEFAULT_REFERENCE_PITCH;
+  }
+
+  getReferencePitch() {
+    return this.referencePitch;
+  }
+
+  // Set the frequency of A4 in Hz
+  setReferencePitch(frequency) {
+    const value = parseFloat(frequency);
+    if (isNaN(value)) return;
+    this.referencePitch = Math.max(MIN_REFERENCE_PITCH, Math.min(MAX_REFERENCE_PITCH, value));
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  getTranspose() {
+    return this.transpose;
+  }
+
+  // Shift everything that plays by whole semitones
+  setTranspose(semitones) {
+    const value = parseInt(semitones);
+    if (isNaN(value)) return;
+    this.transpose = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, value));
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  // The note that actually sounds for a played note, keeping its flat or sharp spelling
+  transposeNote(note) {
+    const midi = noteToMidi(note);
+    if (this.transpose === 0 || midi === null) return note;
+    return midiToNote(midi + this.transpose, note.includes('b'));
+  }
+
+  // Load .scl text - throws if the file can't be parsed
+  loadScale(text, name = 'Scale') {
+    this.scale = parseScl(text);
+    this.files.scl = { name, text: String(text) };
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  // Load .kbm text - throws if the file can't be parsed
+  loadKeyboardMapping(text, name = 'Mapping') {
+    this.keyboardMapping = parseKbm(text);
+    this.files.kbm = { name, text: String(text) };
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  clearKeyboardMapping() {
+    this.keyboardMapping = null;
+    this.files.kbm = null;
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  // Back to 12-tone equal temperament
+  reset() {
+    this.scale = null;
+    this.keyboardMapping = null;
+    this.files = { scl: null, kbm: null };
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  // Cents above the tonic of a scale degree, which may lie beyond the first period
+  getDegreeCents(degree) {
+    const pitches = this.scale.pitches;
+    const count = pitches.length;
+    const period = pitches[count - 1];
+    const periods = Math.floor(degree / count);
+    const step = degree - periods * count;
+    return periods * period + (step === 0 ? 0 : pitches[step - 1]);
+  }
+
+  // Cents above the middle note for a MIDI key, or null for an unmapped key
+  getKeyCents(midi) {
+    const mapping = this.keyboardMapping || DEFAULT_KEYBOARD_MAPPING;
+    const offset = midi - mapping.middleNote;
+
+    if (mapping.size === 0) {
+      return this.getDegreeCents(offset);
+    }
+
+    const repeats = Math.floor(offset / mapping.size);
+    const degree = mapping.mapping[offset - repeats * mapping.size];
+    if (degree === null) return null;
+
+    const octaveDegree = mapping.octaveDegree || this.scale.pitches.length;
+    return repeats * this.getDegreeCents(octaveDegree) + this.getDegreeCents(degree);
+  }
+
+  // Frequency of a sounding MIDI key - keys outside the mapped range or left unmapped keep 12-TET.
+  // Scala mappings are scaled with the concert pitch, so their reference assumes A4 = 440 Hz.
+  getMidiFrequency(midi) {
+    const equalTempered = equalTemperedFrequency(midi, this.referencePitch);
+    if (!this.scale) return equalTempered;
+
+    const mapping = this.keyboardMapping || DEFAULT_KEYBOARD_MAPPING;
+    if (midi < mapping.firstNote || midi > mapping.lastNote) return equalTempered;
+
+    const keyCents = this.getKeyCents(midi);
+    const referenceCents = this.getKeyCents(mapping.referenceNote);
+    if (keyCents === null || referenceCents === null) return equalTempered;
+
+    const concertRatio = this.referencePitch / DEFAULT_REFERENCE_PITCH;
+    return mapping.referenceFrequency * concertRatio * Math.pow(2, (keyCents - referenceCents) / 1200);
+  }
+
+  // Frequency of a played note name such as "C4", after transposition
+  getNoteFrequency(note) {
+    const midi = noteToMidi(note);
+    return midi === null ? null : this.getMidiFrequency(midi + this.transpose);
+  }
+
+  // How far the Scala tuning moves a played note from 12-TET at the concert pitch, in cents
+  getCentsDeviation(note) {
+    const midi = noteToMidi(note);
+    if (!this.scale || midi === null) return 0;
+    const sounding = midi + this.transpose;
+    return 1200 * Math.log2(this.getMidiFrequency(sounding) / equalTemperedFrequency(sounding, this.referencePitch));
+  }
+
+  // Pitch to hand a Tone.js voice - the sounding note name at A4 = 440 Hz in 12-TET, otherwise its frequency in Hz
+  tuneNote(note) {
+    if (!this.isRetuned()) return this.transposeNote(note);
+    return this.getNoteFrequency(note) ?? note;
+  }
+
+  tuneNotes(notes) {
+    return notes.map(note => this.tuneNote(note));
+  }
+
+  // Sounding note name with its cents deviation for display, e.g. "E4 -14¢"
+  formatNote(note) {
+    const sounding = this.transposeNote(note);
+    if (!this.scale) return sounding;
+    const cents = Math.round(this.getCentsDeviation(note));
+    return `${sounding} ${cents > 0 ? '+' : ''}${cents}¢`;
+  }
+
+  getStatus() {
+    return {
+      active: this.isActive(),
+      referencePitch: this.referencePitch,
+      transpose: this.transpose,
+      description: this.scale ? (this.scale.description || this.files.scl.name) : '12-TET',
+      notes: this.scale ? this.scale.pitches.length : 12,
+      scaleName: this.files.scl ? this.files.scl.name : null,
+      mappingName: this.files.kbm ? this.files.kbm.name : null
+    };
+  }
+
+  getSettings() {
+    return {
+      referencePitch: this.referencePitch,
+      transpose: this.transpose,
+      scl: this.files.scl ? { ...this.files.scl } : null,
+      kbm: this.files.kbm ? { ...this.files.kbm } : null
+    };
+  }
+
+  // Apply saved settings (e.g. from a preset) - no scale file means 12-TET
+  applySettings(settings = {}) {
+    this.referencePitch = DEFAULT_REFERENCE_PITCH;
+    this.transpose = 0;
+    this.setPitchSettings(settings);
+
+    try {
+      this.scale = settings.scl ? parseScl(settings.scl.text) : null;
+      this.keyboardMapping = settings.scl && settings.kbm ? parseKbm(settings.kbm.text) : null;
+      this.files = {
+        scl: this.scale ? { ...settings.scl } : null,
+        kbm: this.keyboardMapping ? { ...settings.kbm } : null
+      };
+    } catch (error) {
+      console.warn('Could not apply tuning:', error);
+      this.scale = null;
+      this.keyboardMapping = null;
+      this.files = { scl: null, kbm: null };
+    }
+    this.saveTuning();
+    this.notifyCallbacks();
+  }
+
+  // Concert pitch and transpose from saved settings, ignoring missing or invalid values
+  setPitchSettings({ referencePitch, transpose } = {}) {
+    const pitch = parseFloat(referencePitch);
+    if (!isNaN(pitch)) this.referencePitch = Math.max(MIN_REFERENCE_PITCH, Math.min(MAX_REFERENCE_PITCH, pitch));
+    const semitones = parseInt(transpose);
+    if (!isNaN(semitones)) this.transpose = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, semitones));
+  }
+
+  saveTuning() {
+    try {
+      localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify(this.getSettings()));
+    } catch (error) {
+      console.warn('Could not save tuning:', error);
+    }
+  }
+
+  loadTuning() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY) || '{}');
+      this.setPitchSettings(stored);
+      if (stored.scl) {
+        this.scale = parseScl(stored.scl.text);
+        this.files.scl = stored.scl;
+        if (stored.kbm) {
+          this.keyboardMapping = parseKbm(stored.kbm.text);
+          this.files.kbm = stored.kbm;
+        }
+      }
+    } catch (error) {
+      console.warn('Could not load tuning:', error);
+    }
+  }
+
+  onChange(callback) {
+    this.changeCallbacks.push(callback);
+  }
+
+  offChange(callback) {
+    const index = this.changeCallbacks.indexOf(callback);
+    if (index > -1) {
+      this.changeCallbacks.splice(index, 1);
+    }
+  }
+
+  notifyCallbacks() {
+    const status = this.getStatus();
+    this.changeCallbacks.forEach(callback => {
+      try {
+        callback(status);
+      } catch (error) {
+        console.warn('Tuning callback error:', error);
+      }
+    });
+  }
+}
+
+// Shared tuning used by every voice
+const tuning = new Tuning();
+
+export {
+  Tuning,
+  tuning,
+  parseScl,
+  parseKbm,
+  noteToMidi,
+  midiToNote,
+  DEFAULT_REFERENCE_PITCH,
+  MIN_REFERENCE_PITCH,
+  MAX_REFERENCE_PITCH,
+  MAX_TRANSPOSE
+};
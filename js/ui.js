@@ -16,8 +16,15 @@ import {
     soundPresets,
     updateMusicParameters,
     getNoteFromPosition,
-    getChordFromPosition
+    getChordFromPosition,
+    getSelectedScale,
+    getSelectedRoot,
+    getOctave,
+    SCALE_DISPLAY_NAMES,
+    HARMONIC_FUNCTIONS
 } from './musicTheory.js';
+import { customScaleLibrary } from './customScales.js';
+import { tuning, DEFAULT_REFERENCE_PITCH } from './tuning.js';
 
 // Current UI state
 let currentMelodyNote = null;
@@ -25,6 +32,25 @@ let currentChord = null;
 let leftHandIsPlaying = false;
 let rightHandIsPlaying = false;
 
+// Header dropdowns that follow changes made elsewhere (control panel, presets)
+let headerDropdowns = {};
+
+// Header scale options - built-in and custom scales by key, labelled like the control panel's selector
+function getScaleOptions() {
+    return Object.keys(scales).map(scale => ({
+        value: scale,
+        label: SCALE_DISPLAY_NAMES[scale] || scale.charAt(0).toUpperCase() + scale.slice(1)
+    }));
+}
+
+function getOctaveOptions() {
+    const octaveOptions = [];
+    for (let i = 2; i <= 6; i++) {
+        octaveOptions.push(`Octave ${i}`);
+    }
+    return octaveOptions;
+}
+
 // Create modern header menu with dropdown controls
 function createUI() {
     const uiContainer = document.createElement('div');
@@ -42,7 +68,8 @@ function createUI() {
     rightControls.style.gap = '15px';
     rightControls.style.alignItems = 'center';
 
-    // Helper function to create dropdown
+    // Helper function to create dropdown - options are strings, or { value, label } when they differ.
+    // The returned container's setOptions(options, selectedValue) rebuilds the menu.
     const createDropdown = (label, options, selectedValue, onChange) => {
         const container = document.createElement('div');
         container.className = 'ui-control';
@@ -51,7 +78,6 @@ function createUI() {
         trigger.className = 'dropdown-trigger';
 
         const currentText = document.createElement('span');
-        currentText.textContent = selectedValue || options[0];
 
         const arrow = document.createElement('span');
         arrow.className = 'dropdown-arrow';
@@ -63,30 +89,39 @@ function createUI() {
         const menu = document.createElement('div');
         menu.className = 'dropdown-menu';
 
-        options.forEach(option => {
-            const item = document.createElement('div');
-            item.className = 'dropdown-item';
-            item.textContent = option;
-
-            if (option === selectedValue) {
-                item.classList.add('selected');
-            }
-
-            item.addEventListener('click', () => {
-                // Remove selected from all items
-                menu.querySelectorAll('.dropdown-item').forEach(i => i.classList.remove('selected'));
-                // Add selected to clicked item
-                item.classList.add('selected');
-                // Update trigger text
-                currentText.textContent = option;
-                // Close dropdown
-                closeAllDropdowns();
-                // Call onChange callback
-                onChange(option);
+        const setOptions = (newOptions, newSelectedValue) => {
+            const items = newOptions.map(option => (typeof option === 'object' ? option : { value: option, label: option }));
+            const selected = items.find(option => option.value === newSelectedValue) || items[0];
+            currentText.textContent = selected ? selected.label : '';
+            menu.innerHTML = '';
+
+            items.forEach(option => {
+                const item = document.createElement('div');
+                item.className = 'dropdown-item';
+                item.textContent = option.label;
+
+                if (option === selected) {
+                    item.classList.add('selected');
+                }
+
+                item.addEventListener('click', () => {
+                    // Remove selected from all items
+                    menu.querySelectorAll('.dropdown-item').forEach(i => i.classList.remove('selected'));
+                    // Add selected to clicked item
+                    item.classList.add('selected');
+                    // Update trigger text
+                    currentText.textContent = option.label;
+                    // Close dropdown
+                    closeAllDropdowns();
+                    // Call onChange callback
+                    onChange(option.value);
+                });
+
+                menu.appendChild(item);
             });
-
-            menu.appendChild(item);
-        });
+        };
+        setOptions(options, selectedValue);
+        container.setOptions = setOptions;
 
         trigger.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -125,25 +160,27 @@ function createUI() {
         }
     );
 
-    // Scale dropdown
+    // Scale dropdown - rebuilt when custom scales are added or removed
     const scaleDropdown = createDropdown(
         'Scale',
-        Object.keys(scales).map(scale => scale.charAt(0).toUpperCase() + scale.slice(1)),
-        selectedScale.charAt(0).toUpperCase() + selectedScale.slice(1),
+        getScaleOptions(),
+        getSelectedScale(),
         (value) => {
-            updateMusicParameters(value.toLowerCase(), null, null, null);
+            updateMusicParameters(value, null, null, null);
+
+            // Sync with control panel if it exists
+            const panelScaleSelect = document.getElementById('panel-scale-select');
+            if (panelScaleSelect) panelScaleSelect.value = value;
+
             updateUI();
         }
     );
+    customScaleLibrary.onChange(() => scaleDropdown.setOptions(getScaleOptions(), getSelectedScale()));
 
     // Octave dropdown
-    const octaveOptions = [];
-    for (let i = 2; i <= 6; i++) {
-        octaveOptions.push(`Octave ${i}`);
-    }
     const octaveDropdown = createDropdown(
         'Octave',
-        octaveOptions,
+        getOctaveOptions(),
         `Octave ${octave}`,
         (value) => {
             const octaveNum = parseInt(value.split(' ')[1]);
@@ -161,10 +198,9 @@ function createUI() {
             const selectedValue = value.toLowerCase();
             console.log(`Header UI: Sound changed to ${selectedValue}`);
 
-            // Reset knobs to defaults when switching to built-in instruments
-            resetKnobsToDefaults();
-
+            // Switch instrument first so the knob reset (e.g. the FM knobs) rebuilds voices with the new preset
             updateMusicParameters(null, null, null, selectedValue);
+            resetKnobsToDefaults(selectedValue);
             updateSynths();
 
             // Sync with control panel if it exists
@@ -199,6 +235,8 @@ function createUI() {
         });
     });
 
+    headerDropdowns = { root: rootDropdown, scale: scaleDropdown, octave: octaveDropdown };
+
     // Add controls to containers
     leftControls.appendChild(rootDropdown);
     leftControls.appendChild(scaleDropdown);
@@ -277,15 +315,23 @@ function updateNoteDisplay() {
 
     if (currentChord && leftHandIsPlaying) {
         displayText += `Chord: ${currentChord.name}`;
+        // Roman numeral and harmonic function in the current key, e.g. "(V7, Dominant)"
+        if (currentChord.romanNumeral) {
+            displayText += ` (${currentChord.romanNumeral}, ${HARMONIC_FUNCTIONS[currentChord.harmonicFunction]})`;
+        }
     }
 
     if (currentMelodyNote && rightHandIsPlaying) {
         if (displayText) displayText += ' | ';
-        displayText += `Note: ${currentMelodyNote}`;
+        displayText += `Note: ${tuning.formatNote(currentMelodyNote)}`;
     }
 
     if (!displayText) {
         displayText = `Scale: ${selectedRoot} ${selectedScale}`;
+        const { active, description, referencePitch, transpose } = tuning.getStatus();
+        if (active) displayText += ` | Tuning: ${description}`;
+        if (referencePitch !== DEFAULT_REFERENCE_PITCH) displayText += ` | A4 = ${referencePitch} Hz`;
+        if (transpose !== 0) displayText += ` | Transpose ${transpose > 0 ? '+' : ''}${transpose}`;
     }
 
     noteEl.textContent = displayText;
@@ -296,6 +342,11 @@ function updateNoteDisplay() {
 
 // Update UI elements when scale or root changes
 function updateUI() {
+    // Keep the header dropdowns on the current root, scale and octave
+    if (headerDropdowns.root) headerDropdowns.root.setOptions(notes, getSelectedRoot());
+    if (headerDropdowns.scale) headerDropdowns.scale.setOptions(getScaleOptions(), getSelectedScale());
+    if (headerDropdowns.octave) headerDropdowns.octave.setOptions(getOctaveOptions(), `Octave ${getOctave()}`);
+
     updateNoteDisplay();
     console.log("UI updated with scale:", selectedScale, "root:", selectedRoot, "octave:", octave);
 }
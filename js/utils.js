@@ -11,6 +11,17 @@ function calculateDistance(point1, point2) {
     return Math.sqrt(dx * dx + dy * dy);
   }
   
+  // A hand is a closed fist when every fingertip is folded back to about its knuckle's distance from the wrist
+  // (extended fingertips sit roughly twice as far out)
+  function isClosedFist(landmarks) {
+    if (!landmarks || landmarks.length < 21) return false;
+    const wrist = landmarks[0];
+    const fingers = [[8, 5], [12, 9], [16, 13], [20, 17]]; // [tip, knuckle] for index to pinky
+    return fingers.every(([tip, knuckle]) =>
+      calculateDistance(landmarks[tip], wrist) < calculateDistance(landmarks[knuckle], wrist) * 1.15
+    );
+  }
+
   // Enhanced map range function
   function mapRange(value, inMin, inMax, outMin, outMax) {
     // Ensure value is within range
@@ -62,6 +73,7 @@ function calculateDistance(point1, point2) {
   // Export utility functions
   export {
     calculateDistance,
+    isClosedFist,
     mapRange,
     lerp,
     showMessage,
@@ -0,0 +1,338 @@
+/**
+ * HandSynth - Visualization Module
+ * Three.js particle system that reacts to melody notes, chords, hand volume and pinch effects
+ */
+
+import { mapRange, lerp, onWindowResize } from './utils.js';
+import { noteNameToMidi, MIN_PINCH_DIST, MAX_PINCH_DIST } from './musicTheory.js';
+import {
+  noteChangeTime,
+  chordChangeTime,
+  currentMelodyNote,
+  currentChord,
+  leftHandIsPlaying,
+  rightHandIsPlaying,
+  leftHandVolume,
+  rightHandVolume,
+  currentPinchDistance
+} from './audio.js';
+
+// Three.js objects
+let scene, camera, renderer, particleSystem, particleGeometry, particleMaterial;
+let visualizationCanvas = null;
+let animationFrameId = null;
+let lastFrameTime = 0;
+
+// Particle pool - bursts and ambient particles share one ring buffer
+const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+const PARTICLE_COUNT = isMobile ? 1500 : 4000;
+const BASE_PARTICLE_SIZE = 0.12;
+let positions, colors, velocities, life, maxLife, baseColors;
+let nextParticle = 0;
+
+// Smoothed musical state driving the scene
+let melodyLevel = 0;
+let harmonyLevel = 0;
+let effectLevel = 0;
+let lastSeenNoteTime = 0;
+let lastSeenChordTime = 0;
+let ambientAccumulator = 0;
+
+// World-space layout: melody on the right, harmony on the left
+const MELODY_X = 4;
+const HARMONY_X = -4;
+const WORLD_HALF_HEIGHT = 4;
+
+// Reusable color object to avoid per-particle allocations
+let tempColor = null;
+
+// Create renderer, camera and particle buffers
+function setupVisualization() {
+  if (typeof THREE === 'undefined') {
+    console.warn('Three.js not loaded, visualization disabled');
+    return false;
+  }
+
+  if (renderer) return true;
+
+  try {
+    visualizationCanvas = document.querySelector('.visualization_canvas');
+    if (!visualizationCanvas) {
+      visualizationCanvas = document.createElement('canvas');
+      visualizationCanvas.classList.add('visualization_canvas');
+      document.body.appendChild(visualizationCanvas);
+    }
+
+    renderer = new THREE.WebGLRenderer({
+      canvas: visualizationCanvas,
+      alpha: true,
+      antialias: !isMobile
+    });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, isMobile ? 1 : 2));
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    renderer.setClearColor(0x000000, 0);
+
+    scene = new THREE.Scene();
+    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 100);
+    camera.position.z = 10;
+
+    createParticleSystem();
+
+    window.addEventListener('resize', handleResize);
+
+    console.log(`Visualization initialized with ${PARTICLE_COUNT} particles`);
+    return true;
+  } catch (error) {
+    console.error('Error setting up visualization:', error);
+    renderer = null;
+    return false;
+  }
+}
+
+// Allocate particle buffers and the Points object
+function createParticleSystem() {
+  positions = new Float32Array(PARTICLE_COUNT * 3);
+  colors = new Float32Array(PARTICLE_COUNT * 3);
+  baseColors = new Float32Array(PARTICLE_COUNT * 3);
+  velocities = new Float32Array(PARTICLE_COUNT * 3);
+  life = new Float32Array(PARTICLE_COUNT);
+  maxLife = new Float32Array(PARTICLE_COUNT);
+  tempColor = new THREE.Color();
+
+  particleGeometry = new THREE.BufferGeometry();
+  particleGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  particleGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+  particleMaterial = new THREE.PointsMaterial({
+    size: BASE_PARTICLE_SIZE,
+    vertexColors: true,
+    transparent: true,
+    opacity: 0.9,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false,
+    sizeAttenuation: true
+  });
+
+  particleSystem = new THREE.Points(particleGeometry, particleMaterial);
+  scene.add(particleSystem);
+}
+
+// Start the render loop
+function startVisualization() {
+  if (!renderer && !setupVisualization()) return;
+  if (animationFrameId) return;
+
+  lastFrameTime = performance.now();
+  animationFrameId = requestAnimationFrame(animate);
+}
+
+// Stop the render loop (particles keep their state for resume)
+function stopVisualization() {
+  if (animationFrameId) {
+    cancelAnimationFrame(animationFrameId);
+    animationFrameId = null;
+  }
+}
+
+// Release all GPU resources
+function disposeVisualization() {
+  stopVisualization();
+  window.removeEventListener('resize', handleResize);
+
+  if (particleSystem) scene.remove(particleSystem);
+  if (particleGeometry) particleGeometry.dispose();
+  if (particleMaterial) particleMaterial.dispose();
+  if (renderer) renderer.dispose();
+
+  particleSystem = particleGeometry = particleMaterial = null;
+  renderer = scene = camera = null;
+}
+
+function handleResize() {
+  onWindowResize(camera, renderer);
+}
+
+// Main animation loop
+function animate(now) {
+  animationFrameId = requestAnimationFrame(animate);
+
+  // Clamp delta so a backgrounded tab doesn't explode the simulation
+  const dt = Math.min(0.05, (now - lastFrameTime) / 1000);
+  lastFrameTime = now;
+
+  updateMusicalState(dt);
+  emitParticles(dt);
+  updateParticles(dt);
+
+  particleSystem.rotation.z += dt * (0.02 + effectLevel * 0.1);
+  particleMaterial.size = BASE_PARTICLE_SIZE * (1 + effectLevel * 0.8 + (melodyLevel + harmonyLevel) * 0.3);
+
+  renderer.render(scene, camera);
+}
+
+// Convert hand volume (dB) to a 0-1 level
+function volumeToLevel(volumeDb) {
+  return mapRange(volumeDb, -30, 5, 0, 1);
+}
+
+// Smooth hand volumes and pinch effect level toward their targets
+function updateMusicalState(dt) {
+  const smoothing = Math.min(1, dt * 6);
+  const melodyTarget = rightHandIsPlaying ? volumeToLevel(rightHandVolume) : 0;
+  const harmonyTarget = leftHandIsPlaying ? volumeToLevel(leftHandVolume) : 0;
+  const effectTarget = (leftHandIsPlaying || rightHandIsPlaying)
+    ? mapRange(currentPinchDistance, MIN_PINCH_DIST, MAX_PINCH_DIST, 1, 0)
+    : 0;
+
+  melodyLevel = lerp(melodyLevel, melodyTarget, smoothing);
+  harmonyLevel = lerp(harmonyLevel, harmonyTarget, smoothing);
+  effectLevel = lerp(effectLevel, effectTarget, smoothing);
+}
+
+// Emit bursts for note/chord changes plus a steady ambient stream
+function emitParticles(dt) {
+  if (noteChangeTime !== lastSeenNoteTime) {
+    lastSeenNoteTime = noteChangeTime;
+    if (currentMelodyNote) emitNoteBurst(currentMelodyNote);
+  }
+
+  if (chordChangeTime !== lastSeenChordTime) {
+    lastSeenChordTime = chordChangeTime;
+    if (currentChord && currentChord.notes) emitChordBurst(currentChord);
+  }
+
+  // Ambient drift gets denser as the hands get louder
+  ambientAccumulator += dt * (20 + (melodyLevel + harmonyLevel) * 150);
+  while (ambientAccumulator >= 1) {
+    ambientAccumulator -= 1;
+    emitAmbientParticle();
+  }
+}
+
+// Map a note name to a world Y coordinate and hue
+function getNoteVisuals(note) {
+  const midi = noteNameToMidi(note);
+  const y = mapRange(midi, 36, 96, -WORLD_HALF_HEIGHT, WORLD_HALF_HEIGHT);
+  const hue = (midi % 12) / 12;
+  return { y, hue };
+}
+
+// Radial burst at the melody side, height and color from the pitch
+function emitNoteBurst(note) {
+  const { y, hue } = getNoteVisuals(note);
+  const count = Math.round(40 + melodyLevel * 80);
+  const speed = 1.5 + melodyLevel * 2.5;
+
+  for (let i = 0; i < count; i++) {
+    const angle = Math.random() * Math.PI * 2;
+    const magnitude = speed * (0.4 + Math.random() * 0.6);
+    tempColor.setHSL(hue, 0.85, 0.55 + Math.random() * 0.15);
+    spawnParticle(
+      MELODY_X, y, 0,
+      Math.cos(angle) * magnitude, Math.sin(angle) * magnitude, (Math.random() - 0.5) * magnitude,
+      tempColor, 1.2 + Math.random() * 0.8
+    );
+  }
+}
+
+// Ring burst at the harmony side, one color band per chord tone
+function emitChordBurst(chord) {
+  const rootVisuals = getNoteVisuals(chord.notes[0]);
+  const perNote = Math.round(30 + harmonyLevel * 50);
+  const speed = 1 + harmonyLevel * 2;
+
+  chord.notes.forEach((note, noteIndex) => {
+    const { hue } = getNoteVisuals(note);
+    for (let i = 0; i < perNote; i++) {
+      const angle = ((i / perNote) + noteIndex * 0.1) * Math.PI * 2;
+      const magnitude = speed * (0.8 + noteIndex * 0.15);
+      tempColor.setHSL(hue, 0.7, 0.5);
+      spawnParticle(
+        HARMONY_X, rootVisuals.y, 0,
+        Math.cos(angle) * magnitude, Math.sin(angle) * magnitude, 0,
+        tempColor, 2 + Math.random()
+      );
+    }
+  });
+}
+
+// Slow particle drifting up from the bottom, tinted by whatever is playing
+function emitAmbientParticle() {
+  let hue = 0.66;
+  if (currentMelodyNote && rightHandIsPlaying) {
+    hue = getNoteVisuals(currentMelodyNote).hue;
+  } else if (currentChord && leftHandIsPlaying && currentChord.notes) {
+    hue = getNoteVisuals(currentChord.notes[0]).hue;
+  }
+
+  tempColor.setHSL(hue, 0.5, 0.25 + (melodyLevel + harmonyLevel) * 0.15);
+  spawnParticle(
+    (Math.random() - 0.5) * 16, -WORLD_HALF_HEIGHT - 1, (Math.random() - 0.5) * 4,
+    (Math.random() - 0.5) * 0.3, 0.4 + Math.random() * 0.6, 0,
+    tempColor, 6 + Math.random() * 4
+  );
+}
+
+// Write one particle into the ring buffer
+function spawnParticle(x, y, z, vx, vy, vz, color, lifetime) {
+  const i = nextParticle;
+  const i3 = i * 3;
+  nextParticle = (nextParticle + 1) % PARTICLE_COUNT;
+
+  positions[i3] = x;
+  positions[i3 + 1] = y;
+  positions[i3 + 2] = z;
+  velocities[i3] = vx;
+  velocities[i3 + 1] = vy;
+  velocities[i3 + 2] = vz;
+  baseColors[i3] = color.r;
+  baseColors[i3 + 1] = color.g;
+  baseColors[i3 + 2] = color.b;
+  life[i] = lifetime;
+  maxLife[i] = lifetime;
+}
+
+// Integrate motion and fade particles out over their lifetime
+function updateParticles(dt) {
+  // More pinch effect = less drag and more swirl, like a longer reverb tail
+  const drag = Math.pow(lerp(0.35, 0.8, effectLevel), dt);
+  const swirl = effectLevel * 1.5 * dt;
+  const lift = (melodyLevel + harmonyLevel) * 0.3 * dt;
+
+  for (let i = 0; i < PARTICLE_COUNT; i++) {
+    const i3 = i * 3;
+
+    if (life[i] <= 0) {
+      colors[i3] = colors[i3 + 1] = colors[i3 + 2] = 0;
+      continue;
+    }
+
+    life[i] -= dt;
+
+    const vx = velocities[i3];
+    const vy = velocities[i3 + 1];
+    velocities[i3] = (vx - vy * swirl) * drag;
+    velocities[i3 + 1] = (vy + vx * swirl) * drag + lift;
+    velocities[i3 + 2] *= drag;
+
+    positions[i3] += velocities[i3] * dt;
+    positions[i3 + 1] += velocities[i3 + 1] * dt;
+    positions[i3 + 2] += velocities[i3 + 2] * dt;
+
+    const fade = Math.max(0, life[i] / maxLife[i]);
+    colors[i3] = baseColors[i3] * fade;
+    colors[i3 + 1] = baseColors[i3 + 1] * fade;
+    colors[i3 + 2] = baseColors[i3 + 2] * fade;
+  }
+
+  particleGeometry.attributes.position.needsUpdate = true;
+  particleGeometry.attributes.color.needsUpdate = true;
+}
+
+// Export visualization functions
+export {
+  setupVisualization,
+  startVisualization,
+  stopVisualization,
+  disposeVisualization
+};
@@ -0,0 +1,226 @@
+/**
+ * HandSynth - Chord Voicing Module
+ * Voices chords in a selectable style within register limits, choosing inversions that move smoothly from the last chord
+ */
+
+const VOICING_STYLES = {
+  close: 'Close',
+  open: 'Open / Spread',
+  drop2: 'Drop 2',
+  drop3: 'Drop 3',
+  shell: 'Shell (1-3-7)',
+  quartal: 'Quartal',
+  upperStructure: 'Bass + Upper Structure'
+};
+
+// Register limits are standard MIDI note numbers (C4 = 60)
+const DEFAULT_VOICING_SETTINGS = {
+  style: 'close',
+  lowNote: 24, // C1 - the bass note never goes below this
+  highNote: 84 // C6 - voiced notes are kept at or below this where the chord fits
+};
+
+const MIN_REGISTER_SPAN = 24; // Two octaves, so every voicing has room to fit
+const MAX_QUARTAL_TONES = 6; // Quartal stacks search every ordering of this many tones - any more go on top
+const HOME_PULL = 0.5; // Cost per semitone a voicing's centre drifts from its home position
+
+// Keep the limits in range and at least two octaves apart
+function sanitizeVoicingSettings(settings = {}) {
+  const merged = { ...DEFAULT_VOICING_SETTINGS, ...settings };
+  const style = VOICING_STYLES[merged.style] ? merged.style : DEFAULT_VOICING_SETTINGS.style;
+  const lowNote = Math.max(0, Math.min(127 - MIN_REGISTER_SPAN, Math.round(Number(merged.lowNote) || DEFAULT_VOICING_SETTINGS.lowNote)));
+  const highNote = Math.max(lowNote + MIN_REGISTER_SPAN, Math.min(127, Math.round(Number(merged.highNote) || DEFAULT_VOICING_SETTINGS.highNote)));
+  return { style, lowNote, highNote };
+}
+
+// Stack pitch classes upwards in order, each one above the last, starting at or above startNote
+function stackUpward(pitchClasses, startNote) {
+  let previous = startNote - 1;
+  return pitchClasses.map(pitchClass => {
+    const note = previous + 1 + ((pitchClass - previous - 1) % 12 + 12) % 12;
+    previous = note;
+    return note;
+  });
+}
+
+function sortNotes(notes) {
+  return [...notes].sort((a, b) => a - b);
+}
+
+// Drop the nth voice from the top (1 = top voice) down an octave
+function dropVoice(notes, fromTop) {
+  const sorted = sortNotes(notes);
+  const index = sorted.length - fromTop;
+  if (index < 1) return sorted;
+  sorted[index] -= 12;
+  return sortNotes(sorted);
+}
+
+// Order the tones so as many neighbours as possible are a perfect fourth apart - tones beyond the
+// searched ones (the 13th of a full 13th chord) are stacked above in chord order
+function orderInFourths(pitchClasses) {
+  const tones = pitchClasses.slice(0, MAX_QUARTAL_TONES);
+  let best = tones;
+  let bestScore = -Infinity;
+
+  const score = (order) => {
+    const stacked = stackUpward(order, 0);
+    let total = 0;
+    for (let i = 1; i < stacked.length; i++) {
+      const interval = stacked[i] - stacked[i - 1];
+      if (interval === 5) total += 2;
+      else if (interval === 6 || interval === 4) total += 1;
+      else if (interval < 3) total -= 2;
+    }
+    return total - (stacked[stacked.length - 1] - stacked[0]) / 24; // Tighter stacks win ties
+  };
+
+  const permute = (order, remaining) => {
+    if (remaining.length === 0) {
+      const orderScore = score(order);
+      if (orderScore > bestScore) {
+        bestScore = orderScore;
+        best = order;
+      }
+      return;
+    }
+    remaining.forEach((tone, index) => {
+      permute([...order, tone], remaining.filter((_, i) => i !== index));
+    });
+  };
+
+  permute([], tones);
+  return [...best, ...pitchClasses.slice(MAX_QUARTAL_TONES)];
+}
+
+// Pick the chord tones the style voices above the bass, in chord order
+function getUpperTones(pitchClasses, style) {
+  const root = pitchClasses[0];
+  const interval = (pitchClass) => (pitchClass - root + 12) % 12;
+  const findTone = (...intervals) => {
+    for (const wanted of intervals) {
+      const tone = pitchClasses.find(pitchClass => interval(pitchClass) === wanted);
+      if (tone !== undefined) return tone;
+    }
+    return undefined;
+  };
+
+  if (style === 'shell') {
+    // 3rd (or sus tone) and 7th (or 6th, or the 5th of a plain triad) - the root is the bass
+    const third = findTone(4, 3, 5, 2);
+    const seventh = findTone(11, 10, 9, 7, 6, 8);
+    const tones = [third, seventh].filter(tone => tone !== undefined);
+    return tones.length > 0 ? tones : [root];
+  }
+
+  if (style === 'upperStructure') {
+    // Everything but the root - the 5th goes too once there are enough colour tones
+    let tones = pitchClasses.filter(pitchClass => pitchClass !== root);
+    if (tones.length > 3) {
+      tones = tones.filter(pitchClass => interval(pitchClass) !== 7);
+    }
+    return tones.length > 0 ? tones : [root];
+  }
+
+  return pitchClasses;
+}
+
+// Build one voicing of the upper tones, in the given order, from startNote up
+function buildVoicing(style, tones, startNote) {
+  const close = stackUpward(tones, startNote);
+
+  switch (style) {
+    case 'open':
+      // Every other voice of the close position up an octave
+      return sortNotes(close.map((note, index) => (index % 2 === 1 ? note + 12 : note)));
+    case 'drop2':
+      return dropVoice(close, 2);
+    case 'drop3':
+      return dropVoice(close, close.length >= 4 ? 3 : 2);
+    case 'upperStructure':
+      // Lifted an octave to leave a clear gap above the bass
+      return close.map(note => note + 12);
+    default:
+      return close;
+  }
+}
+
+// Move a voicing by octaves until it sits inside the register
+function fitToRegister(voicing, lowNote, highNote) {
+  let fitted = [...voicing];
+  while (Math.max(...fitted) > highNote && Math.min(...fitted) - 12 >= lowNote) {
+    fitted = fitted.map(note => note - 12);
+  }
+  while (Math.min(...fitted) < lowNote) {
+    fitted = fitted.map(note => note + 12);
+  }
+  return fitted;
+}
+
+function average(notes) {
+  return notes.reduce((total, note) => total + note, 0) / notes.length;
+}
+
+// Total distance each voice has to travel - works when the chords have different numbers of notes
+function voiceMovement(from, to) {
+  const nearest = (note, others) => Math.min(...others.map(other => Math.abs(other - note)));
+  return to.reduce((total, note) => total + nearest(note, from), 0) +
+    from.reduce((total, note) => total + nearest(note, to), 0);
+}
+
+// Voice a chord given as standard MIDI notes in chord order (root, 3rd, 5th, 7th, extensions).
+// position is { startNote, bassNote } - where the upper voices start and the bass root sits.
+// Returns the bass plus upper voices, and the upper voices alone to lead from on the next chord.
+function voiceChord(chordNotes, settings, position, previousUpper = null) {
+  const { style, lowNote, highNote } = sanitizeVoicingSettings(settings);
+  const pitchClasses = [...new Set(chordNotes.map(note => ((note % 12) + 12) % 12))];
+  const upperTones = getUpperTones(pitchClasses, style);
+
+  // Bass root inside the register
+  let bass = position.bassNote;
+  while (bass < lowNote) bass += 12;
+  while (bass > highNote) bass -= 12;
+
+  const upperFloor = Math.max(lowNote, bass + 1);
+  const orders = style === 'quartal'
+    ? [orderInFourths(upperTones)]
+    : upperTones.map((_, index) => [...upperTones.slice(index), ...upperTones.slice(0, index)]);
+
+  // Candidates are each inversion at its home octave and an octave either side
+  const home = fitToRegister(buildVoicing(style, orders[0], position.startNote), upperFloor, highNote);
+  const candidates = [];
+  orders.forEach(order => {
+    const voicing = fitToRegister(buildVoicing(style, order, position.startNote), upperFloor, highNote);
+    [0, -12, 12].forEach(shift => {
+      const shifted = voicing.map(note => note + shift);
+      if (Math.min(...shifted) < upperFloor || Math.max(...shifted) > Math.max(highNote, Math.max(...voicing))) return;
+      candidates.push(shifted);
+    });
+  });
+
+  let upper = home;
+  const homeCentre = average(home);
+  if (previousUpper && previousUpper.length > 0 && candidates.length > 0) {
+    const cost = (voicing) => voiceMovement(previousUpper, voicing) + Math.abs(average(voicing) - homeCentre) * HOME_PULL;
+    upper = candidates.reduce((best, voicing) => (cost(voicing) < cost(best) ? voicing : best));
+  } else {
+    // Nothing to lead from - the inversion nearest home that fits under the high limit, home when none does
+    const fitting = candidates.filter(voicing => Math.max(...voicing) <= highNote);
+    if (fitting.length > 0) {
+      const distance = (voicing) => Math.abs(average(voicing) - homeCentre);
+      upper = fitting.reduce((best, voicing) => (distance(voicing) < distance(best) ? voicing : best));
+    }
+  }
+
+  // Keep the bass below the upper voices
+  if (bass >= Math.min(...upper) && bass - 12 >= lowNote) bass -= 12;
+
+  return { notes: [bass, ...upper], upper: [...upper] };
+}
+
+export {
+  VOICING_STYLES,
+  DEFAULT_VOICING_SETTINGS,
+  sanitizeVoicingSettings,
+  voiceChord
+};